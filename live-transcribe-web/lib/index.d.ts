@@ -0,0 +1,278 @@
+// Types of the transcription engine entry point (lib/index.js)
+
+export declare const LayerMode: {
+  readonly CONTINUOUS: "continuous";
+  readonly CHUNK: "chunk";
+};
+export type LayerMode = (typeof LayerMode)[keyof typeof LayerMode];
+
+export declare const LayerTask: {
+  readonly TRANSCRIBE: "transcribe";
+  readonly TRANSLATE: "translate";
+  readonly BOTH: "both";
+};
+export type LayerTask = (typeof LayerTask)[keyof typeof LayerTask];
+
+export declare const BackpressurePolicy: {
+  readonly NONE: "none";
+  readonly SKIP: "skip";
+  readonly MERGE: "merge";
+  readonly DISABLE: "disable";
+};
+export type BackpressurePolicy =
+  (typeof BackpressurePolicy)[keyof typeof BackpressurePolicy];
+
+/** The language setting that asks for detection */
+export declare const AUTO_LANGUAGE: "auto";
+
+/** Sample rate of the audio the layers transcribe, in Hz */
+export declare const TARGET_SAMPLE_RATE: 16000;
+
+/** One transcription layer; level 1 is the fastest, 4 the most accurate */
+export interface LayerSpec {
+  /** Slot 1-4 */
+  level: number;
+  mode: LayerMode;
+  task?: LayerTask;
+  /** Seconds between passes (continuous) */
+  stepSize?: number;
+  /** Seconds per chunk (chunk) */
+  chunkSize?: number;
+  /** Seconds a chunk may move to end at a pause (chunk) */
+  pauseTolerance?: number;
+  /** Seconds of the previous chunk re-read as context (chunk) */
+  overlap?: number;
+  /** Decode each chunk after the layer's previous text (chunk) */
+  prompt?: boolean;
+  /** Beam search width */
+  beams?: number;
+  /** Model of this layer; null uses LiveTranscriberOptions.model */
+  model?: string | null;
+  quant?: string | null;
+  language?: string | null;
+}
+
+export interface Topology {
+  name: string;
+  layers: LayerSpec[];
+}
+
+export declare const DEFAULT_TOPOLOGY: Topology;
+export declare const BUILTIN_TOPOLOGIES: Topology[];
+
+export interface BackpressureConfig {
+  policy: BackpressurePolicy;
+  /** Seconds of backlog before the policy applies */
+  maxBacklog?: number;
+}
+
+export interface LiveTranscriberOptions {
+  /** Hugging Face model id (default "Xenova/whisper-tiny") */
+  model?: string;
+  /** Language code, or AUTO_LANGUAGE to detect it (default "en") */
+  language?: string;
+  /** "webgpu" (default) or "wasm" */
+  backend?: "webgpu" | "wasm";
+  /** Weight quantization, e.g. "q8"; null picks one for the backend */
+  quant?: string | null;
+  /** Run the layers on onnxruntime-web instead of transformers.js */
+  onnx?: boolean;
+  /** Layers sharing a model load it once */
+  sharedModel?: boolean;
+  /** Default DEFAULT_TOPOLOGY.layers */
+  layers?: LayerSpec[];
+  backpressure?: BackpressureConfig;
+  /** Names and terms to spell as given (chunk layers) */
+  glossary?: string[];
+  /** With AUTO_LANGUAGE: agreeing detections in a row to lock after */
+  languageLock?: number;
+}
+
+export interface DspConfig {
+  highPass?: boolean;
+  highPassFrequency?: number;
+  noiseReduction?: boolean;
+  noiseReductionDb?: number;
+  gain?: boolean;
+  gainDb?: number;
+  normalize?: boolean;
+  targetLevelDb?: number;
+}
+
+export interface StartOptions {
+  dsp?: DspConfig;
+  /** How stereo input is reduced to mono */
+  downmix?: "average" | "left" | "right";
+  /** Speaker per stream, e.g. ["me", "remote"] */
+  roles?: string[];
+}
+
+export interface Word {
+  /** The word as decoded, with its leading space */
+  text: string;
+  /** Seconds */
+  start: number;
+  end: number;
+  /** 0-1 */
+  probability?: number;
+}
+
+export interface Segment {
+  /** Seconds since start() or the last reset() */
+  start: number;
+  end: number;
+  text: string;
+  /** Layer that transcribed it */
+  level: number;
+  words?: Word[];
+  /** Geometric mean token probability, 0-1 */
+  confidence?: number;
+  /** English translation, for layers with task "translate" or "both" */
+  translation?: string;
+  /** Detected language code */
+  language?: string;
+  languageProbability?: number;
+  /** Role of the loudest stream (StartOptions.roles) */
+  source?: string;
+}
+
+export interface PartialEventDetail {
+  /** Text of the audio no segment covers yet */
+  text: string;
+  level: number;
+}
+
+export interface ReplacedEventDetail {
+  /** The higher-level segment that took their place */
+  segment: Segment;
+  replaced: Segment[];
+}
+
+export interface LayerTimingStats {
+  count: number;
+  lastTime: number;
+  averageTime: number;
+  averageTokens: number;
+  /** Processing time / audio time of the last pass */
+  rtf: number;
+  /** Seconds of audio waiting beyond the next chunk */
+  backlog: number;
+  /** Seconds dropped to catch up */
+  skipped: number;
+  disabled: boolean;
+  /** Segments the hallucination guard kept out */
+  rejected: number;
+}
+
+export interface LayerLagStats {
+  /** Seconds the layer's transcript is behind the audio */
+  lag: number;
+  rtf: number;
+  backlog: number;
+  skipped: number;
+  disabled: boolean;
+}
+
+export interface LayerLanguage {
+  language: string;
+  languageProbability?: number;
+  languageLocked?: boolean;
+}
+
+export interface MetricSummary {
+  count: number;
+  last: number;
+  mean: number;
+  p50: number;
+  p95: number;
+  max: number;
+}
+
+/** Rolling figures of a layer; null until it produced a result */
+export interface LayerMetrics {
+  /** Milliseconds from when a result's last audio came in to its display */
+  latency: MetricSummary | null;
+  /** Decode time / audio time */
+  rtf: MetricSummary | null;
+  /** Seconds of audio waiting in the layer when a result came in */
+  queue: MetricSummary | null;
+}
+
+export interface StatsEventDetail {
+  timing: Record<number, LayerTimingStats>;
+  /** Chunk layers only */
+  lag: Record<number, LayerLagStats>;
+  languages: Record<number, LayerLanguage>;
+  metrics: Record<number, LayerMetrics>;
+  /** Segments rejected by the hallucination guard */
+  rejected: number;
+}
+
+export interface ErrorEventDetail {
+  /** Layer that failed */
+  level: number;
+  message: string;
+}
+
+export interface LiveTranscriberEventMap {
+  partial: CustomEvent<PartialEventDetail>;
+  segment: CustomEvent<Segment>;
+  replaced: CustomEvent<ReplacedEventDetail>;
+  stats: CustomEvent<StatsEventDetail>;
+  error: CustomEvent<ErrorEventDetail>;
+}
+
+/**
+ * The multi-layer engine without the workbench UI. Live audio comes from
+ * start(); other audio is passed to write() or transcribe() as 16 kHz mono.
+ */
+export declare class LiveTranscriber extends EventTarget {
+  /** @throws If the layers are not a valid topology */
+  constructor(options?: LiveTranscriberOptions);
+
+  readonly isLoaded: boolean;
+  readonly isCapturing: boolean;
+
+  /** Start the layer workers and wait for their models; rejects if one fails */
+  load(): Promise<void>;
+  /** Transcribe live audio until stop(); loads first if needed */
+  start(
+    input: MediaStream | MediaStream[],
+    options?: StartOptions
+  ): Promise<void>;
+  /** Stop capturing (the tracks are stopped) and transcribe what is left */
+  stop(): Promise<void>;
+  /** Feed 16 kHz mono audio; call load() first */
+  write(samples: Float32Array): void;
+  /** Transcribe what write() left buffered */
+  flush(): Promise<void>;
+  /** Transcribe a whole 16 kHz mono recording as a new transcript */
+  transcribe(audio: Float32Array): Promise<Segment[]>;
+  /** Start a new, independent transcript */
+  reset(): void;
+  /** The transcript so far, in time order */
+  getSegments(): Segment[];
+  /** Stop capturing and end the workers */
+  dispose(): Promise<void>;
+
+  addEventListener<K extends keyof LiveTranscriberEventMap>(
+    type: K,
+    listener: (event: LiveTranscriberEventMap[K]) => void,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+  addEventListener(
+    type: string,
+    listener: EventListenerOrEventListenerObject | null,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+  removeEventListener<K extends keyof LiveTranscriberEventMap>(
+    type: K,
+    listener: (event: LiveTranscriberEventMap[K]) => void,
+    options?: boolean | EventListenerOptions
+  ): void;
+  removeEventListener(
+    type: string,
+    listener: EventListenerOrEventListenerObject | null,
+    options?: boolean | EventListenerOptions
+  ): void;
+}
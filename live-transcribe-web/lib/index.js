@@ -0,0 +1,13 @@
+// Entry point of the transcription engine, for use without the
+// workbench UI. Types are in index.d.ts. `npm run build:lib` bundles it,
+// with its workers and worklet, into dist-lib/ (the package's main).
+export { LiveTranscriber } from "../src/live-transcriber.js";
+export {
+  BUILTIN_TOPOLOGIES,
+  DEFAULT_TOPOLOGY,
+  LayerMode,
+  LayerTask,
+} from "../src/libs/layer-topology.js";
+export { BackpressurePolicy } from "../src/libs/backpressure.js";
+export { AUTO_LANGUAGE } from "../src/libs/language-detection.js";
+export { TARGET_SAMPLE_RATE } from "../src/audio-processor.js";
@@ -5,7 +5,8 @@
  *
  * This script automatically detects and copies all WASM files from the
  * onnxruntime-web package to the public directory, making them available
- * for the ONNX runtime when running in the browser.
+ * for the ONNX runtime when running in the browser. It also copies the
+ * Silero VAD model, so speech detection loads nothing from other hosts.
  *
  * Usage:
  *   npm run copy-wasm    # Copy WASM files manually
@@ -31,6 +32,17 @@ const sourceDir = path.join(
 );
 const targetDir = path.join(__dirname, "..", "public");
 
+// Silero VAD v5, as packaged (and version-pinned) by @ricky0123/vad-web
+const vadModelPath = path.join(
+  __dirname,
+  "..",
+  "node_modules",
+  "@ricky0123",
+  "vad-web",
+  "dist",
+  "silero_vad_v5.onnx"
+);
+
 // Check if onnxruntime-web is installed
 if (!fs.existsSync(sourceDir)) {
   console.error(
@@ -86,6 +98,17 @@ console.log(
   `\nWASM file copy complete! Copied ${copiedCount} of ${wasmFiles.length} files.`
 );
 
+// Copy the VAD model
+try {
+  fs.copyFileSync(vadModelPath, path.join(targetDir, "silero_vad_v5.onnx"));
+  console.log("✓ Copied: silero_vad_v5.onnx");
+} catch (error) {
+  console.warn(
+    "⚠ Failed to copy the Silero VAD model (speech detection falls back to energy):",
+    error.message
+  );
+}
+
 if (copiedCount === 0) {
   console.error(
     "\n❌ No WASM files were copied. Check if onnxruntime-web is installed."
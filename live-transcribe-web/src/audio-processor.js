@@ -1,66 +1,259 @@
+import captureWorkletUrl from "./worklets/capture.worklet.js?worker&url";
+import { RingBuffer } from "./libs/ring-buffer.js";
+import { SpeechDetector } from "./libs/speech-detector.js";
+import { DownmixMode } from "./libs/downmix.js";
+import { DEFAULT_DSP_CONFIG } from "./libs/dsp-chain.js";
+
+// Rate the models expect; the worklet resamples to it if needed
+export const TARGET_SAMPLE_RATE = 16000;
+
+// Samples per onAudioChunk call
+const BLOCK_SIZE = 4096;
+
+// ~131 s at 16 kHz - enough headroom for a worker stuck in a long inference
+const RING_CAPACITY = 1 << 21;
+
 export class AudioProcessor {
-  constructor(stream, onAudioChunk, onSilenceDetected) {
-    this.stream = stream;
+  // streams: one MediaStream, or several (e.g. mic + meeting tab) that are
+  // mixed for transcription while their energies are reported per channel
+  // options.downmix: how stereo input is reduced to mono (DownmixMode)
+  // options.dsp: preprocessing applied before transcription (DspConfig)
+  // options.onLevels: receives pre/post-DSP levels for metering
+  constructor(
+    streams,
+    onAudioChunk,
+    onSilenceDetected,
+    vadManager = null,
+    options = {}
+  ) {
+    this.streams = Array.isArray(streams) ? streams : [streams];
     this.onAudioChunk = onAudioChunk;
     this.onSilenceDetected = onSilenceDetected;
-    this.audioContext = new AudioContext({ sampleRate: 16000 });
-    this.source = this.audioContext.createMediaStreamSource(stream);
-    this.processor = this.audioContext.createScriptProcessor(4096, 1, 1);
-
-    // Simple energy-based VAD
-    this.isSpeaking = false;
-    this.silenceFrames = 0;
-    this.lastSpeechTime = Date.now();
-  }
-
-  start() {
-    this.source.connect(this.processor);
-    this.processor.connect(this.audioContext.destination);
-
-    this.processor.onaudioprocess = (e) => {
-      const inputData = e.inputBuffer.getChannelData(0);
-
-      // Simple energy-based VAD
-      const energy = this.calculateEnergy(inputData);
-      const threshold = 0.01;
-
-      if (energy > threshold) {
-        this.isSpeaking = true;
-        this.lastSpeechTime = Date.now();
-        this.silenceFrames = 0;
-      } else {
-        const silenceDuration = (Date.now() - this.lastSpeechTime) / 1000;
-        // 2 seconds of silence = commit
-        if (silenceDuration > 2.0 && this.isSpeaking) {
-          console.log(
-            "[AudioProcessor] 2s silence detected, committing segment"
-          );
-          if (this.onSilenceDetected) {
-            this.onSilenceDetected();
-          }
-          this.isSpeaking = false;
+    this.downmix = options.downmix || DownmixMode.AVERAGE;
+    this.dspConfig = options.dsp || DEFAULT_DSP_CONFIG;
+    this.onLevels = options.onLevels || null;
+    this.createGraphSources();
+    this.workletNode = null;
+    this.channelEnergies = null; // RMS per source for the latest block
+    this.isPaused = false;
+
+    // Shared ring buffer that workers read directly. Needs cross-origin
+    // isolation; otherwise the worklet posts blocks to us instead.
+    this.ringBuffer = AudioProcessor.supportsSharedMemory()
+      ? RingBuffer.create(RING_CAPACITY, TARGET_SAMPLE_RATE)
+      : null;
+    this.reader = this.ringBuffer ? this.ringBuffer.createReader(0) : null;
+
+    // Speech probabilities come from the Silero VAD when it is loaded,
+    // otherwise from the block energy
+    this.vad = vadManager;
+    this.speechDetector = new SpeechDetector(
+      vadManager ? vadManager.getDetectorConfig() : {}
+    );
+    if (this.vad) {
+      this.vad.reset();
+      this.vad.setListener((probabilities, frameDuration) =>
+        this.handleSpeechProbabilities(probabilities, frameDuration)
+      );
+    }
+  }
+
+  /**
+   * Create the audio context and one source per stream. A 16 kHz context is
+   * asked for, but browsers may ignore that or refuse to connect a stream
+   * running at another rate; the real rate is detected and resampled from.
+   */
+  createGraphSources() {
+    try {
+      this.audioContext = new AudioContext({ sampleRate: TARGET_SAMPLE_RATE });
+      this.sources = this.streams.map((stream) =>
+        this.audioContext.createMediaStreamSource(stream)
+      );
+    } catch (error) {
+      console.warn(
+        "[AudioProcessor] 16 kHz capture unavailable, using the device rate:",
+        error.message
+      );
+      if (this.audioContext) this.audioContext.close();
+      this.audioContext = new AudioContext();
+      this.sources = this.streams.map((stream) =>
+        this.audioContext.createMediaStreamSource(stream)
+      );
+    }
+
+    if (this.audioContext.sampleRate !== TARGET_SAMPLE_RATE) {
+      console.log(
+        `[AudioProcessor] Capturing at ${this.audioContext.sampleRate} Hz, resampling to ${TARGET_SAMPLE_RATE} Hz`
+      );
+    }
+  }
+
+  // Actual rate of the capture graph (before resampling)
+  getCaptureSampleRate() {
+    return this.audioContext.sampleRate;
+  }
+
+  get isSpeaking() {
+    return this.speechDetector.isSpeaking;
+  }
+
+  static supportsSharedMemory() {
+    return (
+      typeof SharedArrayBuffer !== "undefined" &&
+      globalThis.crossOriginIsolated === true
+    );
+  }
+
+  async start() {
+    await this.audioContext.audioWorklet.addModule(captureWorkletUrl);
+
+    this.workletNode = new AudioWorkletNode(
+      this.audioContext,
+      "capture-processor",
+      {
+        numberOfInputs: this.sources.length,
+        numberOfOutputs: 1,
+        // Stereo in (mono is upmixed to both sides); the worklet downmixes
+        channelCount: 2,
+        channelCountMode: "explicit",
+        channelInterpretation: "speakers",
+        processorOptions: {
+          ringBuffer: this.ringBuffer ? this.ringBuffer.buffer : null,
+          blockSize: BLOCK_SIZE,
+          targetSampleRate: TARGET_SAMPLE_RATE,
+          downmix: this.downmix,
+          dsp: this.dspConfig,
+        },
+      }
+    );
+    this.workletNode.port.onmessage = (e) => this.handleWorkletMessage(e.data);
+
+    this.sources.forEach((source, channel) =>
+      source.connect(this.workletNode, 0, channel)
+    );
+    // Keep the node pulled by the graph; it outputs silence
+    this.workletNode.connect(this.audioContext.destination);
+  }
+
+  /**
+   * Shared ring buffer holding the captured audio (null without
+   * cross-origin isolation). It is written from sample index 0.
+   */
+  getRingBuffer() {
+    return this.ringBuffer;
+  }
+
+  /**
+   * Sample index up to which the ring was handed to onAudioChunk; readers
+   * started here get the rest without a gap or a repeat
+   */
+  getRingReadIndex() {
+    return this.reader ? this.reader.readIndex : 0;
+  }
+
+  handleWorkletMessage(message) {
+    if (message.type === "levels") {
+      if (this.onLevels) this.onLevels(message);
+      return;
+    }
+
+    if (message.energies) {
+      this.channelEnergies = message.energies;
+    }
+
+    if (message.type === "tick") {
+      // Drain everything written since the last tick, block by block
+      while (this.reader.available() >= BLOCK_SIZE) {
+        this.processBlock(this.reader.read(BLOCK_SIZE));
+      }
+    } else if (message.type === "audio") {
+      this.processBlock(message.data);
+    }
+  }
+
+  processBlock(inputData) {
+    if (this.vad && this.vad.isActive()) {
+      this.vad.analyze(inputData);
+    } else {
+      this.handleSpeechProbabilities(
+        [SpeechDetector.energyProbability(inputData)],
+        inputData.length / TARGET_SAMPLE_RATE
+      );
+    }
+
+    // Always send audio chunks for transcription
+    this.onAudioChunk(inputData, {
+      isSpeaking: this.isSpeaking,
+      channelEnergies:
+        this.sources.length > 1 ? this.channelEnergies : undefined,
+    });
+  }
+
+  handleSpeechProbabilities(probabilities, frameDuration) {
+    probabilities.forEach((probability) => {
+      const transition = this.speechDetector.update(probability, frameDuration);
+      if (transition === "speech_end") {
+        console.log(
+          `[AudioProcessor] ${this.speechDetector.config.minSilenceDuration}s silence detected, committing segment`
+        );
+        if (this.onSilenceDetected) {
+          this.onSilenceDetected();
         }
       }
+    });
+  }
 
-      // Always send audio chunks for transcription
-      this.onAudioChunk(inputData, {
-        isSpeaking: this.isSpeaking,
-      });
-    };
+  /**
+   * Pause or resume capture. The streams and graph stay alive; the worklet
+   * simply stops delivering audio, so nothing reaches the workers.
+   */
+  setPaused(paused) {
+    this.isPaused = paused;
+    if (this.workletNode) {
+      this.workletNode.port.postMessage({ type: "pause", paused });
+    }
+    // Silence across the pause must not commit anything on resume
+    this.speechDetector.reset();
   }
 
-  stop() {
-    this.processor.disconnect();
-    this.source.disconnect();
-    this.stream.getTracks().forEach((track) => track.stop());
-    this.audioContext.close();
+  // Change the preprocessing chain while capturing
+  setDspConfig(config) {
+    this.dspConfig = config;
+    if (this.workletNode) {
+      this.workletNode.port.postMessage({ type: "dsp", config });
+    }
   }
 
-  calculateEnergy(buffer) {
-    let sum = 0;
-    for (let i = 0; i < buffer.length; i++) {
-      sum += buffer[i] * buffer[i];
+  // Apply new thresholds without resetting the current speech state
+  setVadConfig(config) {
+    this.speechDetector.configure(config);
+  }
+
+  // Swap one input stream (e.g. after a device was unplugged) while keeping
+  // the processing graph and VAD state intact
+  replaceStream(stream, channel = 0) {
+    this.sources[channel].disconnect();
+    this.streams[channel].getTracks().forEach((track) => track.stop());
+
+    this.streams[channel] = stream;
+    this.sources[channel] = this.audioContext.createMediaStreamSource(stream);
+    if (this.workletNode) {
+      this.sources[channel].connect(this.workletNode, 0, channel);
     }
-    return Math.sqrt(sum / buffer.length);
+  }
+
+  stop() {
+    if (this.workletNode) {
+      this.workletNode.port.onmessage = null;
+      this.workletNode.disconnect();
+    }
+    if (this.vad) {
+      this.vad.setListener(null);
+    }
+    this.sources.forEach((source) => source.disconnect());
+    this.streams.forEach((stream) =>
+      stream.getTracks().forEach((track) => track.stop())
+    );
+    this.audioContext.close();
   }
 }
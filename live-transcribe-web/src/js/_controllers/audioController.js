@@ -1,5 +1,6 @@
 import { setAudioStream } from "../state.js";
 import { eventBus } from "../_events/eventBus.js";
+import captureWorkletUrl from "../../worklets/capture.worklet.js?worker&url";
 
 let audioProcessor = null;
 let currentStream = null;
@@ -32,18 +33,22 @@ export class AudioProcessor {
       this.mediaStreamSource =
         this.audioContext.createMediaStreamSource(stream);
 
-      // Create a ScriptProcessorNode for real-time audio processing
-      this.processor = this.audioContext.createScriptProcessor(4096, 1, 1);
-
-      this.processor.onaudioprocess = (event) => {
-        if (!this.isRecording) return;
-
-        const inputBuffer = event.inputBuffer;
-        const inputData = inputBuffer.getChannelData(0);
+      // Capture on the audio thread; the worklet posts 4096-sample blocks
+      await this.audioContext.audioWorklet.addModule(captureWorkletUrl);
+      this.processor = new AudioWorkletNode(
+        this.audioContext,
+        "capture-processor",
+        {
+          channelCount: 1,
+          channelCountMode: "explicit",
+          // Resample in the worklet if the browser ignored the 16 kHz request
+          processorOptions: { blockSize: 4096, targetSampleRate: 16000 },
+        }
+      );
 
-        // Convert to Float32Array and send to callback
-        const audioData = new Float32Array(inputData);
-        this.onAudioData(audioData, { timestamp: Date.now() });
+      this.processor.port.onmessage = (event) => {
+        if (!this.isRecording || event.data.type !== "audio") return;
+        this.onAudioData(event.data.data, { timestamp: Date.now() });
       };
 
       this.mediaStreamSource.connect(this.processor);
@@ -62,6 +67,7 @@ export class AudioProcessor {
 
     try {
       if (this.processor) {
+        this.processor.port.onmessage = null;
         this.processor.disconnect();
         this.processor = null;
       }
@@ -0,0 +1,234 @@
+/**
+ * Audio export - Encode a stored session as WAV or Opus
+ * Both encoders read the session chunk by chunk from the AudioStore so
+ * multi-hour sessions are never decoded into memory at once.
+ */
+
+import { OggOpusWriter } from "./ogg-opus-writer.js";
+import { Resampler } from "./resampler.js";
+
+const OPUS_BITRATE = 32000; // Plenty for speech
+
+/**
+ * Encode a session as 16-bit mono WAV
+ * @param {AudioStore} store
+ * @param {number} sessionId
+ * @returns {Promise<Blob>}
+ */
+export async function exportWav(store, sessionId) {
+  const session = await store.getSession(sessionId);
+  if (!session) throw new Error(`Unknown audio session: ${sessionId}`);
+
+  const parts = [createWavHeader(session.totalSamples, session.sampleRate)];
+  await store.forEachChunk(sessionId, (data) => parts.push(data));
+  return new Blob(parts, { type: "audio/wav" });
+}
+
+function createWavHeader(sampleCount, sampleRate) {
+  const dataBytes = sampleCount * 2;
+  const header = new ArrayBuffer(44);
+  const view = new DataView(header);
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + i, text.charCodeAt(i));
+    }
+  };
+
+  writeString(0, "RIFF");
+  view.setUint32(4, 36 + dataBytes, true);
+  writeString(8, "WAVE");
+  writeString(12, "fmt ");
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // Mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true); // Byte rate
+  view.setUint16(32, 2, true); // Block align
+  view.setUint16(34, 16, true); // Bits per sample
+  writeString(36, "data");
+  view.setUint32(40, dataBytes, true);
+  return header;
+}
+
+/**
+ * Encode a session as Opus. Uses WebCodecs when available (fast, offline),
+ * otherwise records a real-time playback with MediaRecorder.
+ * @param {AudioStore} store
+ * @param {number} sessionId
+ * @param {Function} onProgress - Called with the fraction done
+ * @returns {Promise<Blob>}
+ */
+export async function exportOpus(store, sessionId, onProgress = () => {}) {
+  const session = await store.getSession(sessionId);
+  if (!session) throw new Error(`Unknown audio session: ${sessionId}`);
+
+  const encoderRate = await findWebCodecsOpusRate(session.sampleRate);
+  if (encoderRate) {
+    return exportOpusWebCodecs(store, session, encoderRate, onProgress);
+  }
+  return exportOpusMediaRecorder(store, session, onProgress);
+}
+
+// Sample rate the WebCodecs Opus encoder accepts (null if unsupported)
+async function findWebCodecsOpusRate(sampleRate) {
+  if (typeof AudioEncoder === "undefined") return null;
+
+  for (const rate of [sampleRate, 48000]) {
+    try {
+      const { supported } = await AudioEncoder.isConfigSupported({
+        codec: "opus",
+        sampleRate: rate,
+        numberOfChannels: 1,
+        bitrate: OPUS_BITRATE,
+      });
+      if (supported) return rate;
+    } catch (error) {
+      // Try the next rate
+    }
+  }
+  return null;
+}
+
+async function exportOpusWebCodecs(store, session, encoderRate, onProgress) {
+  const writer = new OggOpusWriter({ inputSampleRate: session.sampleRate });
+  let encodeError = null;
+
+  const encoder = new AudioEncoder({
+    output: (chunk) => {
+      const packet = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(packet);
+      writer.addPacket(packet, chunk.duration / 1e6);
+    },
+    error: (error) => {
+      encodeError = error;
+    },
+  });
+  encoder.configure({
+    codec: "opus",
+    sampleRate: encoderRate,
+    numberOfChannels: 1,
+    bitrate: OPUS_BITRATE,
+  });
+
+  const resampler =
+    encoderRate !== session.sampleRate
+      ? new Resampler(session.sampleRate, encoderRate)
+      : null;
+  const chunkCount = Math.ceil(session.totalSamples / session.chunkSize);
+  let encodedFrames = 0;
+
+  const encode = (samples) => {
+    if (samples.length === 0) return;
+    encoder.encode(
+      new AudioData({
+        format: "f32",
+        sampleRate: encoderRate,
+        numberOfFrames: samples.length,
+        numberOfChannels: 1,
+        timestamp: Math.round((encodedFrames / encoderRate) * 1e6),
+        data: samples,
+      })
+    );
+    encodedFrames += samples.length;
+  };
+
+  await store.forEachChunk(session.id, async (data, index) => {
+    if (encodeError) throw encodeError;
+
+    const samples = Float32Array.from(data, (s) => s / 32768);
+    encode(resampler ? resampler.process(samples) : samples);
+    onProgress((index + 1) / chunkCount);
+
+    // Don't queue the whole session inside the encoder
+    while (encoder.encodeQueueSize > 8) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+  });
+  if (resampler) encode(resampler.flush());
+
+  await encoder.flush();
+  encoder.close();
+  if (encodeError) throw encodeError;
+
+  return writer.finish();
+}
+
+// Plays the session into a MediaRecorder; takes as long as the session
+async function exportOpusMediaRecorder(store, session, onProgress) {
+  if (typeof MediaRecorder === "undefined") {
+    throw new Error("Opus export is not supported in this browser");
+  }
+  const mimeType = ["audio/ogg;codecs=opus", "audio/webm;codecs=opus"].find(
+    (type) => MediaRecorder.isTypeSupported(type)
+  );
+  if (!mimeType) {
+    throw new Error("Opus export is not supported in this browser");
+  }
+
+  const audioContext = new AudioContext();
+  const destination = audioContext.createMediaStreamDestination();
+  const recorder = new MediaRecorder(destination.stream, {
+    mimeType,
+    audioBitsPerSecond: OPUS_BITRATE,
+  });
+  const recorded = [];
+  recorder.ondataavailable = (e) => recorded.push(e.data);
+  const stopped = new Promise((resolve) => (recorder.onstop = resolve));
+
+  recorder.start(1000);
+  const chunkCount = Math.ceil(session.totalSamples / session.chunkSize);
+  let startTime = audioContext.currentTime + 0.1;
+
+  try {
+    await store.forEachChunk(session.id, async (data, index) => {
+      const buffer = audioContext.createBuffer(
+        1,
+        data.length,
+        session.sampleRate
+      );
+      buffer.copyToChannel(
+        Float32Array.from(data, (s) => s / 32768),
+        0
+      );
+      const source = audioContext.createBufferSource();
+      source.buffer = buffer;
+      source.connect(destination);
+      source.start(startTime);
+      startTime += buffer.duration;
+
+      // Stay about one chunk ahead of playback
+      const ahead = startTime - audioContext.currentTime - buffer.duration;
+      if (ahead > 0) {
+        await new Promise((resolve) => setTimeout(resolve, ahead * 1000));
+      }
+      onProgress((index + 1) / chunkCount);
+    });
+
+    const remaining = startTime - audioContext.currentTime;
+    await new Promise((resolve) =>
+      setTimeout(resolve, Math.max(0, remaining) * 1000)
+    );
+  } finally {
+    recorder.stop();
+    await stopped;
+    audioContext.close();
+  }
+
+  return new Blob(recorded, { type: mimeType });
+}
+
+/**
+ * Save a Blob through a temporary download link
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,187 @@
+/**
+ * AudioStore - IndexedDB storage for session audio
+ * Audio is written incrementally as fixed-size 16-bit PCM chunks so long
+ * sessions never have to be held in memory, and any time range can be read
+ * back without loading the rest.
+ */
+
+const DB_NAME = "live-transcribe-audio";
+const DB_VERSION = 1;
+const SESSIONS = "sessions";
+const CHUNKS = "chunks";
+
+/**
+ * Session record
+ * @typedef {Object} AudioSession
+ * @property {number} id - Auto-assigned session ID
+ * @property {number} startedAt - Date.now() when recording started
+ * @property {number} sampleRate - Sample rate of the stored audio
+ * @property {number} chunkSize - Samples per stored chunk
+ * @property {number} totalSamples - Samples stored so far
+ * @property {number} timelineOffset - Transcript time (s) of the first sample
+ * @property {Array} segments - Transcript segments, times relative to the session
+ * @property {Array} pauses - { at, duration } paused intervals; at is the
+ *   stored-audio time (s) where capture resumed
+ */
+
+export class AudioStore {
+  constructor() {
+    this.db = null;
+  }
+
+  async open() {
+    if (this.db) return this.db;
+
+    this.db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(SESSIONS, { keyPath: "id", autoIncrement: true });
+        db.createObjectStore(CHUNKS, { keyPath: ["sessionId", "index"] });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return this.db;
+  }
+
+  /**
+   * Create a session record
+   * @param {Object} meta - startedAt, sampleRate, chunkSize, timelineOffset
+   * @returns {Promise<number>} Session ID
+   */
+  async createSession(meta) {
+    const session = { ...meta, totalSamples: 0, segments: [], pauses: [] };
+    return this.request(SESSIONS, "readwrite", (store) => store.add(session));
+  }
+
+  async updateSession(sessionId, changes) {
+    const session = await this.getSession(sessionId);
+    if (!session) return;
+    await this.request(SESSIONS, "readwrite", (store) =>
+      store.put({ ...session, ...changes })
+    );
+  }
+
+  /**
+   * @returns {Promise<AudioSession|undefined>}
+   */
+  getSession(sessionId) {
+    return this.request(SESSIONS, "readonly", (store) => store.get(sessionId));
+  }
+
+  /**
+   * @returns {Promise<AudioSession[]>} Newest first
+   */
+  async listSessions() {
+    const sessions = await this.request(SESSIONS, "readonly", (store) =>
+      store.getAll()
+    );
+    return sessions.sort((a, b) => b.startedAt - a.startedAt);
+  }
+
+  /**
+   * Store one chunk of a session
+   * @param {number} sessionId
+   * @param {number} index - Chunk number (chunk i starts at i * chunkSize)
+   * @param {Int16Array} data - 16-bit PCM samples
+   */
+  putChunk(sessionId, index, data) {
+    return this.request(CHUNKS, "readwrite", (store) =>
+      store.put({ sessionId, index, data })
+    );
+  }
+
+  /**
+   * Visit every chunk of a session in order without loading them all
+   * @param {number} sessionId
+   * @param {Function} onChunk - Called with each Int16Array; may return a promise
+   */
+  async forEachChunk(sessionId, onChunk) {
+    const session = await this.getSession(sessionId);
+    if (!session) throw new Error(`Unknown audio session: ${sessionId}`);
+
+    const chunkCount = Math.ceil(session.totalSamples / session.chunkSize);
+    for (let index = 0; index < chunkCount; index++) {
+      const chunk = await this.request(CHUNKS, "readonly", (store) =>
+        store.get([sessionId, index])
+      );
+      if (chunk) await onChunk(chunk.data, index);
+    }
+  }
+
+  /**
+   * Read a sample range of a session as float samples
+   * @param {number} sessionId
+   * @param {number} startSample
+   * @param {number} endSample - Exclusive
+   * @returns {Promise<Float32Array>}
+   */
+  async readRange(sessionId, startSample, endSample) {
+    const session = await this.getSession(sessionId);
+    if (!session) throw new Error(`Unknown audio session: ${sessionId}`);
+
+    const start = Math.max(0, Math.floor(startSample));
+    const end = Math.min(session.totalSamples, Math.ceil(endSample));
+    const output = new Float32Array(Math.max(0, end - start));
+    if (output.length === 0) return output;
+
+    const { chunkSize } = session;
+    const chunks = await this.request(CHUNKS, "readonly", (store) =>
+      store.getAll(
+        IDBKeyRange.bound(
+          [sessionId, Math.floor(start / chunkSize)],
+          [sessionId, Math.floor((end - 1) / chunkSize)]
+        )
+      )
+    );
+
+    chunks.forEach(({ index, data }) => {
+      const chunkStart = index * chunkSize;
+      const from = Math.max(start, chunkStart);
+      const to = Math.min(end, chunkStart + data.length);
+      for (let i = from; i < to; i++) {
+        output[i - start] = data[i - chunkStart] / 32768;
+      }
+    });
+    return output;
+  }
+
+  async deleteSession(sessionId) {
+    const db = await this.open();
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction([SESSIONS, CHUNKS], "readwrite");
+      tx.objectStore(SESSIONS).delete(sessionId);
+      tx.objectStore(CHUNKS).delete(
+        IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity])
+      );
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // Run a single request in its own transaction and resolve with its result
+  async request(storeName, mode, makeRequest) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = makeRequest(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+}
+
+/**
+ * Convert float samples to 16-bit PCM
+ * @param {Float32Array} samples
+ * @returns {Int16Array}
+ */
+export function floatToInt16(samples) {
+  const output = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    output[i] = s < 0 ? s * 32768 : s * 32767;
+  }
+  return output;
+}
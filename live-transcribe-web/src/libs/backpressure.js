@@ -0,0 +1,88 @@
+/**
+ * Backpressure - What a chunk layer does when it falls behind real time
+ * A layer whose passes take longer than the audio they cover builds a
+ * backlog: buffered audio beyond the window of its next chunk. Once the
+ * backlog passes maxBacklog seconds the policy decides how to catch up.
+ */
+
+export const BackpressurePolicy = {
+  NONE: "none", // Keep every chunk; the transcript drifts behind
+  SKIP: "skip", // Drop the oldest audio so only the next window remains
+  MERGE: "merge", // Transcribe larger chunks (fewer passes per second of audio)
+  DISABLE: "disable", // Stop the layer
+};
+
+export const DEFAULT_BACKPRESSURE = {
+  policy: BackpressurePolicy.NONE,
+  maxBacklog: 10, // seconds
+};
+
+// Whisper sees at most 30 s of audio per pass
+const MAX_WINDOW = 30;
+
+/**
+ * Decide how to process the next chunk
+ * @param {Object} state
+ * @param {number} state.buffered - Seconds of audio buffered
+ * @param {number} state.chunkSize - Seconds per chunk
+ * @param {number} [state.pauseTolerance] - Seconds the cut may move
+ * @param {number} [state.overlap] - Seconds of context read with the chunk
+ * @param {Object} [backpressure] - { policy, maxBacklog }
+ * @returns {{action: string, chunkSize: number, backlog: number, skip: number}}
+ *   action is "process", "skip" (drop skip seconds first, then process),
+ *   "merge" (process a chunkSize larger than configured) or "disable"
+ */
+export function planChunk(
+  { buffered, chunkSize, pauseTolerance = 0, overlap = 0 },
+  { policy, maxBacklog } = DEFAULT_BACKPRESSURE
+) {
+  const backlog = getBacklog(buffered, chunkSize, pauseTolerance);
+  const plan = { action: "process", chunkSize, backlog, skip: 0 };
+  if (policy === BackpressurePolicy.NONE || backlog <= maxBacklog) {
+    return plan;
+  }
+
+  switch (policy) {
+    case BackpressurePolicy.SKIP:
+      return { ...plan, action: "skip", skip: backlog };
+
+    case BackpressurePolicy.MERGE: {
+      const merged = Math.min(
+        MAX_WINDOW - overlap - pauseTolerance,
+        buffered - pauseTolerance
+      );
+      // Already at the largest window: merging can't help any more
+      return merged > chunkSize
+        ? { ...plan, action: "merge", chunkSize: merged }
+        : plan;
+    }
+
+    case BackpressurePolicy.DISABLE:
+      return { ...plan, action: "disable" };
+
+    default:
+      return plan;
+  }
+}
+
+/**
+ * Seconds of buffered audio beyond the window of the next chunk
+ * @param {number} buffered
+ * @param {number} chunkSize
+ * @param {number} [pauseTolerance]
+ * @returns {number}
+ */
+export function getBacklog(buffered, chunkSize, pauseTolerance = 0) {
+  return Math.max(0, buffered - chunkSize - pauseTolerance);
+}
+
+/**
+ * Real-time factor of a pass: processing time over audio time (> 1 means
+ * the layer is slower than real time)
+ * @param {number} inferenceMs
+ * @param {number} audioSeconds
+ * @returns {number}
+ */
+export function getRealTimeFactor(inferenceMs, audioSeconds) {
+  return audioSeconds > 0 ? inferenceMs / 1000 / audioSeconds : 0;
+}
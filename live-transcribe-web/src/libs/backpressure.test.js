@@ -0,0 +1,80 @@
+import { describe, expect, it } from "vitest";
+import {
+  BackpressurePolicy,
+  getBacklog,
+  getRealTimeFactor,
+  planChunk,
+} from "./backpressure.js";
+
+const policy = (name, maxBacklog = 10) => ({ policy: name, maxBacklog });
+
+describe("getBacklog", () => {
+  it("counts the audio beyond the next window", () => {
+    expect(getBacklog(20, 5, 1)).toBe(14);
+    expect(getBacklog(4, 5, 1)).toBe(0);
+  });
+});
+
+describe("getRealTimeFactor", () => {
+  it("is processing time over audio time", () => {
+    expect(getRealTimeFactor(2500, 5)).toBe(0.5);
+    expect(getRealTimeFactor(100, 0)).toBe(0);
+  });
+});
+
+describe("planChunk", () => {
+  it("processes as configured within the backlog limit", () => {
+    expect(
+      planChunk({ buffered: 12, chunkSize: 5 }, policy(BackpressurePolicy.SKIP))
+    ).toEqual({ action: "process", chunkSize: 5, backlog: 7, skip: 0 });
+  });
+
+  it("never acts without a policy", () => {
+    expect(planChunk({ buffered: 60, chunkSize: 5 })).toMatchObject({
+      action: "process",
+      backlog: 55,
+    });
+  });
+
+  it("skips the whole backlog", () => {
+    expect(
+      planChunk({ buffered: 20, chunkSize: 5 }, policy(BackpressurePolicy.SKIP))
+    ).toEqual({ action: "skip", chunkSize: 5, backlog: 15, skip: 15 });
+  });
+
+  it("merges up to what is buffered", () => {
+    expect(
+      planChunk(
+        { buffered: 20, chunkSize: 5, pauseTolerance: 1 },
+        policy(BackpressurePolicy.MERGE)
+      )
+    ).toMatchObject({ action: "merge", chunkSize: 19 });
+  });
+
+  it("merges no further than Whisper's window", () => {
+    expect(
+      planChunk(
+        { buffered: 60, chunkSize: 5, pauseTolerance: 1, overlap: 2 },
+        policy(BackpressurePolicy.MERGE)
+      )
+    ).toMatchObject({ action: "merge", chunkSize: 27 });
+  });
+
+  it("keeps processing once the chunks cannot grow", () => {
+    expect(
+      planChunk(
+        { buffered: 60, chunkSize: 28, pauseTolerance: 1, overlap: 2 },
+        policy(BackpressurePolicy.MERGE)
+      )
+    ).toMatchObject({ action: "process", chunkSize: 28 });
+  });
+
+  it("disables the layer", () => {
+    expect(
+      planChunk(
+        { buffered: 20, chunkSize: 5 },
+        policy(BackpressurePolicy.DISABLE)
+      )
+    ).toMatchObject({ action: "disable" });
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * ChannelTimeline - Remembers how loud each captured source was over time so
+ * a segment cut from the mixed audio can be attributed to whoever was
+ * speaking. Positions are seconds on the same timeline as segment start/end.
+ */
+
+// Older activity can no longer belong to a pending segment
+const MAX_HISTORY_SECONDS = 300;
+
+export class ChannelTimeline {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.entries = []; // { start, end, energies }
+    this.position = 0; // Seconds of audio appended so far
+  }
+
+  /**
+   * Record the per-channel energies of the next stretch of audio
+   * @param {number} duration - Length of the stretch in seconds
+   * @param {number[]} energies - RMS per channel (may be undefined for mono)
+   */
+  append(duration, energies) {
+    const start = this.position;
+    this.position += duration;
+
+    if (!energies || energies.length < 2) return;
+    this.entries.push({ start, end: this.position, energies });
+
+    while (
+      this.entries.length > 0 &&
+      this.entries[0].end < this.position - MAX_HISTORY_SECONDS
+    ) {
+      this.entries.shift();
+    }
+  }
+
+  /**
+   * Index of the channel with the most energy in [start, end], or -1 when
+   * no activity was recorded for that range
+   */
+  getDominantChannel(start, end) {
+    const totals = [];
+    this.entries.forEach((entry) => {
+      const overlap = Math.min(entry.end, end) - Math.max(entry.start, start);
+      if (overlap <= 0) return;
+      entry.energies.forEach((energy, channel) => {
+        totals[channel] = (totals[channel] || 0) + energy * energy * overlap;
+      });
+    });
+
+    let dominant = -1;
+    let maxTotal = 0;
+    totals.forEach((total, channel) => {
+      if (total > maxTotal) {
+        maxTotal = total;
+        dominant = channel;
+      }
+    });
+    return dominant;
+  }
+}
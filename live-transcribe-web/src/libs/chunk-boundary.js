@@ -0,0 +1,97 @@
+/**
+ * Chunk boundary search - picks where a chunk layer should cut its buffer so
+ * words are not split in half. Looks for the quiet stretch closest to the
+ * target length within a tolerance window and falls back to a hard cut.
+ */
+
+// Analysis frame for the energy envelope (20 ms at 16 kHz)
+const FRAME_SECONDS = 0.02;
+
+// Frames louder than this never count as a pause, however quiet the rest is
+const MAX_PAUSE_RMS = 0.01;
+
+/**
+ * Boundary search options
+ * @typedef {Object} PauseBoundaryOptions
+ * @property {number} sampleRate - Audio sample rate (default: 16000)
+ * @property {number} minPauseDuration - Shortest quiet stretch that counts as a pause in seconds (default: 0.15)
+ */
+
+/**
+ * Find the chunk length that ends at the pause closest to targetSamples
+ * @param {Float32Array} samples - Buffered audio, starting at the chunk start
+ * @param {number} targetSamples - Desired chunk length
+ * @param {number} toleranceSamples - How far before/after the target to search
+ * @param {PauseBoundaryOptions} options
+ * @returns {{length: number, isPause: boolean}} Chunk length, and whether it ends in a pause
+ */
+export function findPauseBoundary(
+  samples,
+  targetSamples,
+  toleranceSamples,
+  options = {}
+) {
+  const sampleRate = options.sampleRate || 16000;
+  const minPauseDuration = options.minPauseDuration ?? 0.15;
+  const hardCut = {
+    length: Math.min(targetSamples, samples.length),
+    isPause: false,
+  };
+
+  if (toleranceSamples <= 0 || samples.length <= targetSamples) {
+    return hardCut;
+  }
+
+  const frameSize = Math.max(1, Math.round(FRAME_SECONDS * sampleRate));
+  const windowStart = Math.max(frameSize, targetSamples - toleranceSamples);
+  const windowEnd = Math.min(samples.length, targetSamples + toleranceSamples);
+  const firstFrame = Math.floor(windowStart / frameSize);
+  const frameCount = Math.floor(windowEnd / frameSize) - firstFrame;
+  if (frameCount <= 0) return hardCut;
+
+  const energies = new Float32Array(frameCount);
+  for (let f = 0; f < frameCount; f++) {
+    energies[f] = frameRms(samples, (firstFrame + f) * frameSize, frameSize);
+  }
+
+  // Quiet relative to this window, so pauses are found over background
+  // noise too, but never above the absolute ceiling
+  const sorted = Array.from(energies).sort((a, b) => a - b);
+  const noiseFloor = sorted[Math.floor(sorted.length * 0.1)];
+  const threshold = Math.min(MAX_PAUSE_RMS, Math.max(noiseFloor * 2, 1e-4));
+  const minPauseFrames = Math.max(
+    1,
+    Math.ceil((minPauseDuration * sampleRate) / frameSize)
+  );
+
+  // Collect quiet runs and keep the one whose middle is nearest the target
+  let best = null;
+  let runStart = -1;
+  for (let f = 0; f <= frameCount; f++) {
+    const quiet = f < frameCount && energies[f] < threshold;
+    if (quiet && runStart < 0) {
+      runStart = f;
+    } else if (!quiet && runStart >= 0) {
+      if (f - runStart >= minPauseFrames) {
+        const middle =
+          (firstFrame + Math.floor((runStart + f) / 2)) * frameSize;
+        const distance = Math.abs(middle - targetSamples);
+        if (!best || distance < best.distance) {
+          best = { length: middle, distance };
+        }
+      }
+      runStart = -1;
+    }
+  }
+
+  return best ? { length: best.length, isPause: true } : hardCut;
+}
+
+function frameRms(samples, offset, frameSize) {
+  let sum = 0;
+  const end = Math.min(samples.length, offset + frameSize);
+  for (let i = offset; i < end; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return Math.sqrt(sum / Math.max(1, end - offset));
+}
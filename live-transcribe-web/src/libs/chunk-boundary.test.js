@@ -0,0 +1,54 @@
+import { describe, expect, it } from "vitest";
+import { findPauseBoundary } from "./chunk-boundary.js";
+
+const RATE = 16000;
+
+// A tone with silent stretches, given as [start, end] in seconds
+function speech(seconds, pauses = []) {
+  return Float32Array.from({ length: seconds * RATE }, (_, i) => {
+    const t = i / RATE;
+    const silent = pauses.some(([start, end]) => t >= start && t < end);
+    return silent ? 0 : 0.5 * Math.sin((2 * Math.PI * 220 * i) / RATE);
+  });
+}
+
+describe("findPauseBoundary", () => {
+  it("cuts in the middle of the pause nearest the target", () => {
+    const samples = speech(8, [
+      [4.2, 4.6],
+      [5.6, 6],
+    ]);
+    const { length, isPause } = findPauseBoundary(samples, 5 * RATE, RATE);
+    expect(isPause).toBe(true);
+    expect(length / RATE).toBeCloseTo(4.4, 1);
+  });
+
+  it("ignores quiet stretches shorter than the minimum pause", () => {
+    const samples = speech(8, [[4.9, 5]]);
+    expect(findPauseBoundary(samples, 5 * RATE, RATE)).toEqual({
+      length: 5 * RATE,
+      isPause: false,
+    });
+  });
+
+  it("looks no further than the tolerance", () => {
+    const samples = speech(8, [[6.5, 7]]);
+    expect(findPauseBoundary(samples, 5 * RATE, RATE).isPause).toBe(false);
+  });
+
+  it("cuts at the target without a tolerance", () => {
+    const samples = speech(8, [[4.2, 4.6]]);
+    expect(findPauseBoundary(samples, 5 * RATE, 0)).toEqual({
+      length: 5 * RATE,
+      isPause: false,
+    });
+  });
+
+  it("takes everything when the buffer is shorter than the target", () => {
+    const samples = speech(3);
+    expect(findPauseBoundary(samples, 5 * RATE, RATE)).toEqual({
+      length: 3 * RATE,
+      isPause: false,
+    });
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Downmix - Reduce multi-channel audio to the mono signal Whisper expects
+ */
+
+export const DownmixMode = {
+  AVERAGE: "average", // Mean of all channels
+  LEFT: "left", // First channel only
+  RIGHT: "right", // Second channel (first if mono)
+};
+
+/**
+ * Write the mono downmix of channels into output
+ * @param {Float32Array[]} channels - One array per channel
+ * @param {string} mode - A DownmixMode value
+ * @param {Float32Array} output - Destination, at least as long as a channel
+ * @returns {Float32Array} output
+ */
+export function downmixInto(channels, mode, output) {
+  const length = channels[0].length;
+
+  if (mode === DownmixMode.LEFT || channels.length === 1) {
+    output.set(channels[0].subarray(0, length));
+  } else if (mode === DownmixMode.RIGHT) {
+    output.set(channels[1].subarray(0, length));
+  } else {
+    const scale = 1 / channels.length;
+    for (let i = 0; i < length; i++) {
+      let sum = 0;
+      for (let c = 0; c < channels.length; c++) {
+        sum += channels[c][i];
+      }
+      output[i] = sum * scale;
+    }
+  }
+  return output;
+}
+
+/**
+ * Downmix a decoded AudioBuffer to a new mono Float32Array
+ * @param {AudioBuffer} audioBuffer
+ * @param {string} mode - A DownmixMode value
+ * @returns {Float32Array}
+ */
+export function downmixAudioBuffer(audioBuffer, mode) {
+  const channels = [];
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+    channels.push(audioBuffer.getChannelData(c));
+  }
+  return downmixInto(channels, mode, new Float32Array(audioBuffer.length));
+}
@@ -0,0 +1,103 @@
+/**
+ * Draft timeline - Lower-layer tokens placed on the audio timeline
+ * A layer verifies what the layer below it transcribed (speculative
+ * decoding), but the two cut the audio into different windows. So drafts
+ * are kept with the time each token was spoken, and a window takes only
+ * the tokens inside it. Times come from token timestamps when the model
+ * reports them, otherwise they are spread evenly over the window.
+ */
+
+/**
+ * A lower layer's transcript of one window, ready to pass on as a draft
+ * @typedef {Object} Draft
+ * @property {number[]} prefix - Leading special tokens (<|startoftranscript|>, language, task)
+ * @property {number[]} tokens - Text tokens
+ * @property {number[]} times - Start (s) of each text token on the timeline
+ * @property {number} start - Window start (s)
+ */
+
+/**
+ * Turn a generated sequence into a draft
+ * @param {Array<number|bigint>} sequence - Generated ids, special tokens included
+ * @param {Object} options
+ * @param {number} options.endOfText - Id of <|endoftext|>; ids from it up are special
+ * @param {number} options.start - Window start (s)
+ * @param {number} options.end - Window end (s)
+ * @param {number[]} [options.tokenTimestamps] - Start of each token within the window (s)
+ * @returns {Draft}
+ */
+export function toDraft(sequence, { endOfText, start, end, tokenTimestamps }) {
+  const ids = Array.from(sequence, Number);
+  let prefixLength = 0;
+  while (prefixLength < ids.length && ids[prefixLength] >= endOfText) {
+    prefixLength++;
+  }
+
+  const textIndices = [];
+  ids.forEach((id, index) => {
+    if (index >= prefixLength && id < endOfText) textIndices.push(index);
+  });
+
+  const round = (time) => Math.round(time * 100) / 100;
+  const step = (end - start) / (textIndices.length || 1);
+  return {
+    prefix: ids.slice(0, prefixLength),
+    tokens: textIndices.map((index) => ids[index]),
+    times: textIndices.map((index, i) =>
+      round(start + (tokenTimestamps ? tokenTimestamps[index] : step * i))
+    ),
+    start,
+  };
+}
+
+export class DraftTimeline {
+  constructor() {
+    this.clear();
+  }
+
+  get size() {
+    return this.tokens.length;
+  }
+
+  clear() {
+    this.prefix = [];
+    this.tokens = [];
+    this.times = [];
+  }
+
+  /**
+   * Add a draft. It is the newest reading of its window, so it replaces
+   * what was held from its start on.
+   * @param {Draft} draft
+   */
+  update({ prefix, tokens, times, start }) {
+    const replaced = this.times.findIndex((time) => time >= start);
+    if (replaced >= 0) {
+      this.tokens.splice(replaced);
+      this.times.splice(replaced);
+    }
+    this.prefix = prefix;
+    this.tokens.push(...tokens);
+    this.times.push(...times);
+  }
+
+  /**
+   * The tokens spoken within a window
+   * @param {number} start - Seconds
+   * @param {number} end - Seconds
+   * @returns {number[]}
+   */
+  slice(start, end) {
+    return this.tokens.filter(
+      (token, i) => this.times[i] >= start && this.times[i] < end
+    );
+  }
+
+  // Forget the tokens before a time (audio already transcribed)
+  discardUntil(time) {
+    const kept = this.times.findIndex((t) => t >= time);
+    const count = kept < 0 ? this.times.length : kept;
+    this.tokens.splice(0, count);
+    this.times.splice(0, count);
+  }
+}
@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import { DraftTimeline, toDraft } from "./draft-timeline.js";
+
+const END_OF_TEXT = 50257;
+const PREFIX = [50258, 50259, 50359];
+
+describe("toDraft", () => {
+  it("splits off the prefix and spreads the tokens over the window", () => {
+    const sequence = [...PREFIX, 10, 11, 12, 13, END_OF_TEXT].map(BigInt);
+    expect(
+      toDraft(sequence, { endOfText: END_OF_TEXT, start: 2, end: 4 })
+    ).toEqual({
+      prefix: PREFIX,
+      tokens: [10, 11, 12, 13],
+      times: [2, 2.5, 3, 3.5],
+      start: 2,
+    });
+  });
+
+  it("places the tokens by their timestamps", () => {
+    const draft = toDraft([...PREFIX, 10, 11, END_OF_TEXT], {
+      endOfText: END_OF_TEXT,
+      start: 2,
+      end: 4,
+      tokenTimestamps: [0, 0, 0, 0.12, 1.5, 1.9],
+    });
+    expect(draft.times).toEqual([2.12, 3.5]);
+  });
+});
+
+describe("DraftTimeline", () => {
+  const draft = (tokens, times, start = times[0]) => ({
+    prefix: PREFIX,
+    tokens,
+    times,
+    start,
+  });
+
+  it("gives a window the tokens spoken inside it", () => {
+    const timeline = new DraftTimeline();
+    timeline.update(draft([1, 2, 3, 4], [0, 1, 2, 3]));
+    expect(timeline.slice(1, 3)).toEqual([2, 3]);
+  });
+
+  it("replaces what it held from a newer draft's start", () => {
+    const timeline = new DraftTimeline();
+    timeline.update(draft([1, 2, 3, 4], [0, 1, 2, 3]));
+    timeline.update(draft([7, 8], [2, 2.5], 1.5));
+    expect(timeline.tokens).toEqual([1, 2, 7, 8]);
+    expect(timeline.times).toEqual([0, 1, 2, 2.5]);
+  });
+
+  it("forgets the tokens before a time", () => {
+    const timeline = new DraftTimeline();
+    timeline.update(draft([1, 2, 3, 4], [0, 1, 2, 3]));
+    timeline.discardUntil(2);
+    expect(timeline.tokens).toEqual([3, 4]);
+
+    timeline.discardUntil(10);
+    expect(timeline.size).toBe(0);
+  });
+});
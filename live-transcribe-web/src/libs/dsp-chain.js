@@ -0,0 +1,416 @@
+/**
+ * DSP chain - Optional conditioning applied to captured audio before it
+ * reaches the models: high-pass filter, spectral noise reduction, gain with
+ * clipping detection, and loudness normalization followed by a limiter.
+ * Every stage works sample by sample on a stream, so it runs the same on the
+ * audio rendering thread and on a decoded file.
+ */
+
+/**
+ * DSP settings
+ * @typedef {Object} DspConfig
+ * @property {boolean} highPass - Remove rumble below highPassFrequency
+ * @property {number} highPassFrequency - Cutoff in Hz (default: 80)
+ * @property {boolean} noiseReduction - Suppress stationary noise (hiss, hum, fans)
+ * @property {number} noiseReductionDb - Maximum attenuation of noise in dB (default: 12)
+ * @property {boolean} gain - Apply gainDb
+ * @property {number} gainDb - Manual gain in dB (default: 0)
+ * @property {boolean} normalize - Level speech to targetLevelDb and limit peaks
+ * @property {number} targetLevelDb - Target RMS in dBFS (default: -20)
+ */
+export const DEFAULT_DSP_CONFIG = {
+  highPass: false,
+  highPassFrequency: 80,
+  noiseReduction: false,
+  noiseReductionDb: 12,
+  gain: false,
+  gainDb: 0,
+  normalize: false,
+  targetLevelDb: -20,
+};
+
+// Peaks are held below -1 dBFS by the limiter
+const LIMITER_CEILING = 0.89;
+
+// A sample at or above this magnitude counts as clipped
+const CLIP_LEVEL = 0.999;
+
+export class DspChain {
+  /**
+   * @param {number} sampleRate
+   * @param {DspConfig} config
+   */
+  constructor(sampleRate, config = {}) {
+    this.sampleRate = sampleRate;
+    this.highPassFilter = new HighPassFilter(sampleRate);
+    this.noiseReducer = new SpectralNoiseReducer();
+    this.normalizer = new LoudnessNormalizer(sampleRate);
+    this.configure(config);
+    this.resetLevels();
+  }
+
+  /**
+   * Change settings without dropping filter state
+   * @param {DspConfig} config
+   */
+  configure(config) {
+    this.config = { ...DEFAULT_DSP_CONFIG, ...config };
+    this.highPassFilter.setFrequency(this.config.highPassFrequency);
+    this.noiseReducer.setReduction(this.config.noiseReductionDb);
+    this.normalizer.setTarget(this.config.targetLevelDb);
+    this.gain = this.config.gain ? Math.pow(10, this.config.gainDb / 20) : 1;
+  }
+
+  reset() {
+    this.highPassFilter.reset();
+    this.noiseReducer.reset();
+    this.normalizer.reset();
+    this.resetLevels();
+  }
+
+  // Samples of delay the enabled stages add
+  getLatency() {
+    return this.config.noiseReduction ? this.noiseReducer.frameSize : 0;
+  }
+
+  /**
+   * Process samples in place
+   * @param {Float32Array} samples
+   * @returns {Float32Array} samples
+   */
+  process(samples) {
+    const { highPass, noiseReduction, normalize } = this.config;
+    const levels = this.levels;
+
+    for (let i = 0; i < samples.length; i++) {
+      const input = samples[i];
+      const inputMagnitude = Math.abs(input);
+      levels.inputSquares += input * input;
+      if (inputMagnitude > levels.inputPeak) levels.inputPeak = inputMagnitude;
+      if (inputMagnitude >= CLIP_LEVEL) levels.clipped++;
+
+      let sample = input;
+      if (highPass) sample = this.highPassFilter.process(sample);
+      if (noiseReduction) sample = this.noiseReducer.process(sample);
+      sample *= this.gain;
+      if (normalize) sample = this.normalizer.process(sample);
+
+      // Whatever is still out of range is clipped
+      if (sample >= CLIP_LEVEL || sample <= -CLIP_LEVEL) {
+        if (inputMagnitude < CLIP_LEVEL) levels.clipped++;
+        sample = sample > 0 ? Math.min(sample, 1) : Math.max(sample, -1);
+      }
+
+      const outputMagnitude = Math.abs(sample);
+      levels.outputSquares += sample * sample;
+      if (outputMagnitude > levels.outputPeak) {
+        levels.outputPeak = outputMagnitude;
+      }
+      samples[i] = sample;
+    }
+
+    levels.count += samples.length;
+    return samples;
+  }
+
+  /**
+   * Levels before and after the chain since the last call
+   * @returns {{input: {rms: number, peak: number}, output: {rms: number, peak: number}, clipped: number}}
+   */
+  takeLevels() {
+    const { count, inputSquares, inputPeak, outputSquares, outputPeak } =
+      this.levels;
+    const n = Math.max(1, count);
+    const result = {
+      input: { rms: Math.sqrt(inputSquares / n), peak: inputPeak },
+      output: { rms: Math.sqrt(outputSquares / n), peak: outputPeak },
+      clipped: this.levels.clipped,
+    };
+    this.resetLevels();
+    return result;
+  }
+
+  resetLevels() {
+    this.levels = {
+      count: 0,
+      inputSquares: 0,
+      inputPeak: 0,
+      outputSquares: 0,
+      outputPeak: 0,
+      clipped: 0,
+    };
+  }
+
+  /**
+   * Run a whole buffer through a fresh chain, compensating the latency so
+   * the output stays aligned with the input
+   * @param {Float32Array} samples
+   * @param {number} sampleRate
+   * @param {DspConfig} config
+   * @returns {Float32Array}
+   */
+  static processBuffer(samples, sampleRate, config) {
+    const chain = new DspChain(sampleRate, config);
+    const latency = chain.getLatency();
+    const padded = new Float32Array(samples.length + latency);
+    padded.set(samples);
+    return chain.process(padded).subarray(latency);
+  }
+}
+
+/**
+ * Second-order Butterworth high-pass (RBJ biquad)
+ */
+class HighPassFilter {
+  constructor(sampleRate) {
+    this.sampleRate = sampleRate;
+    this.frequency = 0;
+    this.reset();
+  }
+
+  setFrequency(frequency) {
+    if (frequency === this.frequency) return;
+    this.frequency = frequency;
+
+    const w0 = (2 * Math.PI * frequency) / this.sampleRate;
+    const alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+    const cos = Math.cos(w0);
+    const a0 = 1 + alpha;
+    this.b0 = (1 + cos) / 2 / a0;
+    this.b1 = -(1 + cos) / a0;
+    this.b2 = this.b0;
+    this.a1 = (-2 * cos) / a0;
+    this.a2 = (1 - alpha) / a0;
+  }
+
+  reset() {
+    this.x1 = this.x2 = this.y1 = this.y2 = 0;
+  }
+
+  process(x) {
+    const y =
+      this.b0 * x +
+      this.b1 * this.x1 +
+      this.b2 * this.x2 -
+      this.a1 * this.y1 -
+      this.a2 * this.y2;
+    this.x2 = this.x1;
+    this.x1 = x;
+    this.y2 = this.y1;
+    this.y1 = y;
+    return y;
+  }
+}
+
+/**
+ * STFT noise suppressor: tracks the noise floor per frequency bin and
+ * applies a decision-directed Wiener gain. Output is delayed by one frame.
+ */
+class SpectralNoiseReducer {
+  constructor(frameSize = 512) {
+    this.frameSize = frameSize;
+    this.hop = frameSize / 2;
+    this.bins = frameSize / 2 + 1;
+
+    // sqrt-Hann for analysis and synthesis; their product overlap-adds to 1
+    this.window = new Float32Array(frameSize);
+    for (let i = 0; i < frameSize; i++) {
+      this.window[i] = Math.sqrt(
+        0.5 - 0.5 * Math.cos((2 * Math.PI * i) / frameSize)
+      );
+    }
+
+    this.re = new Float64Array(frameSize);
+    this.im = new Float64Array(frameSize);
+    this.noise = new Float64Array(this.bins);
+    this.previousClean = new Float64Array(this.bins); // |gain * X|^2 of the last frame
+    this.gainFloor = 0.25;
+    this.reset();
+  }
+
+  setReduction(decibels) {
+    this.gainFloor = Math.pow(10, -Math.max(0, decibels) / 20);
+  }
+
+  reset() {
+    this.frame = new Float32Array(this.frameSize);
+    this.overlap = new Float32Array(this.frameSize);
+    this.hopInput = new Float32Array(this.hop);
+    this.hopOutput = new Float32Array(this.hop);
+    this.hopFill = 0;
+    this.noise.fill(0);
+    this.previousClean.fill(0);
+    this.frameCount = 0;
+  }
+
+  process(x) {
+    const position = this.hopFill;
+    this.hopInput[position] = x;
+    const y = this.hopOutput[position];
+    this.hopFill++;
+    if (this.hopFill === this.hop) {
+      this.processFrame();
+      this.hopFill = 0;
+    }
+    return y;
+  }
+
+  processFrame() {
+    const { frameSize, hop, bins, window, re, im, noise } = this;
+
+    this.frame.copyWithin(0, hop);
+    this.frame.set(this.hopInput, frameSize - hop);
+    for (let i = 0; i < frameSize; i++) {
+      re[i] = this.frame[i] * window[i];
+      im[i] = 0;
+    }
+    fft(re, im, false);
+
+    for (let k = 0; k < bins; k++) {
+      const power = re[k] * re[k] + im[k] * im[k];
+
+      // Noise floor: average frames that look like noise; creep up slowly
+      // (~10 %/s) otherwise so speech doesn't leak into the estimate
+      if (this.frameCount === 0) {
+        noise[k] = power;
+      } else if (power < 4 * noise[k] || this.frameCount < 10) {
+        noise[k] = 0.95 * noise[k] + 0.05 * power;
+      } else {
+        noise[k] *= 1.0015;
+      }
+
+      const noisePower = Math.max(noise[k], 1e-12);
+      const posterior = power / noisePower;
+      const prior =
+        0.98 * (this.previousClean[k] / noisePower) +
+        0.02 * Math.max(posterior - 1, 0);
+      const gain = Math.max(prior / (1 + prior), this.gainFloor);
+      this.previousClean[k] = gain * gain * power;
+
+      re[k] *= gain;
+      im[k] *= gain;
+      if (k > 0 && k < frameSize / 2) {
+        re[frameSize - k] *= gain;
+        im[frameSize - k] *= gain;
+      }
+    }
+    this.frameCount++;
+
+    fft(re, im, true);
+    for (let i = 0; i < frameSize; i++) {
+      this.overlap[i] += re[i] * window[i];
+    }
+    this.hopOutput.set(this.overlap.subarray(0, hop));
+    this.overlap.copyWithin(0, hop);
+    this.overlap.fill(0, frameSize - hop);
+  }
+}
+
+/**
+ * Slow automatic gain toward a target RMS, gated so silence isn't boosted,
+ * followed by a peak limiter
+ */
+class LoudnessNormalizer {
+  constructor(sampleRate) {
+    // Level detector time constant, gain slew and limiter release
+    this.levelCoef = Math.exp(-1 / (0.4 * sampleRate));
+    this.gainCoef = Math.exp(-1 / (0.5 * sampleRate));
+    this.releaseCoef = Math.exp(-1 / (0.05 * sampleRate));
+    this.gateLevel = Math.pow(10, -50 / 20);
+    this.minGain = Math.pow(10, -12 / 20);
+    this.maxGain = Math.pow(10, 24 / 20);
+    this.target = 0.1;
+    this.reset();
+  }
+
+  setTarget(decibels) {
+    this.target = Math.pow(10, decibels / 20);
+  }
+
+  reset() {
+    this.meanSquare = 0;
+    this.gain = 1;
+    this.limiterGain = 1;
+  }
+
+  process(x) {
+    this.meanSquare =
+      this.levelCoef * this.meanSquare + (1 - this.levelCoef) * x * x;
+    const level = Math.sqrt(this.meanSquare);
+
+    // Hold the gain through pauses instead of pumping up the noise
+    if (level > this.gateLevel) {
+      const desired = Math.min(
+        this.maxGain,
+        Math.max(this.minGain, this.target / level)
+      );
+      this.gain = this.gainCoef * this.gain + (1 - this.gainCoef) * desired;
+    }
+
+    const y = x * this.gain;
+    const magnitude = Math.abs(y);
+
+    // Instant attack, smooth release
+    this.limiterGain =
+      this.releaseCoef * this.limiterGain + (1 - this.releaseCoef);
+    if (magnitude * this.limiterGain > LIMITER_CEILING) {
+      this.limiterGain = LIMITER_CEILING / magnitude;
+    }
+    return y * this.limiterGain;
+  }
+}
+
+/**
+ * In-place iterative radix-2 complex FFT. The inverse is scaled by 1/n.
+ * @param {Float64Array} re
+ * @param {Float64Array} im
+ * @param {boolean} inverse
+ */
+function fft(re, im, inverse) {
+  const n = re.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      let t = re[i];
+      re[i] = re[j];
+      re[j] = t;
+      t = im[i];
+      im[i] = im[j];
+      im[j] = t;
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = ((inverse ? 2 : -2) * Math.PI) / size;
+    const wRe = Math.cos(angle);
+    const wIm = Math.sin(angle);
+    const half = size >> 1;
+    for (let start = 0; start < n; start += size) {
+      let curRe = 1;
+      let curIm = 0;
+      for (let k = 0; k < half; k++) {
+        const a = start + k;
+        const b = a + half;
+        const tRe = re[b] * curRe - im[b] * curIm;
+        const tIm = re[b] * curIm + im[b] * curRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+
+  if (inverse) {
+    for (let i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+}
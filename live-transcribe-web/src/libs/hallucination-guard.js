@@ -0,0 +1,236 @@
+/**
+ * Hallucination guard - Checks a chunk transcript before it is committed
+ * On silence or music Whisper tends to invent text ("Thank you for
+ * watching"), loop a phrase, or run on until the token limit. Following
+ * Whisper's own transcribe(), a transcript that looks wrong is decoded
+ * again at rising temperatures, and rejected if no attempt passes.
+ */
+
+import { normalizeWord } from "./text-stitcher.js";
+
+export const RejectReason = {
+  NO_SPEECH: "no_speech", // The model thinks nothing was said (not retried)
+  REPETITION: "repetition", // The same words looped back to back
+  COMPRESSION: "compression", // Text too repetitive to be speech
+  RUNAWAY: "runaway", // Generation hit the token limit
+  TOO_LONG: "too_long", // More text than the audio could hold
+  LOW_CONFIDENCE: "low_confidence", // Retried, but kept if nothing does better
+};
+
+export const DEFAULT_GUARD = {
+  compressionRatioThreshold: 2.4,
+  logprobThreshold: -1.0, // Average token log-probability
+  noSpeechThreshold: 0.6,
+  maxRepeats: 4, // Times an n-gram may occur back to back
+  maxCharsPerSecond: 30, // Fast speech stays well under 25
+  maxTokens: 448, // Whisper's decoder limit
+  // Each retry is a full decode; two keep a bad chunk from stalling the layer
+  temperatures: [0.4, 0.8],
+};
+
+// Longest phrase (in words) looked for when detecting loops
+const MAX_NGRAM = 8;
+
+// What Whisper writes over silence, learned from its subtitle training data
+const KNOWN_HALLUCINATIONS = [
+  "thank you",
+  "thank you for watching",
+  "thanks for watching",
+  "please subscribe",
+  "subscribe to my channel",
+  "subtitles by the amaraorg community",
+  "you",
+];
+
+/**
+ * @typedef {Object} Verdict
+ * @property {boolean} ok
+ * @property {string} [reason] - A RejectReason value
+ * @property {string} [detail] - What was measured, for the log
+ * @property {boolean} [retry] - Whether decoding again may help
+ */
+
+/**
+ * @typedef {Object} GuardedTranscript
+ * @property {string} text
+ * @property {number} [avgLogprob] - Average log-probability of the text tokens
+ * @property {number} [tokenCount] - Tokens in the generated sequence
+ */
+
+/**
+ * @typedef {Object} GuardedAudio
+ * @property {number} duration - Seconds of audio transcribed
+ * @property {function(): Promise<number>} [getNoSpeechProb] - Probability of
+ *   <|nospeech|>; costs a decoder pass, so only called for suspect text
+ */
+
+const PASS = { ok: true };
+
+/**
+ * Check a transcript, decoding again at each fallback temperature until one
+ * passes
+ * @param {GuardedTranscript} transcript - The first (greedy) decode
+ * @param {function(number, Verdict): Promise<GuardedTranscript>} redecode -
+ *   Transcribe the same audio at a temperature; given the failed verdict
+ * @param {GuardedAudio} audio
+ * @param {Object} [guard]
+ * @returns {Promise<{transcript: GuardedTranscript, verdict: Verdict}>}
+ */
+export async function guardTranscript(
+  transcript,
+  redecode,
+  audio,
+  guard = DEFAULT_GUARD
+) {
+  // Every attempt reads the same audio, so ask for no-speech once
+  let noSpeech = null;
+  const checkedAudio = {
+    ...audio,
+    getNoSpeechProb:
+      audio.getNoSpeechProb && (() => (noSpeech ??= audio.getNoSpeechProb())),
+  };
+
+  let verdict = await checkTranscript(transcript, checkedAudio, guard);
+  for (const temperature of guard.temperatures) {
+    if (verdict.ok || !verdict.retry) break;
+    transcript = await redecode(temperature, verdict);
+    verdict = await checkTranscript(transcript, checkedAudio, guard);
+  }
+
+  // Text that is only uncertain is kept; the display marks its words
+  if (verdict.reason === RejectReason.LOW_CONFIDENCE) {
+    return { transcript, verdict: PASS };
+  }
+  return { transcript, verdict };
+}
+
+/**
+ * Check one transcript
+ * @param {GuardedTranscript} transcript
+ * @param {GuardedAudio} audio
+ * @param {Object} [guard]
+ * @returns {Promise<Verdict>}
+ */
+export async function checkTranscript(
+  { text, avgLogprob, tokenCount = 0 },
+  { duration, getNoSpeechProb },
+  guard = DEFAULT_GUARD
+) {
+  const trimmed = text.trim();
+  if (!trimmed) return PASS;
+
+  // Silence: the model expects no speech and doubts (or has a stock line
+  // for) what it wrote
+  const lowConfidence =
+    avgLogprob !== undefined && avgLogprob < guard.logprobThreshold;
+  if (getNoSpeechProb && (lowConfidence || isKnownHallucination(trimmed))) {
+    const noSpeechProb = await getNoSpeechProb();
+    if (noSpeechProb > guard.noSpeechThreshold) {
+      return reject(
+        RejectReason.NO_SPEECH,
+        `no-speech probability ${noSpeechProb.toFixed(2)}`,
+        false
+      );
+    }
+  }
+
+  const repetition = findRepetition(trimmed, guard.maxRepeats);
+  if (repetition) {
+    return reject(
+      RejectReason.REPETITION,
+      `"${repetition.phrase}" repeated ${repetition.count} times`
+    );
+  }
+
+  const ratio = await getCompressionRatio(trimmed);
+  if (ratio > guard.compressionRatioThreshold) {
+    return reject(
+      RejectReason.COMPRESSION,
+      `compression ratio ${ratio.toFixed(2)}`
+    );
+  }
+
+  if (tokenCount >= guard.maxTokens) {
+    return reject(RejectReason.RUNAWAY, `${tokenCount} tokens`);
+  }
+
+  const charsPerSecond = duration > 0 ? trimmed.length / duration : 0;
+  if (charsPerSecond > guard.maxCharsPerSecond) {
+    return reject(
+      RejectReason.TOO_LONG,
+      `${trimmed.length} characters in ${duration.toFixed(1)}s`
+    );
+  }
+
+  if (lowConfidence) {
+    return reject(
+      RejectReason.LOW_CONFIDENCE,
+      `average log-probability ${avgLogprob.toFixed(2)}`
+    );
+  }
+
+  return PASS;
+}
+
+function reject(reason, detail, retry = true) {
+  return { ok: false, reason, detail, retry };
+}
+
+/**
+ * How well text compresses: UTF-8 bytes over deflated bytes. Speech is
+ * around 1-2; looping text compresses far better.
+ * @param {string} text
+ * @returns {Promise<number>}
+ */
+export async function getCompressionRatio(text) {
+  const bytes = new TextEncoder().encode(text);
+  if (bytes.length === 0) return 0;
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new CompressionStream("deflate"));
+  const compressed = await new Response(stream).arrayBuffer();
+  return bytes.length / compressed.byteLength;
+}
+
+/**
+ * Find a phrase of up to MAX_NGRAM words occurring more than maxRepeats
+ * times back to back
+ * @param {string} text
+ * @param {number} maxRepeats
+ * @returns {{phrase: string, count: number}|null}
+ */
+export function findRepetition(text, maxRepeats) {
+  const words = text.split(/\s+/).map(normalizeWord).filter(Boolean);
+  for (let n = 1; n <= MAX_NGRAM; n++) {
+    for (let i = 0; i + n * (maxRepeats + 1) <= words.length; i++) {
+      let count = 1;
+      while (sameRun(words, i, i + count * n, n)) count++;
+      if (count > maxRepeats) {
+        return { phrase: words.slice(i, i + n).join(" "), count };
+      }
+    }
+  }
+  return null;
+}
+
+function sameRun(words, a, b, n) {
+  if (b + n > words.length) return false;
+  for (let k = 0; k < n; k++) {
+    if (words[a + k] !== words[b + k]) return false;
+  }
+  return true;
+}
+
+/**
+ * Whether text is one of the lines Whisper writes over silence
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isKnownHallucination(text) {
+  const normalized = text
+    .split(/\s+/)
+    .map(normalizeWord)
+    .filter(Boolean)
+    .join(" ");
+  return KNOWN_HALLUCINATIONS.includes(normalized);
+}
@@ -0,0 +1,141 @@
+import { describe, expect, it, vi } from "vitest";
+import {
+  RejectReason,
+  checkTranscript,
+  findRepetition,
+  guardTranscript,
+  isKnownHallucination,
+} from "./hallucination-guard.js";
+
+const SPEECH = "we walked down to the harbour and watched the boats come in";
+
+describe("findRepetition", () => {
+  it("finds a phrase looped back to back", () => {
+    expect(findRepetition("I said " + "go on ".repeat(5), 4)).toEqual({
+      phrase: "go on",
+      count: 5,
+    });
+  });
+
+  it("allows up to maxRepeats", () => {
+    expect(findRepetition("no no no no, not that", 4)).toBeNull();
+  });
+
+  it("ignores repeats that are not back to back", () => {
+    const text = "the boat, the harbour, the sea, the sky";
+    expect(findRepetition(text, 2)).toBeNull();
+  });
+});
+
+describe("isKnownHallucination", () => {
+  it("matches the stock lines whatever the case and punctuation", () => {
+    expect(isKnownHallucination("Thank you for watching!")).toBe(true);
+    expect(isKnownHallucination("Thank you for the boats.")).toBe(false);
+  });
+});
+
+describe("checkTranscript", () => {
+  it("passes ordinary speech", async () => {
+    const verdict = await checkTranscript(
+      { text: SPEECH, avgLogprob: -0.3, tokenCount: 14 },
+      { duration: 4 }
+    );
+    expect(verdict).toEqual({ ok: true });
+  });
+
+  it("rejects silence without a retry", async () => {
+    const verdict = await checkTranscript(
+      { text: " Thank you.", avgLogprob: -0.2 },
+      { duration: 5, getNoSpeechProb: async () => 0.9 }
+    );
+    expect(verdict).toMatchObject({
+      ok: false,
+      reason: RejectReason.NO_SPEECH,
+      retry: false,
+    });
+  });
+
+  it("only asks for no-speech when the text is suspect", async () => {
+    const getNoSpeechProb = vi.fn(async () => 0.9);
+    await checkTranscript(
+      { text: SPEECH, avgLogprob: -0.3 },
+      { duration: 4, getNoSpeechProb }
+    );
+    expect(getNoSpeechProb).not.toHaveBeenCalled();
+  });
+
+  it("rejects a loop", async () => {
+    const verdict = await checkTranscript(
+      { text: "and then ".repeat(6) },
+      { duration: 5 }
+    );
+    expect(verdict).toMatchObject({
+      reason: RejectReason.REPETITION,
+      retry: true,
+    });
+  });
+
+  it("rejects a generation that hit the token limit", async () => {
+    const verdict = await checkTranscript(
+      { text: SPEECH, tokenCount: 448 },
+      { duration: 30 }
+    );
+    expect(verdict.reason).toBe(RejectReason.RUNAWAY);
+  });
+
+  it("rejects more text than the audio could hold", async () => {
+    const verdict = await checkTranscript({ text: SPEECH }, { duration: 1 });
+    expect(verdict.reason).toBe(RejectReason.TOO_LONG);
+  });
+
+  it("flags uncertain text", async () => {
+    const verdict = await checkTranscript(
+      { text: SPEECH, avgLogprob: -1.5 },
+      { duration: 4 }
+    );
+    expect(verdict.reason).toBe(RejectReason.LOW_CONFIDENCE);
+  });
+});
+
+describe("guardTranscript", () => {
+  it("decodes again until an attempt passes", async () => {
+    const redecode = vi.fn(async () => ({ text: SPEECH }));
+    const { transcript, verdict } = await guardTranscript(
+      { text: "and then ".repeat(6) },
+      redecode,
+      { duration: 4 }
+    );
+    expect(redecode).toHaveBeenCalledOnce();
+    expect(redecode.mock.calls[0][0]).toBe(0.4);
+    expect(transcript.text).toBe(SPEECH);
+    expect(verdict.ok).toBe(true);
+  });
+
+  it("asks for no-speech once over all attempts", async () => {
+    const getNoSpeechProb = vi.fn(async () => 0.1);
+    const redecode = async () => ({ text: SPEECH, avgLogprob: -2 });
+    await guardTranscript({ text: SPEECH, avgLogprob: -2 }, redecode, {
+      duration: 4,
+      getNoSpeechProb,
+    });
+    expect(getNoSpeechProb).toHaveBeenCalledOnce();
+  });
+
+  it("keeps uncertain text when no attempt does better", async () => {
+    const redecode = async () => ({ text: SPEECH, avgLogprob: -2 });
+    const { verdict } = await guardTranscript(
+      { text: SPEECH, avgLogprob: -2 },
+      redecode,
+      { duration: 4 }
+    );
+    expect(verdict).toEqual({ ok: true });
+  });
+
+  it("rejects when every attempt fails", async () => {
+    const loop = { text: "and then ".repeat(6) };
+    const { verdict } = await guardTranscript(loop, async () => loop, {
+      duration: 4,
+    });
+    expect(verdict.reason).toBe(RejectReason.REPETITION);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Inference scheduler - Runs jobs from several layers on one model
+ * A model can only run one pass at a time, so layers sharing it queue their
+ * passes here. Lower levels go first so L1 partials stay responsive; waiting
+ * jobs age so the long L4 chunks still get their share of the model. Each
+ * layer has at most one queued job: a newer request for the same layer
+ * replaces the queued one, and for latest-only layers (L1) the replaced job
+ * is counted as dropped since its result would already be stale.
+ */
+
+// Waiting this long lifts a job by one priority step
+const DEFAULT_AGING_MS = 2000;
+
+export class InferenceScheduler {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.agingMs] - Wait that raises a job one level
+   * @param {function(Error, number): void} [options.onError] - Job failure (error, level)
+   */
+  constructor({ agingMs = DEFAULT_AGING_MS, onError = null } = {}) {
+    this.agingMs = agingMs;
+    this.onError = onError;
+    this.queue = new Map(); // level -> { level, run, latestOnly, queuedAt }
+    this.running = null; // Level of the job on the model, or null
+    this.stats = { completed: 0, dropped: 0, busyMs: 0 };
+    this.levelStats = {}; // level -> { completed, dropped, waitMs }
+  }
+
+  /**
+   * Queue a pass for a layer
+   * @param {number} level - Lower levels run first
+   * @param {function(): Promise<void>} run
+   * @param {Object} [options]
+   * @param {boolean} [options.latestOnly] - Only the newest request matters (partials)
+   */
+  enqueue(level, run, { latestOnly = false } = {}) {
+    const queued = this.queue.get(level);
+    if (queued) {
+      // Keep the original wait so aging isn't reset by repeated requests
+      if (latestOnly) {
+        this.stats.dropped++;
+        this.getLevelStats(level).dropped++;
+      }
+      queued.run = run;
+      queued.latestOnly = latestOnly;
+    } else {
+      this.queue.set(level, {
+        level,
+        run,
+        latestOnly,
+        queuedAt: performance.now(),
+      });
+    }
+    this.dispatch();
+  }
+
+  // Drop a layer's queued job (layer removed or reset)
+  cancel(level) {
+    this.queue.delete(level);
+  }
+
+  isBusy() {
+    return this.running !== null;
+  }
+
+  /**
+   * The job to run next: the lowest level after aging, oldest first on ties
+   * @returns {Object|null}
+   */
+  pickNext(now = performance.now()) {
+    let best = null;
+    let bestScore = Infinity;
+    this.queue.forEach((job) => {
+      const score = job.level - (now - job.queuedAt) / this.agingMs;
+      if (
+        score < bestScore ||
+        (score === bestScore && job.queuedAt < best.queuedAt)
+      ) {
+        best = job;
+        bestScore = score;
+      }
+    });
+    return best;
+  }
+
+  async dispatch() {
+    if (this.running !== null) return;
+    const job = this.pickNext();
+    if (!job) return;
+
+    this.queue.delete(job.level);
+    this.running = job.level;
+    const startedAt = performance.now();
+    const levelStats = this.getLevelStats(job.level);
+    levelStats.waitMs = startedAt - job.queuedAt;
+
+    try {
+      await job.run();
+      this.stats.completed++;
+      levelStats.completed++;
+    } catch (error) {
+      if (this.onError) this.onError(error, job.level);
+    } finally {
+      this.stats.busyMs += performance.now() - startedAt;
+      this.running = null;
+    }
+    this.dispatch();
+  }
+
+  getLevelStats(level) {
+    if (!this.levelStats[level]) {
+      this.levelStats[level] = { completed: 0, dropped: 0, waitMs: 0 };
+    }
+    return this.levelStats[level];
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      queued: Array.from(this.queue.keys()),
+      running: this.running,
+      levels: this.levelStats,
+    };
+  }
+}
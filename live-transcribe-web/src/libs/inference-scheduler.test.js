@@ -0,0 +1,85 @@
+import { describe, expect, it, vi } from "vitest";
+import { InferenceScheduler } from "./inference-scheduler.js";
+
+// A job that holds the model until released
+function blockingJob() {
+  let release;
+  const done = new Promise((resolve) => (release = resolve));
+  return { run: () => done, release };
+}
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("InferenceScheduler", () => {
+  it("runs one job at a time, lowest level first", async () => {
+    const scheduler = new InferenceScheduler();
+    const order = [];
+    const first = blockingJob();
+    scheduler.enqueue(4, first.run);
+    scheduler.enqueue(3, async () => order.push(3));
+    scheduler.enqueue(1, async () => order.push(1));
+    expect(scheduler.running).toBe(4);
+
+    first.release();
+    await settle();
+    expect(order).toEqual([1, 3]);
+    expect(scheduler.getStats()).toMatchObject({
+      completed: 3,
+      running: null,
+    });
+  });
+
+  it("lets a long wait outrank a lower level", () => {
+    const scheduler = new InferenceScheduler({ agingMs: 1000 });
+    scheduler.queue.set(4, { level: 4, queuedAt: 0 });
+    scheduler.queue.set(1, { level: 1, queuedAt: 1000 });
+    expect(scheduler.pickNext(1000).level).toBe(1);
+
+    // L4 has now waited more than three aging steps longer than L1
+    scheduler.queue.set(1, { level: 1, queuedAt: 3500 });
+    expect(scheduler.pickNext(3500).level).toBe(4);
+  });
+
+  it("keeps one queued job per layer", async () => {
+    const scheduler = new InferenceScheduler();
+    const runs = [];
+    const first = blockingJob();
+    scheduler.enqueue(4, first.run);
+    scheduler.enqueue(1, async () => runs.push("old"), { latestOnly: true });
+    scheduler.enqueue(1, async () => runs.push("new"), { latestOnly: true });
+
+    first.release();
+    await settle();
+    expect(runs).toEqual(["new"]);
+    expect(scheduler.getStats().dropped).toBe(1);
+    expect(scheduler.levelStats[1]).toMatchObject({ completed: 1, dropped: 1 });
+  });
+
+  it("drops a cancelled job", async () => {
+    const scheduler = new InferenceScheduler();
+    const run = vi.fn(async () => {});
+    const first = blockingJob();
+    scheduler.enqueue(4, first.run);
+    scheduler.enqueue(2, run);
+    scheduler.cancel(2);
+
+    first.release();
+    await settle();
+    expect(run).not.toHaveBeenCalled();
+  });
+
+  it("reports a failed job and carries on", async () => {
+    const onError = vi.fn();
+    const scheduler = new InferenceScheduler({ onError });
+    const error = new Error("Out of memory");
+    const next = vi.fn(async () => {});
+    scheduler.enqueue(2, async () => {
+      throw error;
+    });
+    scheduler.enqueue(3, next);
+
+    await settle();
+    expect(onError).toHaveBeenCalledWith(error, 2);
+    expect(next).toHaveBeenCalled();
+  });
+});
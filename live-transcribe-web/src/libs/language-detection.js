@@ -0,0 +1,94 @@
+/**
+ * Language detection - Which language a window is spoken in
+ * Whisper names the language in the token it predicts right after
+ * <|startoftranscript|>; the scores of the language tokens there are its
+ * language ID. transformers.js skips this step (it decodes as English), so
+ * it is run here as one decoder step. A lock stops a layer from switching
+ * language mid-sentence once its detections have agreed for a while.
+ */
+
+// The language setting that asks for detection
+export const AUTO_LANGUAGE = "auto";
+
+/**
+ * Probability of each language, from the logits after <|startoftranscript|>
+ * (a softmax over the language tokens only, as Whisper's detect_language)
+ * @param {ArrayLike<number>} logits - One row of logits
+ * @param {Object<string, number>} langToId - generation_config.lang_to_id,
+ *   e.g. { "<|en|>": 50259 }
+ * @returns {Object<string, number>} Language code to probability
+ */
+export function getLanguageProbabilities(logits, langToId) {
+  const entries = Object.entries(langToId).map(([token, id]) => [
+    token.slice(2, -2),
+    logits[id],
+  ]);
+  const max = Math.max(...entries.map(([, logit]) => logit));
+  const sum = entries.reduce(
+    (total, [, logit]) => total + Math.exp(logit - max),
+    0
+  );
+  return Object.fromEntries(
+    entries.map(([language, logit]) => [language, Math.exp(logit - max) / sum])
+  );
+}
+
+/**
+ * The most likely language
+ * @param {Object<string, number>} probabilities
+ * @returns {{language: string, probability: number}|null}
+ */
+export function pickLanguage(probabilities) {
+  let best = null;
+  for (const [language, probability] of Object.entries(probabilities)) {
+    if (!best || probability > best.probability) {
+      best = { language, probability };
+    }
+  }
+  return best;
+}
+
+/**
+ * Holds a layer to one language after it was detected several times in a
+ * row. Until then every window is decoded in its own detected language.
+ */
+export class LanguageLock {
+  /**
+   * @param {number} [lockAfter=0] - Agreeing detections in a row to lock
+   *   after (0 = never lock)
+   */
+  constructor(lockAfter = 0) {
+    this.lockAfter = lockAfter;
+    this.reset();
+  }
+
+  reset() {
+    this.locked = null; // Language held, once locked
+    this.candidate = null; // Language of the current run of detections
+    this.streak = 0; // Detections in a row of the candidate
+  }
+
+  setLockAfter(lockAfter) {
+    this.lockAfter = lockAfter || 0;
+    if (this.lockAfter === 0) this.locked = null;
+  }
+
+  /**
+   * Record a window's detected language
+   * @param {string} language
+   * @returns {string} The language to decode the window in
+   */
+  observe(language) {
+    if (this.locked) return this.locked;
+    if (language === this.candidate) {
+      this.streak++;
+    } else {
+      this.candidate = language;
+      this.streak = 1;
+    }
+    if (this.lockAfter > 0 && this.streak >= this.lockAfter) {
+      this.locked = language;
+    }
+    return language;
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * Layer metrics - How stale each layer's text is and how fast it is made
+ * A layer shows its text some time after the words were spoken: it waits
+ * for its window to fill, for its turn on the model, then decodes. Latency
+ * runs from when the last audio of a result reached the page to when the
+ * result was shown. The real-time factor is decode time over audio time,
+ * and the queue is the audio received but not yet transcribed when the
+ * result came in. Each is a rolling series, summarized as p50/p95.
+ */
+
+// Older audio can no longer end a pending result
+const MAX_HISTORY_SECONDS = 300;
+
+// Results per series the percentiles are taken over
+const MAX_SAMPLES = 500;
+
+export const METRIC_UNITS = {
+  latency: "ms", // Speech to display
+  rtf: "x", // Decode time / audio time
+  queue: "s", // Audio waiting in the layer
+};
+
+/**
+ * Remembers when each stretch of audio reached the page, on the timeline of
+ * segment start/end (seconds of captured audio)
+ */
+export class ArrivalClock {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.entries = []; // { end, time }, in timeline order
+    this.position = 0; // Seconds of audio appended so far
+    this.start = 0; // Where the oldest entry kept begins
+  }
+
+  /**
+   * @param {number} duration - Seconds of audio that just arrived
+   * @param {number} time - performance.now() of its arrival
+   */
+  append(duration, time) {
+    this.position += duration;
+    this.entries.push({ end: this.position, time });
+    while (this.entries[0].end < this.position - MAX_HISTORY_SECONDS) {
+      this.start = this.entries.shift().end;
+    }
+  }
+
+  /**
+   * When the audio at a position arrived (a block arrives all at once)
+   * @param {number} position - Seconds
+   * @returns {number|null} null if it is not (or no longer) known
+   */
+  timeAt(position) {
+    const { entries } = this;
+    if (entries.length === 0) return null;
+    // Workers may round the end of the audio they were given
+    if (position < this.start || position > this.position + 0.01) {
+      return null;
+    }
+    let low = 0;
+    let high = entries.length - 1;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (entries[mid].end < position) low = mid + 1;
+      else high = mid;
+    }
+    return entries[low].time;
+  }
+}
+
+/**
+ * The latest values of one measurement
+ */
+export class MetricSeries {
+  constructor(limit = MAX_SAMPLES) {
+    this.limit = limit;
+    this.values = [];
+    this.count = 0; // All values added, including those dropped
+  }
+
+  add(value) {
+    if (value === null || !Number.isFinite(value)) return;
+    this.values.push(value);
+    if (this.values.length > this.limit) this.values.shift();
+    this.count++;
+  }
+
+  /**
+   * @returns {{count: number, last: number, mean: number, p50: number,
+   *   p95: number, max: number}|null} null before the first value
+   */
+  summary() {
+    const { values } = this;
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+      count: this.count,
+      last: round(values[values.length - 1]),
+      mean: round(values.reduce((sum, v) => sum + v, 0) / values.length),
+      p50: round(percentile(sorted, 50)),
+      p95: round(percentile(sorted, 95)),
+      max: round(sorted[sorted.length - 1]),
+    };
+  }
+}
+
+/**
+ * Latency, real-time factor and queue depth of one layer
+ */
+export class LayerMetrics {
+  constructor() {
+    this.series = Object.fromEntries(
+      Object.keys(METRIC_UNITS).map((metric) => [metric, new MetricSeries()])
+    );
+  }
+
+  /**
+   * @param {Object} values - Any of latency (ms), rtf, queue (s); null skips
+   */
+  record(values) {
+    Object.entries(values).forEach(([metric, value]) =>
+      this.series[metric]?.add(value)
+    );
+  }
+
+  /**
+   * @returns {Object} metric -> MetricSeries summary (null if none yet)
+   */
+  summary() {
+    return Object.fromEntries(
+      Object.entries(this.series).map(([metric, series]) => [
+        metric,
+        series.summary(),
+      ])
+    );
+  }
+}
+
+/**
+ * Nearest-rank percentile
+ * @param {number[]} sorted - Ascending
+ * @param {number} p - 0-100
+ * @returns {number}
+ */
+export function percentile(sorted, p) {
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+/**
+ * One row per layer and metric
+ * @param {Object} metrics - level -> LayerMetrics summary
+ * @returns {string}
+ */
+export function metricsToCsv(metrics) {
+  const columns = ["count", "last", "mean", "p50", "p95", "max"];
+  const rows = [["level", "metric", "unit", ...columns]];
+  Object.entries(metrics).forEach(([level, summary]) => {
+    Object.entries(summary).forEach(([metric, stats]) => {
+      if (!stats) return;
+      rows.push([
+        level,
+        metric,
+        METRIC_UNITS[metric],
+        ...columns.map((column) => stats[column]),
+      ]);
+    });
+  });
+  return rows.map((row) => row.join(",")).join("\n") + "\n";
+}
+
+/**
+ * @param {Object} metrics - level -> LayerMetrics summary
+ * @returns {string}
+ */
+export function metricsToJson(metrics) {
+  return JSON.stringify(
+    { exportedAt: new Date().toISOString(), units: METRIC_UNITS, metrics },
+    null,
+    2
+  );
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,372 @@
+/**
+ * Layer topology - The transcription layers described as data
+ * A topology is a list of layers, each turned into one worker. Levels are
+ * the L1-L4 slots the transcript, timing panel and speculative decoding are
+ * keyed by: L1 is the only layer that may stream partials, and L4 is the
+ * ground truth the copy and diff views use.
+ */
+
+export const LayerMode = {
+  CONTINUOUS: "continuous", // Re-transcribe a sliding window every stepSize
+  CHUNK: "chunk", // Transcribe fixed chunks of chunkSize
+};
+
+// What a layer writes (WhisperTask in whisper-inference.js)
+export const LayerTask = {
+  TRANSCRIBE: "transcribe", // The speech as spoken
+  TRANSLATE: "translate", // English
+  BOTH: "both", // Both, side by side (chunk)
+};
+
+export const MIN_LEVEL = 1;
+export const MAX_LEVEL = 4;
+
+// Whisper sees at most 30 s of audio per pass
+const MAX_WINDOW = 30;
+const MAX_BEAMS = 10;
+const QUANTS = ["q4", "q8", "fp16", "fp32"];
+
+/**
+ * One layer of the topology. model/quant/language left null use the
+ * global selection.
+ * @typedef {Object} LayerSpec
+ * @property {number} level - Slot 1-4
+ * @property {string} mode - A LayerMode value
+ * @property {string} task - A LayerTask value
+ * @property {number} [stepSize] - Seconds between passes (continuous)
+ * @property {number} [chunkSize] - Seconds per chunk (chunk)
+ * @property {number} [pauseTolerance] - Seconds a chunk may move to end at a pause (chunk)
+ * @property {number} [overlap] - Seconds of the previous chunk re-read as context (chunk)
+ * @property {boolean} [prompt] - Decode each chunk after the layer's previous text (chunk)
+ * @property {number} beams - Beam search width
+ * @property {string|null} model
+ * @property {string|null} quant
+ * @property {string|null} language
+ */
+
+/**
+ * @typedef {Object} Topology
+ * @property {string} name
+ * @property {LayerSpec[]} layers
+ */
+
+export const DEFAULT_TOPOLOGY = {
+  name: "Default",
+  layers: [
+    { level: 1, mode: LayerMode.CONTINUOUS, stepSize: 1, beams: 1 },
+    {
+      level: 2,
+      mode: LayerMode.CHUNK,
+      chunkSize: 5,
+      pauseTolerance: 1,
+      overlap: 1,
+      beams: 2,
+    },
+    {
+      level: 3,
+      mode: LayerMode.CHUNK,
+      chunkSize: 10,
+      pauseTolerance: 1.5,
+      overlap: 1.5,
+      beams: 3,
+    },
+    {
+      level: 4,
+      mode: LayerMode.CHUNK,
+      chunkSize: 20,
+      pauseTolerance: 2,
+      overlap: 2,
+      beams: 5,
+    },
+  ],
+};
+
+export const BUILTIN_TOPOLOGIES = [
+  DEFAULT_TOPOLOGY,
+  {
+    name: "Live captions",
+    layers: [
+      { level: 1, mode: LayerMode.CONTINUOUS, stepSize: 0.5, beams: 1 },
+      {
+        level: 2,
+        mode: LayerMode.CHUNK,
+        chunkSize: 3,
+        pauseTolerance: 0.5,
+        overlap: 0.5,
+        beams: 1,
+      },
+    ],
+  },
+  {
+    // Fast rough drafts, slow accurate ground truth
+    name: "Cascade (tiny to small)",
+    layers: [
+      {
+        level: 1,
+        mode: LayerMode.CONTINUOUS,
+        stepSize: 1,
+        beams: 1,
+        model: "Xenova/whisper-tiny",
+      },
+      {
+        level: 2,
+        mode: LayerMode.CHUNK,
+        chunkSize: 5,
+        pauseTolerance: 1,
+        overlap: 1,
+        beams: 2,
+        model: "Xenova/whisper-base",
+      },
+      {
+        level: 3,
+        mode: LayerMode.CHUNK,
+        chunkSize: 10,
+        pauseTolerance: 1.5,
+        overlap: 1.5,
+        beams: 3,
+        model: "Xenova/whisper-base",
+      },
+      {
+        level: 4,
+        mode: LayerMode.CHUNK,
+        chunkSize: 20,
+        pauseTolerance: 2,
+        overlap: 2,
+        beams: 5,
+        model: "Xenova/whisper-small",
+      },
+    ],
+  },
+  {
+    name: "Lecture",
+    layers: [
+      {
+        level: 4,
+        mode: LayerMode.CHUNK,
+        chunkSize: 26,
+        pauseTolerance: 2,
+        overlap: 2,
+        beams: 5,
+        // Terms recur across the whole talk
+        prompt: true,
+      },
+    ],
+  },
+  {
+    // Captions as spoken; the ground truth also in English alongside
+    name: "Translate to English",
+    layers: [
+      { level: 1, mode: LayerMode.CONTINUOUS, stepSize: 1, beams: 1 },
+      {
+        level: 2,
+        mode: LayerMode.CHUNK,
+        chunkSize: 5,
+        pauseTolerance: 1,
+        overlap: 1,
+        beams: 2,
+      },
+      {
+        level: 4,
+        mode: LayerMode.CHUNK,
+        task: LayerTask.BOTH,
+        chunkSize: 20,
+        pauseTolerance: 2,
+        overlap: 2,
+        beams: 5,
+      },
+    ],
+  },
+];
+
+/**
+ * Fill in defaults so every field of a layer is present
+ * @param {Object} layer
+ * @returns {LayerSpec}
+ */
+export function normalizeLayer(layer) {
+  const mode = layer.mode || LayerMode.CHUNK;
+  const normalized = {
+    level: Number(layer.level),
+    mode,
+    task: layer.task || LayerTask.TRANSCRIBE,
+    beams: layer.beams === undefined ? 1 : Number(layer.beams),
+    model: layer.model || null,
+    quant: layer.quant || null,
+    language: layer.language || null,
+  };
+  if (mode === LayerMode.CONTINUOUS) {
+    normalized.stepSize =
+      layer.stepSize === undefined ? 1 : Number(layer.stepSize);
+  } else {
+    normalized.chunkSize =
+      layer.chunkSize === undefined ? 5 : Number(layer.chunkSize);
+    // Default: let a chunk move by a tenth of its size to end at a pause
+    normalized.pauseTolerance =
+      layer.pauseTolerance === undefined
+        ? Math.round(normalized.chunkSize * 10) / 100
+        : Number(layer.pauseTolerance);
+    normalized.overlap =
+      layer.overlap === undefined ? 0 : Number(layer.overlap);
+    normalized.prompt = Boolean(layer.prompt);
+  }
+  return normalized;
+}
+
+/**
+ * Check a topology for problems the workers can't handle
+ * @param {Topology} topology
+ * @returns {{index: number, field: string, message: string}[]} Empty when valid
+ */
+export function validateTopology(topology) {
+  const errors = [];
+  const layers =
+    topology && Array.isArray(topology.layers) ? topology.layers : null;
+  if (!layers || layers.length === 0) {
+    return [{ index: -1, field: "layers", message: "Add at least one layer" }];
+  }
+
+  const seen = new Set();
+  layers.forEach((layer, index) => {
+    const fail = (field, message) =>
+      errors.push({ index, field, message: `Layer ${index + 1}: ${message}` });
+    const { level, mode, task, beams } = layer;
+
+    if (!Number.isInteger(level) || level < MIN_LEVEL || level > MAX_LEVEL) {
+      fail("level", `level must be ${MIN_LEVEL}-${MAX_LEVEL}`);
+    } else if (seen.has(level)) {
+      fail("level", `L${level} is used more than once`);
+    }
+    seen.add(level);
+
+    if (!Object.values(LayerMode).includes(mode)) {
+      fail("mode", `unknown mode "${mode}"`);
+    } else if (mode === LayerMode.CONTINUOUS) {
+      if (level !== MIN_LEVEL) {
+        fail("mode", "only L1 can run continuously");
+      }
+      if (!(layer.stepSize >= 0.25 && layer.stepSize <= 10)) {
+        fail("size", "step must be 0.25-10 s");
+      }
+    } else {
+      if (!(layer.chunkSize >= 1 && layer.chunkSize <= MAX_WINDOW)) {
+        fail("size", `chunk must be 1-${MAX_WINDOW} s`);
+      } else if (
+        !(layer.pauseTolerance >= 0) ||
+        layer.chunkSize + layer.pauseTolerance > MAX_WINDOW
+      ) {
+        fail("size", `chunk plus pause tolerance must fit in ${MAX_WINDOW} s`);
+      } else if (
+        !(layer.overlap >= 0 && layer.overlap < layer.chunkSize) ||
+        layer.chunkSize + layer.pauseTolerance + layer.overlap > MAX_WINDOW
+      ) {
+        // The overlap is read in the same pass as the chunk
+        fail(
+          "overlap",
+          `overlap must be shorter than the chunk and fit in ${MAX_WINDOW} s`
+        );
+      }
+    }
+
+    if (!Object.values(LayerTask).includes(task)) {
+      fail("task", `unknown task "${task}"`);
+    } else if (task === LayerTask.BOTH && mode === LayerMode.CONTINUOUS) {
+      // Partials are replaced too often to decode twice
+      fail("task", "only chunk layers can transcribe and translate");
+    }
+
+    if (!Number.isInteger(beams) || beams < 1 || beams > MAX_BEAMS) {
+      fail("beams", `beams must be 1-${MAX_BEAMS}`);
+    }
+    if (layer.quant && !QUANTS.includes(layer.quant)) {
+      fail("quant", `unknown quantization "${layer.quant}"`);
+    }
+    if (layer.model !== null && typeof layer.model !== "string") {
+      fail("model", "model must be a model ID");
+    }
+    if (layer.language !== null && typeof layer.language !== "string") {
+      fail("language", "language must be a language code");
+    }
+  });
+  return errors;
+}
+
+/**
+ * Parse an exported topology (or a bare array of layers)
+ * @param {string} json
+ * @returns {Topology}
+ * @throws {Error} If the JSON is malformed or the topology is invalid
+ */
+export function parseTopology(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Not valid JSON: ${error.message}`);
+  }
+  if (Array.isArray(data)) data = { layers: data };
+  if (!data || !Array.isArray(data.layers)) {
+    throw new Error('Expected an object with a "layers" array');
+  }
+
+  const topology = {
+    name: typeof data.name === "string" ? data.name : "Imported",
+    layers: data.layers.map(normalizeLayer),
+  };
+  const errors = validateTopology(topology);
+  if (errors.length > 0) {
+    throw new Error(errors.map((e) => e.message).join("; "));
+  }
+  return topology;
+}
+
+/**
+ * Serialize a topology for export
+ * @param {Topology} topology
+ * @returns {string}
+ */
+export function stringifyTopology(topology) {
+  return JSON.stringify(
+    { version: 1, name: topology.name, layers: topology.layers },
+    null,
+    2
+  );
+}
+
+/**
+ * The config a worker is configured with for a layer
+ * @param {LayerSpec} layer
+ * @returns {Object}
+ */
+export function toWorkerConfig(layer) {
+  const config = {
+    level: layer.level,
+    mode: layer.mode,
+    task: layer.task,
+    generationParams: {
+      num_beams: layer.beams,
+      do_sample: false,
+      early_stopping: true,
+    },
+  };
+  if (layer.mode === LayerMode.CONTINUOUS) {
+    config.stepSize = layer.stepSize;
+  } else {
+    config.chunkSize = layer.chunkSize;
+    config.pauseTolerance = layer.pauseTolerance;
+    config.overlap = layer.overlap;
+    config.contextPrompt = layer.prompt;
+  }
+  return config;
+}
+
+/**
+ * Short label for a layer, e.g. "5s chunks" or "continuous 1s"
+ * @param {LayerSpec} layer
+ * @returns {string}
+ */
+export function describeLayer(layer) {
+  return layer.mode === LayerMode.CONTINUOUS
+    ? `continuous ${layer.stepSize}s`
+    : `${layer.chunkSize}s chunks` +
+        (layer.overlap > 0 ? ` (+${layer.overlap}s overlap)` : "");
+}
@@ -0,0 +1,118 @@
+import { describe, expect, it } from "vitest";
+import {
+  BUILTIN_TOPOLOGIES,
+  LayerMode,
+  normalizeLayer,
+  parseTopology,
+  stringifyTopology,
+  validateTopology,
+} from "./layer-topology.js";
+
+const topology = (...layers) => ({
+  name: "Test",
+  layers: layers.map(normalizeLayer),
+});
+
+const fields = (errors) => errors.map((error) => error.field);
+
+describe("normalizeLayer", () => {
+  it("fills in a chunk layer's defaults", () => {
+    expect(normalizeLayer({ level: "2", chunkSize: 10 })).toEqual({
+      level: 2,
+      mode: LayerMode.CHUNK,
+      task: "transcribe",
+      beams: 1,
+      model: null,
+      quant: null,
+      language: null,
+      chunkSize: 10,
+      pauseTolerance: 1,
+      overlap: 0,
+      prompt: false,
+    });
+  });
+});
+
+describe("validateTopology", () => {
+  it("accepts the built-in topologies", () => {
+    for (const builtin of BUILTIN_TOPOLOGIES) {
+      expect(validateTopology(topology(...builtin.layers))).toEqual([]);
+    }
+  });
+
+  it("needs at least one layer", () => {
+    expect(fields(validateTopology({ layers: [] }))).toEqual(["layers"]);
+  });
+
+  it("rejects a level used twice", () => {
+    const errors = validateTopology(
+      topology({ level: 2, chunkSize: 5 }, { level: 2, chunkSize: 10 })
+    );
+    expect(errors).toEqual([
+      {
+        index: 1,
+        field: "level",
+        message: "Layer 2: L2 is used more than once",
+      },
+    ]);
+  });
+
+  it("only lets L1 run continuously", () => {
+    const errors = validateTopology(
+      topology({ level: 2, mode: LayerMode.CONTINUOUS })
+    );
+    expect(fields(errors)).toEqual(["mode"]);
+  });
+
+  it("keeps the window within 30 s", () => {
+    expect(
+      fields(validateTopology(topology({ level: 2, chunkSize: 31 })))
+    ).toEqual(["size"]);
+    expect(
+      fields(
+        validateTopology(
+          topology({ level: 2, chunkSize: 26, pauseTolerance: 2, overlap: 3 })
+        )
+      )
+    ).toEqual(["overlap"]);
+  });
+
+  it("rejects an unknown task and quantization", () => {
+    const errors = validateTopology(
+      topology({ level: 2, task: "summarize", quant: "q3" })
+    );
+    expect(fields(errors)).toEqual(["task", "quant"]);
+  });
+});
+
+describe("parseTopology", () => {
+  it("reads back an exported topology", () => {
+    const [, captions] = BUILTIN_TOPOLOGIES;
+    expect(parseTopology(stringifyTopology(captions))).toEqual({
+      ...topology(...captions.layers),
+      name: "Live captions",
+    });
+  });
+
+  it("accepts a bare array of layers", () => {
+    const parsed = parseTopology('[{ "level": 4, "chunkSize": 20 }]');
+    expect(parsed.name).toBe("Imported");
+    expect(parsed.layers[0]).toMatchObject({ level: 4, chunkSize: 20 });
+  });
+
+  it("rejects malformed JSON", () => {
+    expect(() => parseTopology("{ layers: ")).toThrow(/^Not valid JSON/);
+  });
+
+  it("rejects JSON without layers", () => {
+    expect(() => parseTopology('{ "name": "Empty" }')).toThrow(
+      'Expected an object with a "layers" array'
+    );
+  });
+
+  it("rejects an invalid topology with every problem", () => {
+    expect(() =>
+      parseTopology('[{ "level": 5, "chunkSize": 5, "beams": 20 }]')
+    ).toThrow("Layer 1: level must be 1-4; Layer 1: beams must be 1-10");
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * OggOpusWriter - Wraps raw Opus packets (e.g. from WebCodecs AudioEncoder)
+ * in an Ogg container (RFC 7845) so the result plays as a .opus file
+ */
+
+// Opus granule positions always count 48 kHz samples
+const GRANULE_RATE = 48000;
+
+// Encoder lookahead the decoder should drop (libopus default at 48 kHz)
+const DEFAULT_PRE_SKIP = 312;
+
+const HEADER_TYPE_BOS = 0x02;
+const HEADER_TYPE_EOS = 0x04;
+
+export class OggOpusWriter {
+  /**
+   * @param {Object} options
+   * @param {number} options.inputSampleRate - Rate of the original audio (informational)
+   * @param {number} options.channels - Channel count (default: 1)
+   * @param {number} options.preSkip - Samples at 48 kHz to skip on decode
+   */
+  constructor(options = {}) {
+    this.inputSampleRate = options.inputSampleRate || GRANULE_RATE;
+    this.channels = options.channels || 1;
+    this.preSkip = options.preSkip ?? DEFAULT_PRE_SKIP;
+    this.serial = (Math.random() * 0xffffffff) >>> 0;
+    this.sequence = 0;
+    this.granule = 0;
+    this.pages = []; // Uint8Array parts for the output Blob
+    this.pendingPacket = null; // Held back so the last page can carry EOS
+
+    this.writeHeaders();
+  }
+
+  writeHeaders() {
+    const head = new Uint8Array(19);
+    const view = new DataView(head.buffer);
+    head.set(ascii("OpusHead"), 0);
+    head[8] = 1; // Version
+    head[9] = this.channels;
+    view.setUint16(10, this.preSkip, true);
+    view.setUint32(12, this.inputSampleRate, true);
+    view.setInt16(16, 0, true); // Output gain
+    head[18] = 0; // Channel mapping family (mono/stereo)
+    this.writePage(head, 0, HEADER_TYPE_BOS);
+
+    const vendor = ascii("LiveTranscribe");
+    const tags = new Uint8Array(8 + 4 + vendor.length + 4);
+    const tagsView = new DataView(tags.buffer);
+    tags.set(ascii("OpusTags"), 0);
+    tagsView.setUint32(8, vendor.length, true);
+    tags.set(vendor, 12);
+    tagsView.setUint32(12 + vendor.length, 0, true); // No user comments
+    this.writePage(tags, 0, 0);
+  }
+
+  /**
+   * Add one encoded packet
+   * @param {Uint8Array} packet
+   * @param {number} durationSeconds - Audio duration the packet covers
+   */
+  addPacket(packet, durationSeconds) {
+    if (this.pendingPacket) {
+      this.writePage(this.pendingPacket, this.granule, 0);
+    }
+    this.granule += Math.round(durationSeconds * GRANULE_RATE);
+    this.pendingPacket = packet;
+  }
+
+  /**
+   * Finish the stream
+   * @returns {Blob}
+   */
+  finish() {
+    if (this.pendingPacket) {
+      this.writePage(this.pendingPacket, this.granule, HEADER_TYPE_EOS);
+      this.pendingPacket = null;
+    }
+    return new Blob(this.pages, { type: "audio/ogg; codecs=opus" });
+  }
+
+  // One packet per page keeps the lacing simple
+  writePage(packet, granule, headerType) {
+    const segments = Math.floor(packet.length / 255) + 1;
+    if (segments > 255) {
+      throw new Error(`Opus packet too large for one page: ${packet.length}`);
+    }
+
+    const page = new Uint8Array(27 + segments + packet.length);
+    const view = new DataView(page.buffer);
+    page.set(ascii("OggS"), 0);
+    page[4] = 0; // Version
+    page[5] = headerType;
+    view.setBigUint64(6, BigInt(granule), true);
+    view.setUint32(14, this.serial, true);
+    view.setUint32(18, this.sequence++, true);
+    view.setUint32(22, 0, true); // CRC, filled in below
+    page[26] = segments;
+    for (let i = 0; i < segments - 1; i++) {
+      page[27 + i] = 255;
+    }
+    page[27 + segments - 1] = packet.length % 255;
+    page.set(packet, 27 + segments);
+
+    view.setUint32(22, crc32(page), true);
+    this.pages.push(page);
+  }
+}
+
+function ascii(text) {
+  return Uint8Array.from(text, (c) => c.charCodeAt(0));
+}
+
+// Ogg uses the non-reflected CRC-32 with polynomial 0x04c11db7
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+      let r = i << 24;
+      for (let j = 0; j < 8; j++) {
+        r = r & 0x80000000 ? (r << 1) ^ 0x04c11db7 : r << 1;
+      }
+      crcTable[i] = r >>> 0;
+    }
+  }
+
+  let crc = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = ((crc << 8) ^ crcTable[((crc >>> 24) ^ bytes[i]) & 0xff]) >>> 0;
+  }
+  return crc;
+}
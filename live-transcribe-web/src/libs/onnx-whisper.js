@@ -9,8 +9,18 @@ import {
   AutoProcessor,
   AutoModelForSpeechSeq2Seq,
   TextStreamer,
+  Tensor,
   // } from "@huggingface/transformers";
 } from "https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.1.2";
+import { collectWords, supportsWordTimestamps } from "./word-timestamps.js";
+import {
+  TokenLogprobRecorder,
+  logProbability,
+  toProbabilities,
+  getSequenceConfidence,
+} from "./token-confidence.js";
+import { getInitTokens } from "./prompt-context.js";
+import { getLanguageProbabilities } from "./language-detection.js";
 
 /**
  * Configuration options for OnnxWhisper
@@ -30,6 +40,10 @@ import {
  * @property {Function} onUpdate - Callback for streaming updates (text, tokenCount, tps)
  * @property {boolean} skipSpecialTokens - Skip special tokens in output (default: true)
  * @property {boolean} skipPrompt - Skip prompt in output (default: true)
+ * @property {boolean} wordTimestamps - Also return timed words, if the model supports them (default: false)
+ * @property {number} temperature - Sample at this temperature instead of decoding greedily
+ * @property {number[]} promptIds - Earlier text to decode after (see prompt-context.js)
+ * @property {string} task - "transcribe" (default) or "translate" to English (multilingual models)
  */
 
 /**
@@ -65,6 +79,7 @@ export class OnnxWhisper {
     this.audioBuffer = new Float32Array(0);
     this.lastProcessedLength = 0;
     this.isProcessing = false;
+    this.startLogits = null; // First-step logits of the last audio read
 
     // Streaming configuration
     this.streamingConfig = {
@@ -163,7 +178,9 @@ export class OnnxWhisper {
    * Normal inference for complete audio
    * @param {Float32Array} audioData - Audio data to transcribe
    * @param {InferenceOptions} options - Inference options
-   * @returns {Promise<Object>} Result object with text, tokens, and tps
+   * @returns {Promise<Object>} Result object with text, tokens, tps,
+   *   confidence and avgLogprob (of the text tokens, when there are any)
+   *   and (with wordTimestamps) words timed from the start of audioData
    */
   async transcribe(audioData, options = {}) {
     if (!this.isReady()) {
@@ -212,28 +229,137 @@ export class OnnxWhisper {
         },
       });
 
+      // Token times need cross-attention outputs; other models skip them.
+      // English words do not line up with the speech they translate.
+      const task = options.task;
+      const timed =
+        options.wordTimestamps &&
+        task !== "translate" &&
+        supportsWordTimestamps(this.model);
+
+      // The prompt goes before the start tokens; the streamer skips it as
+      // it skips the start tokens, and it is cut off the sequence below
+      const promptIds = options.promptIds || [];
+      const cut = promptIds.length;
+
       // Generate transcription
-      await this.model.generate({
+      const temperature = options.temperature;
+      const recorder = new TokenLogprobRecorder({ temperature });
+      const output = await this.model.generate({
         ...inputs,
         max_new_tokens: maxNewTokens,
         language: language,
+        ...(task && { task }),
         streamer: streamer,
+        logits_processor: [recorder.record],
+        ...(temperature && { do_sample: true, temperature }),
+        ...(cut > 0 && {
+          decoder_input_ids: [
+            [
+              ...promptIds,
+              ...getInitTokens(this.tokenizer, this.model, language, task),
+            ],
+          ],
+        }),
+        ...(timed && {
+          return_token_timestamps: true,
+          num_frames: Math.floor(
+            audioData.length /
+              (this.processor.feature_extractor.config.hop_length || 160)
+          ),
+        }),
       });
 
       const elapsed = performance.now() - (startTime || performance.now());
       const tps = startTime ? (tokenCount / elapsed) * 1000 : 0;
+      const fullSequence = (timed ? output.sequences : output).tolist()[0];
+      const logprobs = recorder.finish(fullSequence).slice(cut);
+      const sequence = fullSequence.slice(cut);
 
       return {
         text: accumulatedText.trim(),
         tokens: tokenCount,
         tps: tps,
         duration: elapsed,
+        ...getSequenceConfidence(
+          sequence,
+          logprobs,
+          this.tokenizer.model.tokens_to_ids.get("<|endoftext|>")
+        ),
+        words: timed
+          ? collectWords(
+              this.tokenizer,
+              sequence,
+              output.token_timestamps.tolist()[0].slice(cut),
+              { language, probabilities: toProbabilities(logprobs) }
+            )
+          : undefined,
       };
     } finally {
       this.isProcessing = false;
     }
   }
 
+  /**
+   * Probability the audio holds no speech: the <|nospeech|> score right
+   * after <|startoftranscript|>
+   * @param {Float32Array} audioData
+   * @returns {Promise<number>}
+   */
+  async getNoSpeechProbability(audioData) {
+    const ids = this.tokenizer.model.tokens_to_ids;
+    // Older exports name the token <|nocaptions|>
+    const noSpeech = ids.get("<|nospeech|>") ?? ids.get("<|nocaptions|>");
+    if (noSpeech === undefined) return 0;
+
+    const row = await this._getStartLogits(audioData);
+    return Math.exp(logProbability(row, noSpeech));
+  }
+
+  /**
+   * Probability of each language the audio may be spoken in (multilingual
+   * models; see language-detection.js)
+   * @param {Float32Array} audioData
+   * @returns {Promise<Object<string, number>|null>} null for English-only models
+   */
+  async getLanguageProbabilities(audioData) {
+    const langToId = this.model.generation_config?.lang_to_id;
+    if (!this.model.generation_config?.is_multilingual || !langToId) {
+      return null;
+    }
+    return getLanguageProbabilities(
+      await this._getStartLogits(audioData),
+      langToId
+    );
+  }
+
+  /**
+   * Logits of the token after <|startoftranscript|>. Kept for the last
+   * audio read, so language ID and the no-speech check share one pass.
+   * @private
+   * @param {Float32Array} audioData
+   * @returns {Promise<Float32Array>}
+   */
+  async _getStartLogits(audioData) {
+    if (this.startLogits?.audioData !== audioData) {
+      const ids = this.tokenizer.model.tokens_to_ids;
+      const inputs = await this.processor(audioData);
+      const { logits } = await this.model({
+        ...inputs,
+        decoder_input_ids: new Tensor(
+          "int64",
+          new BigInt64Array([BigInt(ids.get("<|startoftranscript|>"))]),
+          [1, 1]
+        ),
+      });
+      this.startLogits = {
+        audioData,
+        row: logits.data.subarray(0, logits.dims[2]),
+      };
+    }
+    return this.startLogits.row;
+  }
+
   /**
    * Add audio chunk to streaming buffer
    * @param {Float32Array} audioData - Audio chunk to add
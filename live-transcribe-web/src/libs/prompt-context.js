@@ -0,0 +1,84 @@
+/**
+ * Prompt context - Text a chunk is decoded after, as Whisper prompt ids
+ * Each chunk is otherwise decoded from scratch, so names and jargon come
+ * out spelled differently every time. Whisper can be given earlier text
+ * after <|startofprev|>, before <|startoftranscript|>: it then carries on in
+ * the same spelling and style. The prompt holds the user's glossary and the
+ * end of what the layer transcribed before.
+ */
+
+// Whisper reads at most half its 448-token context as prompt
+export const MAX_PROMPT_TOKENS = 223;
+
+// Earlier text kept per layer; the prompt only takes its end
+const MAX_HISTORY_CHARS = 1000;
+
+/**
+ * Split glossary text into terms (one per line or comma separated)
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseGlossary(text) {
+  const terms = (text || "")
+    .split(/[\n,]/)
+    .map((term) => term.trim())
+    .filter(Boolean);
+  return [...new Set(terms)];
+}
+
+/**
+ * Append a segment's text to a layer's history, keeping only the end
+ * @param {string} history
+ * @param {string} text
+ * @returns {string}
+ */
+export function appendHistory(history, text) {
+  if (!text) return history;
+  const joined = history ? `${history} ${text.trim()}` : text.trim();
+  return joined.slice(-MAX_HISTORY_CHARS);
+}
+
+/**
+ * Prompt ids for a chunk: <|startofprev|>, then the glossary, then the end
+ * of the earlier text (closest to the new chunk)
+ * @param {Object} tokenizer - A Whisper tokenizer
+ * @param {Object} context
+ * @param {string[]} [context.glossary]
+ * @param {string} [context.history] - Earlier text of the layer
+ * @returns {number[]} Empty when there is nothing to prompt with
+ */
+export function buildPromptIds(tokenizer, { glossary = [], history = "" }) {
+  const encode = (text) =>
+    text ? tokenizer.encode(` ${text}`, { add_special_tokens: false }) : [];
+
+  // The glossary is kept whole if it fits; history fills what is left
+  const glossaryIds = encode(glossary.join(", ")).slice(
+    0,
+    MAX_PROMPT_TOKENS - 1
+  );
+  const room = MAX_PROMPT_TOKENS - 1 - glossaryIds.length;
+  const historyIds = room > 0 ? encode(history.trim()).slice(-room) : [];
+  if (glossaryIds.length === 0 && historyIds.length === 0) return [];
+
+  const startOfPrev = tokenizer.model.tokens_to_ids.get("<|startofprev|>");
+  return [startOfPrev, ...glossaryIds, ...historyIds];
+}
+
+/**
+ * The tokens Whisper starts a transcript with: <|startoftranscript|>, then
+ * (multilingual models) language and task, then <|notimestamps|>
+ * @param {Object} tokenizer
+ * @param {Object} model - A transformers.js Whisper model
+ * @param {string|null} language - Language code; null decodes as English
+ * @param {string} [task]
+ * @returns {number[]}
+ */
+export function getInitTokens(tokenizer, model, language, task = "transcribe") {
+  const ids = tokenizer.model.tokens_to_ids;
+  const tokens = [ids.get("<|startoftranscript|>")];
+  if (model.generation_config?.is_multilingual) {
+    tokens.push(ids.get(`<|${language || "en"}|>`), ids.get(`<|${task}|>`));
+  }
+  tokens.push(ids.get("<|notimestamps|>"));
+  return tokens.filter((token) => token !== undefined);
+}
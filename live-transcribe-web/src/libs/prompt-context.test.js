@@ -0,0 +1,90 @@
+import { describe, expect, it } from "vitest";
+import {
+  MAX_PROMPT_TOKENS,
+  appendHistory,
+  buildPromptIds,
+  getInitTokens,
+  parseGlossary,
+} from "./prompt-context.js";
+
+const START_OF_PREV = 50361;
+
+// One token per character, so token counts are easy to follow
+const tokenizer = {
+  encode: (text) => Array.from(text, (char) => char.charCodeAt(0)),
+  model: {
+    tokens_to_ids: new Map([
+      ["<|startofprev|>", START_OF_PREV],
+      ["<|startoftranscript|>", 50258],
+      ["<|en|>", 50259],
+      ["<|fr|>", 50265],
+      ["<|transcribe|>", 50359],
+      ["<|notimestamps|>", 50363],
+    ]),
+  },
+};
+
+const decode = (ids) => String.fromCharCode(...ids);
+
+describe("parseGlossary", () => {
+  it("splits on lines and commas, without blanks or duplicates", () => {
+    expect(parseGlossary("Kubernetes, etcd\n\n  Helm \netcd")).toEqual([
+      "Kubernetes",
+      "etcd",
+      "Helm",
+    ]);
+  });
+});
+
+describe("appendHistory", () => {
+  it("keeps the end of the text", () => {
+    expect(appendHistory("first part", " second part ")).toBe(
+      "first part second part"
+    );
+    expect(appendHistory("x".repeat(1000), "end")).toHaveLength(1000);
+    expect(appendHistory("x".repeat(1000), "end").endsWith(" end")).toBe(true);
+  });
+});
+
+describe("buildPromptIds", () => {
+  it("is empty with nothing to prompt with", () => {
+    expect(buildPromptIds(tokenizer, {})).toEqual([]);
+  });
+
+  it("puts the glossary before the history", () => {
+    const ids = buildPromptIds(tokenizer, {
+      glossary: ["etcd", "Helm"],
+      history: "we deployed it",
+    });
+    expect(ids[0]).toBe(START_OF_PREV);
+    expect(decode(ids.slice(1))).toBe(" etcd, Helm we deployed it");
+  });
+
+  it("keeps the end of the history that fits", () => {
+    const history = "a".repeat(300) + " the end";
+    const ids = buildPromptIds(tokenizer, { glossary: ["etcd"], history });
+    expect(ids).toHaveLength(MAX_PROMPT_TOKENS);
+    expect(decode(ids.slice(1, 6))).toBe(" etcd");
+    expect(decode(ids).endsWith("a the end")).toBe(true);
+  });
+
+  it("cuts a glossary longer than the prompt", () => {
+    const glossary = ["x".repeat(400)];
+    const ids = buildPromptIds(tokenizer, { glossary, history: "ignored" });
+    expect(ids).toHaveLength(MAX_PROMPT_TOKENS);
+    expect(decode(ids)).not.toContain("ignored");
+  });
+});
+
+describe("getInitTokens", () => {
+  it("adds language and task for multilingual models", () => {
+    const model = { generation_config: { is_multilingual: true } };
+    expect(getInitTokens(tokenizer, model, "fr")).toEqual([
+      50258, 50265, 50359, 50363,
+    ]);
+  });
+
+  it("is only the start and no-timestamps for English models", () => {
+    expect(getInitTokens(tokenizer, {}, "fr")).toEqual([50258, 50363]);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Replay buffer - Recent audio a layer has not turned into segments yet
+ * The Transcriber keeps one per layer. Audio is appended as it is sent to
+ * the layer and dropped once the layer emits a segment covering it, so a
+ * worker restarted after a crash can be given back exactly the audio its
+ * predecessor lost. Positions are in audio seconds on the worker timeline.
+ */
+
+const DEFAULT_MAX_SECONDS = 60;
+
+export class ReplayBuffer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxSeconds] - Older audio is dropped beyond this
+   * @param {number} [options.sampleRate]
+   */
+  constructor({ maxSeconds = DEFAULT_MAX_SECONDS, sampleRate = 16000 } = {}) {
+    this.sampleRate = sampleRate;
+    this.maxSamples = Math.floor(maxSeconds * sampleRate);
+    this.chunks = []; // Float32Array pieces, oldest first
+    this.startSample = 0; // Timeline position of the first held sample
+    this.endSample = 0; // Timeline position after the last appended sample
+  }
+
+  get start() {
+    return this.startSample / this.sampleRate;
+  }
+
+  get end() {
+    return this.endSample / this.sampleRate;
+  }
+
+  get length() {
+    return this.endSample - this.startSample;
+  }
+
+  append(samples) {
+    if (samples.length === 0) return;
+    this.chunks.push(samples);
+    this.endSample += samples.length;
+    if (this.length > this.maxSamples) {
+      this.discardSamples(this.length - this.maxSamples);
+    }
+  }
+
+  /**
+   * Drop the audio before a timeline position (the end of an emitted segment)
+   * @param {number} time - Seconds
+   */
+  discardUntil(time) {
+    const sample = Math.min(this.endSample, Math.round(time * this.sampleRate));
+    if (sample > this.startSample) {
+      this.discardSamples(sample - this.startSample);
+    }
+  }
+
+  // Drop everything held, keeping the position (a commit discards the buffer)
+  clear() {
+    this.chunks = [];
+    this.startSample = this.endSample;
+  }
+
+  /**
+   * Restart at a position with nothing held
+   * @param {number} [position] - Seconds
+   */
+  reset(position = 0) {
+    this.chunks = [];
+    this.startSample = Math.round(position * this.sampleRate);
+    this.endSample = this.startSample;
+  }
+
+  /**
+   * The held audio as one array
+   * @returns {{start: number, audio: Float32Array}}
+   */
+  read() {
+    const audio = new Float32Array(this.length);
+    let offset = 0;
+    this.chunks.forEach((chunk) => {
+      audio.set(chunk, offset);
+      offset += chunk.length;
+    });
+    return { start: this.start, audio };
+  }
+
+  discardSamples(count) {
+    this.startSample += count;
+    while (count > 0 && this.chunks.length > 0) {
+      const chunk = this.chunks[0];
+      if (chunk.length <= count) {
+        this.chunks.shift();
+        count -= chunk.length;
+      } else {
+        this.chunks[0] = chunk.subarray(count);
+        count = 0;
+      }
+    }
+  }
+}
@@ -0,0 +1,59 @@
+import { describe, expect, it } from "vitest";
+import { ReplayBuffer } from "./replay-buffer.js";
+
+// Sample rate of 10 so positions read as tenths of a second
+const RATE = 10;
+
+const ramp = (from, length) =>
+  Float32Array.from({ length }, (_, i) => from + i);
+
+describe("ReplayBuffer", () => {
+  it("gives back the appended audio and where it starts", () => {
+    const buffer = new ReplayBuffer({ sampleRate: RATE });
+    buffer.append(ramp(0, 10));
+    buffer.append(ramp(10, 5));
+    const { start, audio } = buffer.read();
+    expect(start).toBe(0);
+    expect(Array.from(audio)).toEqual(Array.from(ramp(0, 15)));
+    expect(buffer.end).toBe(1.5);
+  });
+
+  it("drops the audio an emitted segment covers", () => {
+    const buffer = new ReplayBuffer({ sampleRate: RATE });
+    buffer.append(ramp(0, 10));
+    buffer.append(ramp(10, 10));
+    buffer.discardUntil(1.2);
+    const { start, audio } = buffer.read();
+    expect(start).toBe(1.2);
+    expect(Array.from(audio)).toEqual(Array.from(ramp(12, 8)));
+  });
+
+  it("never discards past what it holds", () => {
+    const buffer = new ReplayBuffer({ sampleRate: RATE });
+    buffer.append(ramp(0, 10));
+    buffer.discardUntil(5);
+    expect(buffer.length).toBe(0);
+    expect(buffer.start).toBe(1);
+  });
+
+  it("holds at most maxSeconds", () => {
+    const buffer = new ReplayBuffer({ maxSeconds: 1, sampleRate: RATE });
+    buffer.append(ramp(0, 8));
+    buffer.append(ramp(8, 8));
+    const { start, audio } = buffer.read();
+    expect(start).toBe(0.6);
+    expect(Array.from(audio)).toEqual(Array.from(ramp(6, 10)));
+  });
+
+  it("keeps its position when cleared and moves it when reset", () => {
+    const buffer = new ReplayBuffer({ sampleRate: RATE });
+    buffer.append(ramp(0, 10));
+    buffer.clear();
+    expect(buffer.read()).toEqual({ start: 1, audio: new Float32Array(0) });
+
+    buffer.reset(4);
+    buffer.append(ramp(0, 5));
+    expect(buffer.start).toBe(4);
+    expect(buffer.end).toBe(4.5);
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Resampler - Streaming polyphase windowed-sinc sample rate converter
+ * Converts between any two integer rates (e.g. 44.1/48 kHz capture to the
+ * 16 kHz Whisper expects) with an anti-aliasing low-pass built in.
+ */
+
+/**
+ * Resampler options
+ * @typedef {Object} ResamplerOptions
+ * @property {number} zeroCrossings - Sinc zero crossings per side; more = sharper filter, more CPU (default: 16)
+ * @property {number} rolloff - Cutoff as a fraction of the lower Nyquist rate (default: 0.94)
+ * @property {number} blockSize - Expected input block length; longer blocks grow the buffers once (default: 128, one render quantum)
+ */
+
+export class Resampler {
+  /**
+   * @param {number} inputRate - Input sample rate in Hz
+   * @param {number} outputRate - Output sample rate in Hz
+   * @param {ResamplerOptions} options
+   */
+  constructor(inputRate, outputRate, options = {}) {
+    this.inputRate = Math.round(inputRate);
+    this.outputRate = Math.round(outputRate);
+
+    // Reduce the ratio to upsample by L, downsample by M
+    const divisor = gcd(this.inputRate, this.outputRate);
+    this.up = this.outputRate / divisor;
+    this.down = this.inputRate / divisor;
+
+    const zeroCrossings = options.zeroCrossings || 16;
+    const rolloff = options.rolloff || 0.94;
+
+    // Cutoff relative to the input rate; widen the filter when decimating
+    this.cutoff = Math.min(1, this.up / this.down) * rolloff;
+    this.halfLength = Math.ceil(zeroCrossings / this.cutoff);
+    this.taps = 2 * this.halfLength;
+    this.filters = this.buildFilterBank();
+
+    // Reused across calls so the audio thread doesn't allocate per block
+    const blockSize = options.blockSize || 128;
+    this.buffer = new Float32Array(
+      this.taps + Math.ceil(this.down / this.up) + blockSize
+    );
+    this.output = new Float32Array(
+      Math.ceil((blockSize * this.up) / this.down) + 1
+    );
+
+    this.reset();
+  }
+
+  /**
+   * One filter per output phase: filters[p][k] weights input sample
+   * i - halfLength + 1 + k for an output at input position i + p / up
+   */
+  buildFilterBank() {
+    const filters = [];
+    for (let phase = 0; phase < this.up; phase++) {
+      const filter = new Float32Array(this.taps);
+      const fraction = phase / this.up;
+      let sum = 0;
+      for (let k = 0; k < this.taps; k++) {
+        const x = k - this.halfLength + 1 - fraction;
+        filter[k] =
+          this.cutoff * sinc(this.cutoff * x) * blackman(x, this.halfLength);
+        sum += filter[k];
+      }
+      // Unity gain at DC for every phase
+      for (let k = 0; k < this.taps; k++) {
+        filter[k] /= sum;
+      }
+      filters.push(filter);
+    }
+    return filters;
+  }
+
+  reset() {
+    // Start with a zero history so the first outputs have full support
+    this.buffer.fill(0, 0, this.halfLength);
+    this.bufferLength = this.halfLength;
+    this.bufferStart = -this.halfLength; // Input index of buffer[0]
+    this.outputIndex = 0;
+  }
+
+  /**
+   * Resample the next block of a continuous stream
+   * @param {Float32Array} input
+   * @returns {Float32Array} Resampled samples available so far, in a buffer
+   *   the next call overwrites
+   */
+  process(input) {
+    if (this.up === this.down) return input;
+
+    const length = this.bufferLength + input.length;
+    if (length > this.buffer.length) {
+      const grown = new Float32Array(length);
+      grown.set(this.buffer.subarray(0, this.bufferLength));
+      this.buffer = grown;
+    }
+    const { buffer } = this;
+    buffer.set(input, this.bufferLength);
+    const bufferEnd = this.bufferStart + length;
+
+    // Outputs whose whole filter support has arrived
+    const lastInput = bufferEnd - this.halfLength - 1;
+    const maxOutputs = Math.max(
+      0,
+      Math.floor((lastInput * this.up) / this.down) - this.outputIndex + 1
+    );
+    if (maxOutputs > this.output.length) {
+      this.output = new Float32Array(maxOutputs);
+    }
+    const { output } = this;
+
+    for (let n = 0; n < maxOutputs; n++) {
+      const position = (this.outputIndex + n) * this.down;
+      const center = Math.floor(position / this.up);
+      const filter = this.filters[position - center * this.up];
+      const offset = center - this.halfLength + 1 - this.bufferStart;
+
+      let sum = 0;
+      for (let k = 0; k < this.taps; k++) {
+        sum += buffer[offset + k] * filter[k];
+      }
+      output[n] = sum;
+    }
+    this.outputIndex += maxOutputs;
+
+    // Keep only the history the next output still needs
+    const nextCenter = Math.floor((this.outputIndex * this.down) / this.up);
+    const keepFrom = Math.max(
+      0,
+      nextCenter - this.halfLength + 1 - this.bufferStart
+    );
+    buffer.copyWithin(0, keepFrom, length);
+    this.bufferLength = length - keepFrom;
+    this.bufferStart += keepFrom;
+
+    return output.subarray(0, maxOutputs);
+  }
+
+  /**
+   * Emit the samples held back for filter look-ahead (end of stream)
+   * @returns {Float32Array}
+   */
+  flush() {
+    if (this.up === this.down) return new Float32Array(0);
+    return this.process(new Float32Array(this.halfLength));
+  }
+
+  /**
+   * Resample a complete signal in one go
+   * @param {Float32Array} input
+   * @param {number} inputRate
+   * @param {number} outputRate
+   * @returns {Float32Array}
+   */
+  static resample(input, inputRate, outputRate) {
+    if (Math.round(inputRate) === Math.round(outputRate)) return input;
+
+    const resampler = new Resampler(inputRate, outputRate, {
+      blockSize: input.length,
+    });
+
+    // Trim to the exact expected length; copy the head out before flush()
+    // reuses its buffer
+    const length = Math.round((input.length * outputRate) / inputRate);
+    const output = new Float32Array(length);
+    const head = resampler.process(input);
+    const headLength = head.length;
+    output.set(head.subarray(0, length));
+    if (headLength < length) {
+      const tail = resampler.flush();
+      output.set(tail.subarray(0, length - headLength), headLength);
+    }
+    return output;
+  }
+}
+
+function gcd(a, b) {
+  while (b) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+}
+
+function sinc(x) {
+  if (x === 0) return 1;
+  const px = Math.PI * x;
+  return Math.sin(px) / px;
+}
+
+// Blackman window over [-halfLength, halfLength]
+function blackman(x, halfLength) {
+  const t = (x + halfLength) / (2 * halfLength);
+  if (t < 0 || t > 1) return 0;
+  return (
+    0.42 - 0.5 * Math.cos(2 * Math.PI * t) + 0.08 * Math.cos(4 * Math.PI * t)
+  );
+}
@@ -0,0 +1,110 @@
+import { describe, expect, it } from "vitest";
+import { Resampler } from "./resampler.js";
+
+function sine(frequency, sampleRate, length) {
+  return Float32Array.from({ length }, (_, i) =>
+    Math.sin((2 * Math.PI * frequency * i) / sampleRate)
+  );
+}
+
+function maxDifference(a, b) {
+  let max = 0;
+  for (let i = 0; i < a.length; i++) max = Math.max(max, Math.abs(a[i] - b[i]));
+  return max;
+}
+
+function rms(samples) {
+  let sum = 0;
+  for (const sample of samples) sum += sample * sample;
+  return Math.sqrt(sum / samples.length);
+}
+
+// Feed a signal in blocks and join what comes out; each block's output is
+// copied before the next call reuses the buffer
+function stream(resampler, input, blockSize) {
+  const parts = [];
+  for (let offset = 0; offset < input.length; offset += blockSize) {
+    const block = input.subarray(offset, offset + blockSize);
+    parts.push(resampler.process(block).slice());
+  }
+  parts.push(resampler.flush().slice());
+  const output = new Float32Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    output.set(part, offset);
+    offset += part.length;
+  }
+  return output;
+}
+
+describe("Resampler", () => {
+  it("reduces the rate ratio", () => {
+    const resampler = new Resampler(48000, 16000);
+    expect(resampler.up).toBe(1);
+    expect(resampler.down).toBe(3);
+
+    const cd = new Resampler(44100, 16000);
+    expect(cd.up).toBe(160);
+    expect(cd.down).toBe(441);
+  });
+
+  it("passes audio through when the rates match", () => {
+    const input = sine(440, 16000, 128);
+    expect(new Resampler(16000, 16000).process(input)).toBe(input);
+    expect(Resampler.resample(input, 16000, 16000)).toBe(input);
+  });
+
+  it("resamples a whole signal to the expected length", () => {
+    const input = sine(440, 48000, 48000);
+    expect(Resampler.resample(input, 48000, 16000)).toHaveLength(16000);
+    expect(Resampler.resample(input, 44100, 16000)).toHaveLength(
+      Math.round((48000 * 16000) / 44100)
+    );
+  });
+
+  it("keeps a tone in the passband at its level", () => {
+    const output = Resampler.resample(sine(1000, 48000, 48000), 48000, 16000);
+    // Skip the filter's warm-up and tail
+    const steady = output.subarray(1000, output.length - 1000);
+    expect(rms(steady)).toBeCloseTo(Math.SQRT1_2, 2);
+  });
+
+  it("removes a tone above the output Nyquist rate", () => {
+    const output = Resampler.resample(sine(12000, 48000, 48000), 48000, 16000);
+    const steady = output.subarray(1000, output.length - 1000);
+    expect(rms(steady)).toBeLessThan(0.01);
+  });
+
+  it("gives the same output whatever the block size", () => {
+    const input = sine(440, 44100, 44100);
+    const whole = stream(new Resampler(44100, 16000), input, input.length);
+    const quanta = stream(new Resampler(44100, 16000), input, 128);
+    const uneven = stream(new Resampler(44100, 16000), input, 1000);
+
+    expect(quanta).toHaveLength(whole.length);
+    expect(uneven).toHaveLength(whole.length);
+    expect(maxDifference(quanta, whole)).toBeLessThan(1e-6);
+    expect(maxDifference(uneven, whole)).toBeLessThan(1e-6);
+  });
+
+  it("reuses its buffers for render quanta", () => {
+    const resampler = new Resampler(48000, 16000);
+    const block = sine(440, 48000, 128);
+    resampler.process(block);
+    const { buffer, output } = resampler;
+    for (let i = 0; i < 100; i++) resampler.process(block);
+
+    expect(resampler.buffer).toBe(buffer);
+    expect(resampler.output).toBe(output);
+  });
+
+  it("starts over after reset", () => {
+    const input = sine(440, 48000, 4800);
+    const resampler = new Resampler(48000, 16000);
+    const first = resampler.process(input).slice();
+    resampler.process(sine(3000, 48000, 4800));
+    resampler.reset();
+
+    expect(resampler.process(input)).toEqual(first);
+  });
+});
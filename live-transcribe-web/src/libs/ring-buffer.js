@@ -0,0 +1,147 @@
+/**
+ * RingBuffer - Single-writer, multi-reader audio ring buffer on a SharedArrayBuffer
+ * The capture worklet writes; the main thread and each inference worker read
+ * with their own cursor, so a slow reader never holds up the others.
+ */
+
+// Header layout (Int32 slots)
+const WRITE_INDEX = 0; // Total samples written, wraps at 2^32
+const SAMPLE_RATE = 1;
+const HEADER_SLOTS = 4;
+const HEADER_BYTES = HEADER_SLOTS * Int32Array.BYTES_PER_ELEMENT;
+
+export class RingBuffer {
+  /**
+   * Allocate a new shared ring buffer
+   * @param {number} capacity - Capacity in samples, must be a power of two
+   * @param {number} sampleRate - Sample rate of the stored audio
+   * @returns {RingBuffer}
+   */
+  static create(capacity, sampleRate) {
+    if (capacity <= 0 || (capacity & (capacity - 1)) !== 0) {
+      throw new Error(
+        `Ring buffer capacity must be a power of two: ${capacity}`
+      );
+    }
+
+    const buffer = new SharedArrayBuffer(
+      HEADER_BYTES + capacity * Float32Array.BYTES_PER_ELEMENT
+    );
+    const ring = new RingBuffer(buffer);
+    Atomics.store(ring.header, WRITE_INDEX, 0);
+    Atomics.store(ring.header, SAMPLE_RATE, sampleRate);
+    return ring;
+  }
+
+  /**
+   * Wrap an existing shared buffer (e.g. one received in a worker)
+   * @param {SharedArrayBuffer} buffer
+   */
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.header = new Int32Array(buffer, 0, HEADER_SLOTS);
+    this.data = new Float32Array(buffer, HEADER_BYTES);
+    this.capacity = this.data.length;
+    this.mask = this.capacity - 1;
+  }
+
+  get sampleRate() {
+    return Atomics.load(this.header, SAMPLE_RATE);
+  }
+
+  /**
+   * Total number of samples written so far (modulo 2^32)
+   */
+  getWriteIndex() {
+    return Atomics.load(this.header, WRITE_INDEX) >>> 0;
+  }
+
+  /**
+   * Append samples (writer side only)
+   * @param {Float32Array} samples
+   */
+  write(samples) {
+    const writeIndex = this.getWriteIndex();
+    const start = writeIndex & this.mask;
+    const first = Math.min(samples.length, this.capacity - start);
+
+    this.data.set(samples.subarray(0, first), start);
+    if (first < samples.length) {
+      this.data.set(samples.subarray(first), 0);
+    }
+
+    // Publish only after the samples are in place
+    Atomics.store(this.header, WRITE_INDEX, (writeIndex + samples.length) | 0);
+  }
+
+  /**
+   * Create a reader with its own cursor
+   * @param {number} startIndex - Absolute sample index to start reading from
+   */
+  createReader(startIndex = this.getWriteIndex()) {
+    return new RingBufferReader(this, startIndex);
+  }
+}
+
+export class RingBufferReader {
+  constructor(ring, startIndex) {
+    this.ring = ring;
+    this.readIndex = startIndex >>> 0;
+    this.droppedSamples = 0; // Samples lost because the writer lapped us
+  }
+
+  /**
+   * Number of samples waiting to be read
+   */
+  available() {
+    return (this.ring.getWriteIndex() - this.readIndex) >>> 0;
+  }
+
+  /**
+   * Read up to maxSamples samples
+   * @param {number} maxSamples
+   * @returns {Float32Array}
+   */
+  read(maxSamples = Infinity) {
+    let available = this.available();
+
+    // Fell behind by more than a full buffer: skip the overwritten audio
+    if (available > this.ring.capacity) {
+      const dropped = available - this.ring.capacity;
+      this.readIndex = (this.readIndex + dropped) >>> 0;
+      this.droppedSamples += dropped;
+      available = this.ring.capacity;
+      console.warn(`[RingBuffer] Reader overrun, dropped ${dropped} samples`);
+    }
+
+    const count = Math.min(available, maxSamples);
+    const output = new Float32Array(count);
+    const start = this.readIndex & this.ring.mask;
+    const first = Math.min(count, this.ring.capacity - start);
+
+    output.set(this.ring.data.subarray(start, start + first));
+    if (first < count) {
+      output.set(this.ring.data.subarray(0, count - first), first);
+    }
+
+    this.readIndex = (this.readIndex + count) >>> 0;
+    return output;
+  }
+}
+
+/**
+ * Poll a shared ring buffer from a worker and hand new audio to a callback
+ * @param {SharedArrayBuffer} buffer - Ring buffer received from the main thread
+ * @param {number} startIndex - Absolute sample index to start reading from
+ * @param {Function} onAudio - Called with each Float32Array of new samples
+ * @param {number} intervalMs - Poll interval
+ * @returns {Function} Stops polling
+ */
+export function pollRingBuffer(buffer, startIndex, onAudio, intervalMs = 100) {
+  const reader = new RingBuffer(buffer).createReader(startIndex);
+  const timer = setInterval(() => {
+    if (reader.available() === 0) return;
+    onAudio(reader.read());
+  }, intervalMs);
+  return () => clearInterval(timer);
+}
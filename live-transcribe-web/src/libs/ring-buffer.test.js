@@ -0,0 +1,96 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { RingBuffer, pollRingBuffer } from "./ring-buffer.js";
+
+function ramp(from, length) {
+  return Float32Array.from({ length }, (_, i) => from + i);
+}
+
+describe("RingBuffer", () => {
+  it("only accepts a power-of-two capacity", () => {
+    expect(() => RingBuffer.create(1000, 16000)).toThrow(/power of two/);
+    expect(() => RingBuffer.create(0, 16000)).toThrow(/power of two/);
+    expect(RingBuffer.create(1024, 16000).capacity).toBe(1024);
+  });
+
+  it("stores its sample rate in the shared header", () => {
+    const ring = RingBuffer.create(16, 48000);
+    expect(new RingBuffer(ring.buffer).sampleRate).toBe(48000);
+  });
+
+  it("reads what was written, across the wrap", () => {
+    const ring = RingBuffer.create(8, 16000);
+    const reader = ring.createReader();
+    ring.write(ramp(0, 6));
+    expect(reader.read()).toEqual(ramp(0, 6));
+
+    ring.write(ramp(6, 5)); // Wraps around the end
+    expect(reader.available()).toBe(5);
+    expect(reader.read()).toEqual(ramp(6, 5));
+    expect(reader.available()).toBe(0);
+  });
+
+  it("reads at most maxSamples", () => {
+    const ring = RingBuffer.create(16, 16000);
+    const reader = ring.createReader();
+    ring.write(ramp(0, 10));
+
+    expect(reader.read(4)).toEqual(ramp(0, 4));
+    expect(reader.read()).toEqual(ramp(4, 6));
+  });
+
+  it("gives each reader its own cursor", () => {
+    const ring = RingBuffer.create(16, 16000);
+    const early = ring.createReader();
+    ring.write(ramp(0, 4));
+    const late = ring.createReader();
+    ring.write(ramp(4, 4));
+
+    expect(early.read()).toEqual(ramp(0, 8));
+    expect(late.read()).toEqual(ramp(4, 4));
+  });
+
+  it("starts a reader at a given index", () => {
+    const ring = RingBuffer.create(16, 16000);
+    ring.write(ramp(0, 10));
+    expect(ring.createReader(6).read()).toEqual(ramp(6, 4));
+  });
+
+  it("skips the audio a slow reader was lapped on", () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const ring = RingBuffer.create(8, 16000);
+    const reader = ring.createReader();
+    ring.write(ramp(0, 12));
+
+    expect(reader.read()).toEqual(ramp(4, 8));
+    expect(reader.droppedSamples).toBe(4);
+  });
+});
+
+describe("pollRingBuffer", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("hands new audio from the start index to the callback", () => {
+    vi.useFakeTimers();
+    const ring = RingBuffer.create(64, 16000);
+    ring.write(ramp(0, 10));
+    const received = [];
+    const stop = pollRingBuffer(ring.buffer, 4, (audio) =>
+      received.push(audio)
+    );
+
+    vi.advanceTimersByTime(100);
+    expect(received).toEqual([ramp(4, 6)]);
+
+    vi.advanceTimersByTime(100); // Nothing new
+    ring.write(ramp(10, 3));
+    vi.advanceTimersByTime(100);
+    expect(received).toEqual([ramp(4, 6), ramp(10, 3)]);
+
+    stop();
+    ring.write(ramp(13, 3));
+    vi.advanceTimersByTime(100);
+    expect(received).toHaveLength(2);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Shared inference worker - Several layers on one worker and one model
+ * Each layer gets a port that looks like a Worker to the Transcriber
+ * (postMessage, onmessage, onerror, terminate). What a port sends is tagged
+ * with its level, and replies are routed back by the level the worker puts
+ * on them, so the Transcriber handles the same messages as with one worker
+ * per layer.
+ */
+
+export class SharedInferenceWorker {
+  constructor() {
+    this.worker = new Worker(
+      new URL("../workers/shared-inference.worker.js", import.meta.url),
+      { type: "module" }
+    );
+    this.ports = new Map(); // level -> LayerPort
+    this.failed = false; // The worker crashed; its layers must move to a new one
+
+    this.worker.onmessage = (e) => {
+      const port = this.ports.get(e.data.level);
+      if (port) {
+        if (port.onmessage) port.onmessage(e);
+        return;
+      }
+      // Not for one layer (loading progress, status): tell all of them
+      this.ports.forEach((p) => p.onmessage && p.onmessage(e));
+    };
+    this.worker.onerror = (error) => {
+      this.failed = true;
+      this.worker.terminate();
+      Array.from(this.ports.values()).forEach(
+        (p) => p.onerror && p.onerror(error)
+      );
+    };
+  }
+
+  /**
+   * Add a layer to the worker
+   * @param {number} level
+   * @returns {LayerPort}
+   */
+  createPort(level) {
+    const port = new LayerPort(this, level);
+    this.ports.set(level, port);
+    return port;
+  }
+
+  // Remove a layer; the worker stops when its last layer is gone
+  release(port) {
+    if (this.ports.get(port.level) !== port) return;
+    this.ports.delete(port.level);
+    if (this.failed) return;
+    if (this.ports.size === 0) {
+      this.worker.terminate();
+    } else {
+      this.worker.postMessage({ type: "remove", level: port.level });
+    }
+  }
+
+  isAlive() {
+    return !this.failed && this.ports.size > 0;
+  }
+}
+
+class LayerPort {
+  constructor(owner, level) {
+    this.owner = owner;
+    this.level = level;
+    this.onmessage = null;
+    this.onerror = null;
+  }
+
+  postMessage(message) {
+    this.owner.worker.postMessage({ ...message, level: this.level });
+  }
+
+  terminate() {
+    this.owner.release(this);
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * SpeechDetector - Turns per-frame speech probabilities into speech
+ * start/end decisions using onset/offset hysteresis and a minimum silence
+ * duration. Probabilities can come from a neural VAD or the energy fallback.
+ */
+
+/**
+ * Detector settings
+ * @typedef {Object} SpeechDetectorConfig
+ * @property {number} onsetThreshold - Probability that starts speech (default: 0.5)
+ * @property {number} offsetThreshold - Probability below which silence is counted (default: 0.35)
+ * @property {number} minSilenceDuration - Seconds of silence that end speech (default: 2.0)
+ */
+
+export const DEFAULT_SPEECH_DETECTOR_CONFIG = {
+  onsetThreshold: 0.5,
+  offsetThreshold: 0.35,
+  minSilenceDuration: 2.0,
+};
+
+// RMS above this counts as speech when no VAD model is available
+export const ENERGY_SPEECH_THRESHOLD = 0.01;
+
+export class SpeechDetector {
+  /**
+   * @param {SpeechDetectorConfig} config
+   */
+  constructor(config = {}) {
+    this.configure(config);
+    this.reset();
+  }
+
+  /**
+   * @param {SpeechDetectorConfig} config
+   */
+  configure(config = {}) {
+    this.config = {
+      ...DEFAULT_SPEECH_DETECTOR_CONFIG,
+      ...this.config,
+      ...config,
+    };
+
+    // Offset above onset would make speech end while still "speaking"
+    if (this.config.offsetThreshold > this.config.onsetThreshold) {
+      this.config.offsetThreshold = this.config.onsetThreshold;
+    }
+  }
+
+  reset() {
+    this.isSpeaking = false;
+    this.silenceDuration = 0;
+    this.lastProbability = 0;
+  }
+
+  /**
+   * Feed one frame's speech probability
+   * @param {number} probability - Speech probability in [0, 1]
+   * @param {number} frameDuration - Frame length in seconds
+   * @returns {"speech_start"|"speech_end"|null} Transition caused by this frame
+   */
+  update(probability, frameDuration) {
+    this.lastProbability = probability;
+
+    if (!this.isSpeaking) {
+      if (probability >= this.config.onsetThreshold) {
+        this.isSpeaking = true;
+        this.silenceDuration = 0;
+        return "speech_start";
+      }
+      return null;
+    }
+
+    if (probability >= this.config.offsetThreshold) {
+      this.silenceDuration = 0;
+      return null;
+    }
+
+    this.silenceDuration += frameDuration;
+    if (this.silenceDuration >= this.config.minSilenceDuration) {
+      this.isSpeaking = false;
+      this.silenceDuration = 0;
+      return "speech_end";
+    }
+    return null;
+  }
+
+  /**
+   * Energy-based stand-in for a speech probability
+   * @param {Float32Array} samples
+   * @returns {number} 1 if the RMS is above the speech threshold, else 0
+   */
+  static energyProbability(samples) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sum += samples[i] * samples[i];
+    }
+    const rms = Math.sqrt(sum / samples.length);
+    return rms > ENERGY_SPEECH_THRESHOLD ? 1 : 0;
+  }
+}
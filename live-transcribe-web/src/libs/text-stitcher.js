@@ -0,0 +1,148 @@
+/**
+ * Text stitcher - Reconciles the text of overlapping chunk windows
+ * When a chunk layer re-reads the end of the previous chunk as context, the
+ * words spoken in that overlap appear in both transcripts. The stitcher
+ * aligns the tail of the previous segment with the head of the new one and
+ * keeps each word once. A word the previous chunk cut in half is taken from
+ * the new window, which heard it whole, and the previous segment is revised.
+ * When nothing lines up, the words heard in the context are dropped by their
+ * timestamps, or by a word count when the window has none.
+ */
+
+// Rough speaking rate used to bound the alignment search
+const WORDS_PER_SECOND = 4;
+
+// Previous words after the matched run that may be replaced (cut words)
+const MAX_REPLACED_WORDS = 2;
+
+export class ChunkStitcher {
+  constructor() {
+    this.reset();
+  }
+
+  // Forget the previous segment (new utterance or new source)
+  reset() {
+    this.previous = null; // { text, start, end, words } of the last segment
+  }
+
+  /**
+   * Stitch a new segment onto the previous one
+   * @param {Object} segment
+   * @param {string} segment.text - Transcript of the whole window (context + chunk)
+   * @param {number} segment.start - Start (s) of the new audio
+   * @param {number} segment.end - End (s) of the new audio
+   * @param {Array<{text: string, start: number}>} [segment.words] - Timed words of the window
+   * @param {number} overlap - Seconds of the previous chunk the window re-read (0 = none)
+   * @returns {{text: string, words: Array|undefined, revised: Object|null}}
+   *   The text and words to emit, and the previous segment if its text changed
+   */
+  stitch({ text, start, end, words }, overlap = 0) {
+    let stitched = { text, words };
+    let revised = null;
+    const previous = this.previous;
+
+    if (overlap > 0 && text) {
+      const previousUnits = previous?.text ? splitUnits(previous) : null;
+      const units = splitUnits({ text, words });
+      const match =
+        previousUnits &&
+        findOverlap(
+          previousUnits,
+          units,
+          Math.ceil(overlap * WORDS_PER_SECOND) + 2
+        );
+
+      if (match) {
+        stitched = sliceUnits({ text, words }, units, match.currentEnd);
+        if (match.previousEnd < previousUnits.length) {
+          revised = {
+            ...sliceUnits(previous, previousUnits, 0, match.previousEnd),
+            start: previous.start,
+            end: previous.end,
+          };
+        }
+      } else {
+        // The context was emitted with the previous segment already
+        stitched = sliceUnits(
+          { text, words },
+          units,
+          countContextUnits(words, start, overlap)
+        );
+      }
+    }
+
+    this.previous = { ...stitched, start, end };
+    return { ...stitched, revised };
+  }
+}
+
+// Words of a segment, each with its leading whitespace so they join back
+function splitUnits({ text, words }) {
+  return words ? words.map((word) => word.text) : text.match(/\s*\S+/g) || [];
+}
+
+// Leading words of a window that came from its context: those timed before
+// the new audio, or without times about as many as are spoken in it
+function countContextUnits(words, start, overlap) {
+  if (!words) return Math.round(overlap * WORDS_PER_SECOND);
+  const firstNew = words.findIndex((word) => word.start >= start);
+  return firstNew < 0 ? words.length : firstNew;
+}
+
+function sliceUnits({ words }, units, from, to = units.length) {
+  return {
+    text: units.slice(from, to).join("").trim(),
+    words: words ? words.slice(from, to) : undefined,
+  };
+}
+
+/**
+ * Find the longest run of words shared by the tail of previousWords and the
+ * head of words
+ * @param {string[]} previousWords
+ * @param {string[]} words - Words may keep their leading whitespace
+ * @param {number} maxWords - How far from the boundary to look
+ * @returns {{previousEnd: number, currentEnd: number}|null} Exclusive end of
+ *   the run in each array, or null if nothing reliable lines up
+ */
+export function findOverlap(previousWords, words, maxWords) {
+  const tailStart = Math.max(0, previousWords.length - maxWords);
+  const tail = previousWords.slice(tailStart).map(normalizeWord);
+  const head = words.slice(0, maxWords).map(normalizeWord);
+
+  // Longest common run; lengths[i][j] = run ending at tail[i-1], head[j-1]
+  let best = null;
+  let previousRow = new Array(head.length + 1).fill(0);
+  for (let i = 1; i <= tail.length; i++) {
+    const row = new Array(head.length + 1).fill(0);
+    for (let j = 1; j <= head.length; j++) {
+      if (tail[i - 1] && tail[i - 1] === head[j - 1]) {
+        row[j] = previousRow[j - 1] + 1;
+        if (!best || row[j] >= best.length) {
+          best = { length: row[j], tailEnd: i, headEnd: j };
+        }
+      }
+    }
+    previousRow = row;
+  }
+  if (!best) return null;
+
+  // A single short word ("the", "a") lines up by chance too easily
+  const lastWord = tail[best.tailEnd - 1];
+  if (best.length < 2 && lastWord.length < 5) return null;
+
+  // The run has to reach (nearly) the end of the previous segment
+  const previousEnd = tailStart + best.tailEnd;
+  if (previousWords.length - previousEnd > MAX_REPLACED_WORDS) return null;
+
+  return { previousEnd, currentEnd: best.headEnd };
+}
+
+/**
+ * A word as compared: without case or punctuation
+ * @param {string} word
+ * @returns {string}
+ */
+export function normalizeWord(word) {
+  return word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, "");
+}
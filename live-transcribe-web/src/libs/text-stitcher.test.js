@@ -0,0 +1,157 @@
+import { describe, expect, it } from "vitest";
+import { ChunkStitcher, findOverlap, normalizeWord } from "./text-stitcher.js";
+
+const split = (text) => text.match(/\s*\S+/g);
+
+// Timed words, one every `step` seconds from `start`
+function timedWords(text, start, step = 0.25) {
+  return split(text).map((word, i) => ({
+    text: word,
+    start: start + i * step,
+    end: start + (i + 1) * step,
+  }));
+}
+
+describe("normalizeWord", () => {
+  it("ignores case and punctuation but keeps apostrophes", () => {
+    expect(normalizeWord(" Hello,")).toBe("hello");
+    expect(normalizeWord("don't.")).toBe("don't");
+    expect(normalizeWord("Ça!")).toBe("ça");
+  });
+});
+
+describe("findOverlap", () => {
+  it("finds the run shared by the tail and the head", () => {
+    const previous = split("we went to the old harbour");
+    const current = split(" the old harbour was closed");
+    expect(findOverlap(previous, current, 6)).toEqual({
+      previousEnd: 6,
+      currentEnd: 3,
+    });
+  });
+
+  it("matches whatever the case and punctuation", () => {
+    const previous = split("we went to the Old Harbour.");
+    const current = split(" the old harbour, which was closed");
+    expect(findOverlap(previous, current, 6)).toEqual({
+      previousEnd: 6,
+      currentEnd: 3,
+    });
+  });
+
+  it("lets a cut word at the end of the previous text be replaced", () => {
+    const previous = split("we went to the old harb");
+    const current = split(" the old harbour was closed");
+    expect(findOverlap(previous, current, 6)).toEqual({
+      previousEnd: 5,
+      currentEnd: 2,
+    });
+  });
+
+  it("rejects a single short word", () => {
+    expect(findOverlap(split("look at the"), split(" the boat"), 4)).toBeNull();
+  });
+
+  it("accepts a single long word", () => {
+    expect(
+      findOverlap(split("we saw the harbour"), split(" harbour lights"), 4)
+    ).toEqual({ previousEnd: 4, currentEnd: 1 });
+  });
+
+  it("rejects a run far from the end of the previous text", () => {
+    const previous = split("the old harbour was closed for the whole winter");
+    const current = split(" the old harbour again");
+    expect(findOverlap(previous, current, 12)).toBeNull();
+  });
+
+  it("only looks maxWords from the boundary", () => {
+    const previous = split("the old harbour");
+    const current = split(" then we walked to the old harbour");
+    expect(findOverlap(previous, current, 3)).toBeNull();
+  });
+});
+
+describe("ChunkStitcher", () => {
+  it("passes text through without overlap", () => {
+    const stitcher = new ChunkStitcher();
+    stitcher.stitch({ text: "one two three", start: 0, end: 1 });
+    expect(stitcher.stitch({ text: "one two four", start: 1, end: 2 })).toEqual(
+      { text: "one two four", words: undefined, revised: null }
+    );
+  });
+
+  it("keeps the words of the overlap once", () => {
+    const stitcher = new ChunkStitcher();
+    stitcher.stitch({ text: "we went to the old harbour", start: 0, end: 5 });
+    const result = stitcher.stitch(
+      { text: "the old harbour was closed", start: 5, end: 10 },
+      1
+    );
+    expect(result.text).toBe("was closed");
+    expect(result.revised).toBeNull();
+  });
+
+  it("revises a previous segment that ended in a cut word", () => {
+    const stitcher = new ChunkStitcher();
+    stitcher.stitch({ text: "we went to the old harb", start: 0, end: 5 });
+    const result = stitcher.stitch(
+      { text: "the old harbour was closed", start: 5, end: 10 },
+      1
+    );
+    expect(result.text).toBe("harbour was closed");
+    expect(result.revised).toEqual({
+      text: "we went to the old",
+      words: undefined,
+      start: 0,
+      end: 5,
+    });
+  });
+
+  it("drops words timed before the new audio when nothing lines up", () => {
+    const stitcher = new ChunkStitcher();
+    stitcher.stitch({ text: "completely different words", start: 0, end: 5 });
+    // Context 4-5 s, new audio from 5 s
+    const words = timedWords(" the old harbour was closed", 4.5);
+    const result = stitcher.stitch(
+      { text: "the old harbour was closed", start: 5, end: 10, words },
+      1
+    );
+    expect(result.text).toBe("harbour was closed");
+    expect(result.words).toEqual(words.slice(2));
+  });
+
+  it("drops about the overlap's worth of words without timestamps", () => {
+    const stitcher = new ChunkStitcher();
+    stitcher.stitch({ text: "completely different words", start: 0, end: 5 });
+    const result = stitcher.stitch(
+      { text: "one two three four five six", start: 5, end: 10 },
+      1
+    );
+    expect(result.text).toBe("five six");
+  });
+
+  it("drops the context after a reset too", () => {
+    const stitcher = new ChunkStitcher();
+    stitcher.stitch({ text: "we went to the old harbour", start: 0, end: 5 });
+    stitcher.reset();
+    const result = stitcher.stitch(
+      { text: "one two three four five six", start: 5, end: 10 },
+      0.5
+    );
+    expect(result.text).toBe("three four five six");
+  });
+
+  it("stitches the next window onto the emitted text", () => {
+    const stitcher = new ChunkStitcher();
+    stitcher.stitch({ text: "we went to the old harbour", start: 0, end: 5 });
+    stitcher.stitch(
+      { text: "the old harbour was closed all winter", start: 5, end: 10 },
+      1
+    );
+    const result = stitcher.stitch(
+      { text: "closed all winter so we left", start: 10, end: 15 },
+      1
+    );
+    expect(result.text).toBe("so we left");
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Token confidence - How sure the decoder was of each token it chose
+ * generate() returns ids only, so a recorder is passed in as a logits
+ * processor and reads the scores of every step. A step's scores are only
+ * read at the next step, once the chosen token is known and the processors
+ * after the recorder (token suppression) have finished with them.
+ */
+
+/**
+ * Records the log-probability of each generated token. Pass
+ * [recorder.record] as generate()'s logits_processor, once per generate().
+ */
+export class TokenLogprobRecorder {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.temperature] - Sampling temperature, if sampling
+   */
+  constructor({ temperature = 1 } = {}) {
+    // Sampling divides the logits by the temperature before the recorder
+    // sees them; undo it so scores compare across temperatures
+    this.temperature = temperature;
+    this.logprobs = []; // One per generated token, in order
+    this.pending = null; // Scores of the step whose token is not known yet
+    this.record = this.record.bind(this);
+  }
+
+  /**
+   * Logits processor: called by generate() with the scores of the next token
+   * @param {bigint[][]} inputIds - The ids so far, per batch item
+   * @param {Tensor} logits - [batch, vocab]; only the first item is read
+   * @returns {Tensor} The logits, unchanged
+   */
+  record(inputIds, logits) {
+    if (this.pending) {
+      this.resolve(inputIds[0].at(-1));
+    }
+    this.pending = logits;
+    return logits;
+  }
+
+  resolve(tokenId) {
+    const { pending } = this;
+    this.pending = null;
+    const data =
+      pending.type === "float16" ? pending.to("float32").data : pending.data;
+    const row = data.subarray(0, pending.dims.at(-1));
+    this.logprobs.push(logProbability(row, Number(tokenId), this.temperature));
+  }
+
+  /**
+   * Log-probabilities aligned with a generated sequence. Tokens the decoder
+   * was given rather than chose (the prompt) get null.
+   * @param {Array<number|bigint>} sequence - The ids generate() returned
+   * @returns {Array<number|null>}
+   */
+  finish(sequence) {
+    if (this.pending) {
+      this.resolve(sequence[sequence.length - 1]);
+    }
+    const given = sequence.length - this.logprobs.length;
+    return Array.from(sequence, (_, i) =>
+      i < given ? null : this.logprobs[i - given]
+    );
+  }
+}
+
+/**
+ * Log-probability of one token under a row of logits (log-softmax)
+ * @param {ArrayLike<number>} logits
+ * @param {number} tokenId
+ * @param {number} [scale=1] - Multiplies every logit first
+ * @returns {number}
+ */
+export function logProbability(logits, tokenId, scale = 1) {
+  let max = -Infinity;
+  for (let i = 0; i < logits.length; i++) {
+    if (logits[i] * scale > max) max = logits[i] * scale;
+  }
+  let sum = 0;
+  for (let i = 0; i < logits.length; i++) {
+    sum += Math.exp(logits[i] * scale - max);
+  }
+  return logits[tokenId] * scale - max - Math.log(sum);
+}
+
+/**
+ * Token probabilities for collectWords; tokens the decoder was given count
+ * as certain
+ * @param {Array<number|null>} logprobs
+ * @returns {number[]}
+ */
+export function toProbabilities(logprobs) {
+  return logprobs.map((logprob) => (logprob === null ? 1 : Math.exp(logprob)));
+}
+
+/**
+ * Confidence of a whole transcript: the geometric mean probability of its
+ * text tokens (special tokens are ignored)
+ * @param {Array<number|bigint>} sequence - Generated ids
+ * @param {Array<number|null>} logprobs - Aligned with sequence
+ * @param {number} endOfText - Id of <|endoftext|>; ids from it up are special
+ * @returns {{confidence: number, avgLogprob: number}|null} null when there is
+ *   no scored text
+ */
+export function getSequenceConfidence(sequence, logprobs, endOfText) {
+  const scored = logprobs.filter(
+    (logprob, i) => logprob !== null && Number(sequence[i]) < endOfText
+  );
+  if (scored.length === 0) return null;
+
+  const avgLogprob =
+    scored.reduce((sum, logprob) => sum + logprob, 0) / scored.length;
+  return {
+    confidence: Math.round(Math.exp(avgLogprob) * 1000) / 1000,
+    avgLogprob: Math.round(avgLogprob * 1000) / 1000,
+  };
+}
@@ -0,0 +1,38 @@
+/**
+ * Tokenizer family - Which Whisper models share token ids
+ * Draft tokens are passed between layers as raw ids, so a layer may only
+ * verify drafts from a model with the same vocabulary. Whisper has three:
+ * the English-only models, the multilingual tiny-large-v2 models, and
+ * large-v3 (and its turbo and distilled variants), which added a language
+ * token and so shifted every special token id.
+ */
+
+export const TokenizerFamily = {
+  ENGLISH: "english", // *.en
+  MULTILINGUAL: "multilingual", // tiny, base, small, medium, large, large-v2
+  V3: "v3", // large-v3, large-v3-turbo, distil-large-v3
+};
+
+/**
+ * The tokenizer family of a model id, e.g. "Xenova/whisper-base.en"
+ * @param {string} modelId
+ * @returns {string} A TokenizerFamily value
+ */
+export function getTokenizerFamily(modelId) {
+  const name = (modelId || "").toLowerCase().split("/").pop();
+  if (/\.en(\b|_|$)/.test(name)) return TokenizerFamily.ENGLISH;
+  if (name.includes("large-v3") || name.includes("turbo")) {
+    return TokenizerFamily.V3;
+  }
+  return TokenizerFamily.MULTILINGUAL;
+}
+
+/**
+ * Whether token ids from one model mean the same text in another
+ * @param {string} modelA
+ * @param {string} modelB
+ * @returns {boolean}
+ */
+export function sharesTokenizer(modelA, modelB) {
+  return getTokenizerFamily(modelA) === getTokenizerFamily(modelB);
+}
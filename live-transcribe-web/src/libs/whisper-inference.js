@@ -10,6 +10,34 @@ import {
   env,
   Tensor,
 } from "@huggingface/transformers";
+import { findPauseBoundary } from "./chunk-boundary.js";
+import { ChunkStitcher } from "./text-stitcher.js";
+import { collectWords, supportsWordTimestamps } from "./word-timestamps.js";
+import { DraftTimeline, toDraft } from "./draft-timeline.js";
+import {
+  TokenLogprobRecorder,
+  logProbability,
+  toProbabilities,
+  getSequenceConfidence,
+} from "./token-confidence.js";
+import {
+  DEFAULT_BACKPRESSURE,
+  planChunk,
+  getBacklog,
+  getRealTimeFactor,
+} from "./backpressure.js";
+import { DEFAULT_GUARD, guardTranscript } from "./hallucination-guard.js";
+import {
+  appendHistory,
+  buildPromptIds,
+  getInitTokens,
+} from "./prompt-context.js";
+import {
+  AUTO_LANGUAGE,
+  LanguageLock,
+  getLanguageProbabilities,
+  pickLanguage,
+} from "./language-detection.js";
 
 /**
  * Processing modes
@@ -20,15 +48,32 @@ export const ProcessingMode = {
   CHUNK: "chunk", // L2-L4: Fixed-size segments
 };
 
+/**
+ * What a layer writes: the speech as spoken, English, or both side by side
+ */
+export const WhisperTask = {
+  TRANSCRIBE: "transcribe",
+  TRANSLATE: "translate", // To English (multilingual models only)
+  BOTH: "both", // Transcribe, then translate the same window (chunk mode)
+};
+
 /**
  * Configuration options for WhisperInference
  * @typedef {Object} WhisperConfig
  * @property {string} modelName - Model ID (default: "Xenova/whisper-tiny")
  * @property {string} backend - Backend to use ("webgpu", "wasm")
- * @property {string} language - Language code (default: "en")
+ * @property {string} language - Language code, or "auto" to detect it per window (default: "en")
+ * @property {number} languageLock - With "auto", keep a language once this many windows in a row were detected in it (0 = never)
  * @property {string} quant - Quantization level ("q4", "fp16", "fp32", null)
  * @property {string} mode - Processing mode ("continuous", "chunk", "legacy")
+ * @property {string} task - "transcribe", "translate" (to English) or "both" (chunk mode)
  * @property {number} chunkSize - Chunk size in seconds (for chunk mode)
+ * @property {number} pauseTolerance - Seconds around chunkSize to search for a pause to cut at (chunk mode, 0 = hard cut)
+ * @property {number} overlap - Seconds of the previous chunk prepended as context (chunk mode, 0 = none)
+ * @property {Object} backpressure - { policy, maxBacklog } applied when chunk mode falls behind (see backpressure.js)
+ * @property {Object|false} guard - Hallucination checks on chunk transcripts (see hallucination-guard.js, false = off)
+ * @property {boolean} contextPrompt - Decode each chunk after the layer's previous text (chunk mode)
+ * @property {string[]} glossary - Names and spellings put in the prompt of every chunk (chunk mode)
  * @property {number} stepSize - Step size in seconds (for continuous mode)
  * @property {number} level - Layer level (0-4)
  * @property {Object} generationParams - Additional generation parameters
@@ -47,7 +92,15 @@ export class WhisperInference {
     // Processing configuration
     this.config = {
       mode: config.mode || ProcessingMode.LEGACY,
+      task: config.task || WhisperTask.TRANSCRIBE,
       chunkSize: config.chunkSize || 5, // seconds
+      pauseTolerance: config.pauseTolerance || 0, // seconds
+      overlap: config.overlap || 0, // seconds
+      backpressure: config.backpressure || DEFAULT_BACKPRESSURE,
+      guard: config.guard ?? DEFAULT_GUARD,
+      contextPrompt: config.contextPrompt || false,
+      glossary: config.glossary || [],
+      languageLock: config.languageLock || 0,
       stepSize: config.stepSize || 1, // seconds
       level: config.level || 0,
       generationParams: config.generationParams || {},
@@ -67,9 +120,22 @@ export class WhisperInference {
     this.isProcessing = false;
     this.processedSamples = 0;
     this.sampleRate = 16000;
-
-    // Speculative decoding state
-    this.currentDraftTokens = [];
+    this.flushPending = false; // Process the remaining partial chunk
+    this.inFlightSamples = 0; // Length of the chunk being transcribed
+    this.inFlightCommitted = false; // A commit discarded the buffer mid-chunk
+    this.overlapContext = new Float32Array(0); // Tail of the previous chunk
+    this.stitcher = new ChunkStitcher(); // Removes text repeated in the overlap
+    this.translationStitcher = new ChunkStitcher(); // The same, for "both"
+    this.wordTimestamps = null; // Whether the model reports token times (checked on first use)
+    this.disabled = false; // Stopped by the backpressure policy
+    this.promptHistory = ""; // End of the text emitted so far, for prompting
+    this.translateWarned = false; // Told once that the model cannot translate
+    this.languageLock = new LanguageLock(this.config.languageLock);
+    this.spokenLanguage = null; // Detected language of the window being decoded
+    this.startLogits = null; // First-step logits of the last window read
+
+    // Speculative decoding state: lower-layer tokens by the time they were spoken
+    this.drafts = new DraftTimeline();
 
     // Environment configuration
     this._configureEnvironment(config.envConfig || {});
@@ -89,6 +155,7 @@ export class WhisperInference {
    */
   configure(newConfig) {
     this.config = { ...this.config, ...newConfig };
+    this.languageLock.setLockAfter(this.config.languageLock);
   }
 
   /**
@@ -361,6 +428,20 @@ export class WhisperInference {
     }
   }
 
+  /**
+   * Use the model, processor and tokenizer another instance has loaded, so
+   * several layers can run on one copy of the weights
+   * @param {WhisperInference} source - An initialized instance
+   */
+  adopt(source) {
+    this.model = source.model;
+    this.processor = source.processor;
+    this.tokenizer = source.tokenizer;
+    this.modelName = source.modelName;
+    this.backend = source.backend;
+    this.quant = source.quant;
+  }
+
   /**
    * Check if model is ready
    */
@@ -374,6 +455,11 @@ export class WhisperInference {
    * Add audio data to buffer
    */
   addAudio(audioData) {
+    if (this.disabled) {
+      // Keep the timeline moving so a re-enabled layer stays aligned
+      this.processedSamples += audioData.length;
+      return;
+    }
     const newBuffer = new Float32Array(
       this.audioBuffer.length + audioData.length
     );
@@ -383,51 +469,58 @@ export class WhisperInference {
   }
 
   /**
-   * Set draft tokens for speculative decoding
+   * Add a lower layer's transcript as drafts for speculative decoding
+   * @param {import("./draft-timeline.js").Draft} draft
    */
-  setDraftTokens(tokens) {
-    if (!tokens || tokens.length === 0) {
+  addDraft(draft) {
+    if (!draft || draft.tokens.length === 0) {
       return;
     }
+    this.drafts.update(draft);
+  }
 
-    // Handle different strategies based on level
-    if (this.config.level === 2) {
-      // L1 -> L2: L1 is continuous, replace with latest
-      this.currentDraftTokens = tokens;
-    } else {
-      // L2 -> L3, L3 -> L4: Chunks, append with header filtering
-      let newTokens = Array.from(tokens);
-
-      if (this.currentDraftTokens.length > 0) {
-        // Strip header tokens from new chunk
-        let startIndex = 0;
-        while (
-          startIndex < newTokens.length &&
-          newTokens[startIndex] >= 50257
-        ) {
-          // Check if it's a timestamp (>= 50364), stop stripping if so
-          if (newTokens[startIndex] >= 50364) {
-            break;
-          }
-          startIndex++;
-        }
-
-        if (startIndex > 0) {
-          newTokens = newTokens.slice(startIndex);
-        }
-
-        this.currentDraftTokens = [...this.currentDraftTokens, ...newTokens];
-      } else {
-        this.currentDraftTokens = [...this.currentDraftTokens, ...newTokens];
-      }
+  /**
+   * The draft for a window: the prefix followed by the lower-layer tokens
+   * spoken inside it, starting at a word so it lines up with what this
+   * layer will decode
+   * @private
+   * @returns {{tokens: number[], prefixLength: number}}
+   */
+  _getDraft(start, end) {
+    const tokens = this.drafts.slice(start, end);
+    const firstWord = tokens.findIndex((token) =>
+      this.tokenizer.decode([token]).startsWith(" ")
+    );
+    // The prefix holds the lower layer's task token; verifying under it
+    // would switch this layer to that task
+    const otherTask = this.tokenizer.model.tokens_to_ids.get(
+      this._getDecodeTask() === WhisperTask.TRANSLATE
+        ? "<|transcribe|>"
+        : "<|translate|>"
+    );
+    if (
+      firstWord < 0 ||
+      this.drafts.prefix.length === 0 ||
+      this.drafts.prefix.includes(otherTask)
+    ) {
+      return { tokens: [], prefixLength: 0 };
     }
+    return {
+      tokens: [...this.drafts.prefix, ...tokens.slice(firstWord)],
+      prefixLength: this.drafts.prefix.length,
+    };
+  }
+
+  // Id of <|endoftext|>; ids from it up are special tokens
+  _getEndOfText() {
+    return this.tokenizer.model.tokens_to_ids.get("<|endoftext|>");
   }
 
   /**
    * Verify draft tokens against model predictions
    * @private
    */
-  async _verifyDraftTokens(inputFeatures, draftTokens) {
+  async _verifyDraftTokens(inputFeatures, draftTokens, prefixLength = 1) {
     const id = this._getId();
     try {
       // Create decoder input tensor
@@ -450,6 +543,7 @@ export class WhisperInference {
       // Check predictions
       let matches = 0;
       let verifiedTokens = [];
+      let logprobs = []; // Of each verified token, for its confidence
 
       for (let i = 0; i < seqLen - 1; i++) {
         let maxVal = -Infinity;
@@ -468,8 +562,15 @@ export class WhisperInference {
         const nextDraftToken = Number(draftTokens[i + 1]);
 
         if (maxIdx === nextDraftToken) {
-          matches++;
+          // The prefix (language, task) is forced; only text counts as a hit
+          if (i + 1 >= prefixLength) matches++;
           verifiedTokens.push(nextDraftToken);
+          logprobs.push(
+            logProbability(
+              logits.data.subarray(offset, offset + vocabSize),
+              nextDraftToken
+            )
+          );
         } else {
           console.log(
             `${id} Mismatch at pos ${i}: Draft=${nextDraftToken}, Pred=${maxIdx}`
@@ -481,19 +582,20 @@ export class WhisperInference {
         }
       }
 
-      console.log(
-        `${id} Verified ${matches}/${draftTokens.length - 1} draft tokens`
-      );
+      const totalCount = draftTokens.length - prefixLength;
+      console.log(`${id} Verified ${matches}/${totalCount} draft tokens`);
       return {
         verifiedTokens,
-        hitRate: matches / (draftTokens.length - 1 || 1),
+        logprobs,
+        hitRate: matches / (totalCount || 1),
         verifiedCount: matches,
-        totalCount: draftTokens.length - 1,
+        totalCount,
       };
     } catch (error) {
       console.error(`${id} Verification failed:`, error);
       return {
         verifiedTokens: [],
+        logprobs: [],
         hitRate: 0,
         verifiedCount: 0,
         totalCount: 0,
@@ -505,14 +607,21 @@ export class WhisperInference {
    * Check if processing should occur
    */
   shouldProcess() {
-    if (this.isProcessing || !this.isReady()) {
+    if (this.isProcessing || this.disabled || !this.isReady()) {
       return false;
     }
 
     if (this.config.mode === ProcessingMode.CONTINUOUS) {
       return this.audioBuffer.length >= this.sampleRate * this.config.stepSize;
     } else if (this.config.mode === ProcessingMode.CHUNK) {
-      return this.audioBuffer.length >= this.sampleRate * this.config.chunkSize;
+      if (this.flushPending && this.audioBuffer.length > 0) {
+        return true;
+      }
+      // Wait for the whole search window so a pause after the target counts
+      return (
+        this.audioBuffer.length >=
+        this.sampleRate * (this.config.chunkSize + this.config.pauseTolerance)
+      );
     }
 
     return false;
@@ -539,16 +648,21 @@ export class WhisperInference {
           bufferToProcess.length - maxSamples
         );
       }
+      // Where the window sits on the timeline, to place its tokens as drafts
+      const end =
+        (this.processedSamples + this.audioBuffer.length) / this.sampleRate;
+      const start = end - bufferToProcess.length / this.sampleRate;
 
       // Process audio to features
       const inputs = await this.processor(bufferToProcess);
+      const spoken = await this._detectLanguage(inputs.input_features);
 
       // Generate tokens
       const generatedTokens = await this.model.generate({
         inputs: inputs.input_features,
         max_new_tokens: 448,
-        language: this.language === "auto" ? null : this.language,
-        task: "transcribe",
+        language: this._getLanguage(),
+        task: this._getDecodeTask(),
         ...this.config.generationParams,
       });
 
@@ -563,17 +677,29 @@ export class WhisperInference {
       // Trim buffer, keeping last 1s of context
       const contextSamples = this.sampleRate * 1;
       if (this.audioBuffer.length > contextSamples) {
+        // Count the trimmed audio so the timeline stays in step
+        this.processedSamples += this.audioBuffer.length - contextSamples;
         this.audioBuffer = this.audioBuffer.slice(
           this.audioBuffer.length - contextSamples
         );
       }
 
+      const tokens = generatedTokens[0].tolist();
       return {
         type: "partial",
         text: text.trim(),
         level: this.config.level,
+        // The window decoded, for the latency and real-time-factor metrics
+        start,
+        end,
         inferenceTime: inferenceTime,
-        tokens: generatedTokens[0].tolist(),
+        tokens,
+        ...spoken,
+        draft: toDraft(tokens, {
+          endOfText: this._getEndOfText(),
+          start,
+          end,
+        }),
       };
     } catch (error) {
       console.error(`${id} Error:`, error);
@@ -596,29 +722,97 @@ export class WhisperInference {
     const id = this._getId();
 
     try {
-      const chunkSamples = Math.floor(this.config.chunkSize * this.sampleRate);
+      // Catch up first if the layer has fallen behind real time
+      const plan = planChunk(
+        {
+          buffered: this.audioBuffer.length / this.sampleRate,
+          chunkSize: this.config.chunkSize,
+          pauseTolerance: this.config.pauseTolerance,
+          overlap: this.config.overlap,
+        },
+        this.config.backpressure
+      );
+      let skipped = 0;
+      if (plan.action === "disable") {
+        console.warn(
+          `${id} ${plan.backlog.toFixed(1)}s behind real time, disabling layer`
+        );
+        this.disable();
+        return {
+          type: "backpressure",
+          action: "disable",
+          level: this.config.level,
+          backlog: plan.backlog,
+        };
+      } else if (plan.action === "skip") {
+        skipped = this.skipAudio(plan.skip);
+        console.warn(`${id} Behind real time, skipped ${skipped.toFixed(1)}s`);
+      } else if (plan.action === "merge") {
+        console.log(
+          `${id} Behind real time, merging backlog into a ${plan.chunkSize.toFixed(
+            1
+          )}s chunk`
+        );
+      }
+
+      // Cut at the pause nearest chunkSize; when flushing, the last chunk
+      // may be shorter than chunkSize
+      const { length: chunkSamples, isPause } = findPauseBoundary(
+        this.audioBuffer,
+        Math.floor(plan.chunkSize * this.sampleRate),
+        Math.floor(this.config.pauseTolerance * this.sampleRate),
+        { sampleRate: this.sampleRate }
+      );
+      if (!isPause && this.config.pauseTolerance > 0) {
+        console.log(`${id} No pause near chunk boundary, hard cut`);
+      }
+      this.inFlightSamples = chunkSamples;
+      this.inFlightCommitted = false;
+      // Segment times cover only the new audio, not the context. Taken
+      // before any await: a commit meanwhile moves processedSamples past it
+      const start = this.processedSamples / this.sampleRate;
+      const end = start + chunkSamples / this.sampleRate;
       const bufferToProcess = this.audioBuffer.slice(0, chunkSamples);
 
+      // Re-read the end of the previous chunk so words cut at the boundary
+      // are heard whole; the stitcher drops the text they produce twice
+      const context = this.overlapContext;
+      const windowSamples = new Float32Array(context.length + chunkSamples);
+      windowSamples.set(context);
+      windowSamples.set(bufferToProcess, context.length);
+
       // Process audio to features
-      const inputs = await this.processor(bufferToProcess);
+      const inputs = await this.processor(windowSamples);
+      const spoken = await this._detectLanguage(inputs.input_features);
+
+      // Mel frames of real audio, so token times ignore the padding
+      const numFrames = Math.floor(
+        windowSamples.length /
+          (this.processor.feature_extractor.config.hop_length || 160)
+      );
+
+      const contextDuration = context.length / this.sampleRate;
+      const windowStart = start - contextDuration;
+
+      // Earlier text and the glossary, to keep spellings consistent
+      const promptIds = this._getPromptIds();
 
       // Generate tokens with optional speculative decoding
-      let generatedTokens;
+      let generated;
       let specStats = null;
-
-      if (
-        this.currentDraftTokens &&
-        this.currentDraftTokens.length > 0 &&
+      const draft =
         this.config.level > 1
-      ) {
+          ? this._getDraft(windowStart, end)
+          : { tokens: [], prefixLength: 0 };
+
+      if (draft.tokens.length > 0) {
         // Speculative decoding
-        console.log(
-          `${id} Verifying ${this.currentDraftTokens.length} draft tokens...`
-        );
+        console.log(`${id} Verifying ${draft.tokens.length} draft tokens...`);
 
         const verificationResult = await this._verifyDraftTokens(
           inputs.input_features,
-          this.currentDraftTokens
+          draft.tokens,
+          draft.prefixLength
         );
         const verifiedTokens = verificationResult.verifiedTokens;
 
@@ -633,16 +827,18 @@ export class WhisperInference {
             `${id} Using ${verifiedTokens.length} verified tokens for generation`
           );
 
-          const validPrefix = [this.currentDraftTokens[0], ...verifiedTokens];
+          const validPrefix = [draft.tokens[0], ...verifiedTokens];
 
           try {
-            generatedTokens = await this.model.generate({
-              inputs: inputs.input_features,
-              decoder_input_ids: [validPrefix],
-              max_new_tokens: 448,
-              language: this.language === "auto" ? null : this.language,
-              task: "transcribe",
-              ...this.config.generationParams,
+            generated = await this._generateTimed(
+              inputs.input_features,
+              numFrames,
+              { decoder_input_ids: [validPrefix], promptIds }
+            );
+            // Verified tokens were given, not generated; score them from
+            // the verification pass
+            verificationResult.logprobs.forEach((logprob, i) => {
+              generated.logprobs[i + 1] = logprob;
             });
 
             console.log(`${id} Speculative generation complete`);
@@ -651,86 +847,577 @@ export class WhisperInference {
               `${id} Speculative generation failed, falling back to normal:`,
               error.message
             );
-            generatedTokens = await this.model.generate({
-              inputs: inputs.input_features,
-              max_new_tokens: 448,
-              language: this.language === "auto" ? null : this.language,
-              task: "transcribe",
-              ...this.config.generationParams,
-            });
+            generated = await this._generateTimed(
+              inputs.input_features,
+              numFrames,
+              { promptIds }
+            );
           }
         } else {
           console.log(
             `${id} No tokens verified (bad draft), falling back to normal generation`
           );
-          generatedTokens = await this.model.generate({
-            inputs: inputs.input_features,
-            max_new_tokens: 448,
-            language: this.language === "auto" ? null : this.language,
-            task: "transcribe",
-            ...this.config.generationParams,
-          });
+          generated = await this._generateTimed(
+            inputs.input_features,
+            numFrames,
+            { promptIds }
+          );
         }
       } else {
         // Normal generation
-        generatedTokens = await this.model.generate({
-          inputs: inputs.input_features,
-          max_new_tokens: 448,
-          language: this.language === "auto" ? null : this.language,
-          task: "transcribe",
-          ...this.config.generationParams,
-        });
+        generated = await this._generateTimed(
+          inputs.input_features,
+          numFrames,
+          {
+            promptIds,
+          }
+        );
       }
 
       // Decode tokens to text
-      const text = await this.tokenizer.decode(generatedTokens[0], {
-        skip_special_tokens: true,
-      });
+      let transcript = await this._readGenerated(generated);
+
+      // Whisper invents text on silence and music; decode again warmer when
+      // the transcript looks wrong, and keep it out if it still does
+      let rejected = null;
+      if (this.config.guard) {
+        const guarded = await guardTranscript(
+          transcript,
+          async (temperature, verdict) => {
+            console.warn(
+              `${id} ${verdict.reason} (${verdict.detail}), decoding again at temperature ${temperature}`
+            );
+            // Loops are often copied from the earlier text; keep only the
+            // glossary in the prompt
+            return this._readGenerated(
+              await this._generateTimed(inputs.input_features, numFrames, {
+                do_sample: true,
+                temperature,
+                promptIds: this._getPromptIds({ history: false }),
+              })
+            );
+          },
+          {
+            duration: windowSamples.length / this.sampleRate,
+            getNoSpeechProb: () =>
+              this._getNoSpeechProbability(inputs.input_features),
+          },
+          this.config.guard
+        );
+        transcript = guarded.transcript;
+        if (!guarded.verdict.ok) {
+          rejected = {
+            reason: guarded.verdict.reason,
+            detail: guarded.verdict.detail,
+            text: transcript.text,
+          };
+          console.warn(
+            `${id} Rejected segment [${start.toFixed(1)}-${end.toFixed(1)}]: ${
+              rejected.reason
+            } (${rejected.detail}): ${rejected.text}`
+          );
+        }
+      }
+      const { sequence, tokenTimestamps, logprobs } = transcript;
+
+      // "both": translate the same window in a second decode
+      const translation =
+        this.config.task === WhisperTask.BOTH &&
+        !rejected &&
+        this._canTranslate()
+          ? await this._translateWindow(
+              inputs.input_features,
+              numFrames,
+              windowSamples.length / this.sampleRate
+            )
+          : null;
 
       const processingEndTime = performance.now();
       const inferenceTime = processingEndTime - processingStartTime;
 
-      const start = this.processedSamples / this.sampleRate;
-      const end = (this.processedSamples + chunkSamples) / this.sampleRate;
+      const words =
+        tokenTimestamps && !rejected
+          ? collectWords(this.tokenizer, sequence, tokenTimestamps, {
+              offset: windowStart,
+              language: this._getLanguage(),
+              probabilities: toProbabilities(logprobs),
+            })
+          : undefined;
+      // A rejected window says nothing, so nothing is stitched to it
+      const stitched = rejected
+        ? { text: "", words: undefined, revised: null }
+        : this.stitcher.stitch(
+            { text: transcript.text, start, end, words },
+            contextDuration
+          );
+      const stitchedTranslation =
+        translation !== null
+          ? this.translationStitcher.stitch(
+              { text: translation, start, end },
+              contextDuration
+            )
+          : null;
+      if (rejected) {
+        this.stitcher.reset();
+        this.translationStitcher.reset();
+      }
+      this.promptHistory = appendHistory(this.promptHistory, stitched.text);
+      // A translating layer's main decode is the English
+      const translated = this._getDecodeTask() === WhisperTask.TRANSLATE;
 
-      if (text.trim()) {
+      if (stitched.text) {
         console.log(
-          `${id} Segment [${start.toFixed(1)}-${end.toFixed(
-            1
-          )}]: ${text.trim()}`
+          `${id} Segment [${start.toFixed(1)}-${end.toFixed(1)}]: ${
+            stitched.text
+          }`
         );
       }
 
-      // Shift buffer
-      this.audioBuffer = this.audioBuffer.slice(chunkSamples);
+      // Shift buffer (a commit during inference already cleared it)
+      if (!this.inFlightCommitted) {
+        this.audioBuffer = this.audioBuffer.slice(chunkSamples);
+        this.overlapContext = windowSamples.slice(
+          Math.max(
+            0,
+            windowSamples.length -
+              Math.floor(this.config.overlap * this.sampleRate)
+          )
+        );
+      }
       this.processedSamples += chunkSamples;
+      // Drafts before the next window (which starts with the overlap) are done
+      this.drafts.discardUntil(end - this.config.overlap);
 
       return {
         type: "segment",
-        text: text.trim(),
+        text: translated ? "" : stitched.text,
+        words: stitched.words,
+        revised: translated ? null : stitched.revised,
+        // English text, when the layer translates
+        translation: translated ? stitched.text : stitchedTranslation?.text,
+        revisedTranslation: translated
+          ? stitched.revised
+          : stitchedTranslation?.revised ?? null,
         start: start,
         end: end,
         level: this.config.level,
         inferenceTime: inferenceTime,
-        chunkDuration: this.config.chunkSize,
-        tokens: generatedTokens[0].tolist(),
+        chunkDuration: chunkSamples / this.sampleRate,
+        tokens: sequence,
         specStats: specStats,
+        // Of the whole window, context included
+        confidence: transcript.confidence,
+        avgLogprob: transcript.avgLogprob,
+        ...spoken,
+        rejected,
+        // This window's tokens by time, for the next layer to verify
+        draft: rejected
+          ? undefined
+          : toDraft(sequence, {
+              endOfText: this._getEndOfText(),
+              start: windowStart,
+              end,
+              tokenTimestamps,
+            }),
+        // Keeping up with real time: pass cost and audio still waiting
+        rtf: getRealTimeFactor(
+          inferenceTime,
+          windowSamples.length / this.sampleRate
+        ),
+        backlog: getBacklog(
+          this.audioBuffer.length / this.sampleRate,
+          this.config.chunkSize,
+          this.config.pauseTolerance
+        ),
+        skipped,
       };
     } catch (error) {
       console.error(`${id} Error:`, error);
       throw error;
     } finally {
       this.isProcessing = false;
+      this.inFlightSamples = 0;
     }
   }
 
+  /**
+   * Prompt ids for the next chunk (see prompt-context.js)
+   * @private
+   * @param {Object} [options]
+   * @param {boolean} [options.history] - Include the layer's earlier text
+   * @returns {number[]}
+   */
+  _getPromptIds({ history = this.config.contextPrompt } = {}) {
+    if (this.config.mode !== ProcessingMode.CHUNK) return [];
+    return buildPromptIds(this.tokenizer, {
+      glossary: this.config.glossary,
+      history: history ? this.promptHistory : "",
+    });
+  }
+
+  /**
+   * Translate a window the layer has just transcribed ("both"), checked by
+   * the same guard
+   * @private
+   * @param {Tensor} inputFeatures
+   * @param {number} numFrames
+   * @param {number} duration - Seconds of audio in the window
+   * @returns {Promise<string>} The translation; empty if it was rejected
+   */
+  async _translateWindow(inputFeatures, numFrames, duration) {
+    const decode = async (options = {}) =>
+      this._readGenerated(
+        await this._generateTimed(inputFeatures, numFrames, {
+          task: WhisperTask.TRANSLATE,
+          // The layer's earlier text is in the spoken language; keep only
+          // the glossary
+          promptIds: this._getPromptIds({ history: false }),
+          ...options,
+        })
+      );
+
+    let translation = await decode();
+    if (this.config.guard) {
+      const guarded = await guardTranscript(
+        translation,
+        (temperature) => decode({ do_sample: true, temperature }),
+        { duration },
+        this.config.guard
+      );
+      if (!guarded.verdict.ok) {
+        console.warn(
+          `${this._getId()} Rejected translation: ${guarded.verdict.reason} (${
+            guarded.verdict.detail
+          }): ${guarded.transcript.text}`
+        );
+        return "";
+      }
+      translation = guarded.transcript;
+    }
+    return translation.text;
+  }
+
+  /**
+   * Whether the model can translate; English-only models cannot
+   * @private
+   * @returns {boolean}
+   */
+  _canTranslate() {
+    const canTranslate =
+      this.model.generation_config?.is_multilingual !== false;
+    if (!canTranslate && !this.translateWarned) {
+      console.warn(
+        `${this._getId()} ${
+          this.modelName
+        } is English-only, transcribing instead of translating`
+      );
+      this.translateWarned = true;
+    }
+    return canTranslate;
+  }
+
+  /**
+   * The task of the layer's main decode. "both" transcribes first and
+   * translates in a second decode.
+   * @private
+   * @returns {string} WhisperTask.TRANSCRIBE or WhisperTask.TRANSLATE
+   */
+  _getDecodeTask() {
+    return this.config.task === WhisperTask.TRANSLATE && this._canTranslate()
+      ? WhisperTask.TRANSLATE
+      : WhisperTask.TRANSCRIBE;
+  }
+
+  /**
+   * Generate a transcript, with token timestamps when the model supports
+   * them (models exported with cross-attention outputs)
+   * @private
+   * @param {Tensor} inputFeatures
+   * @param {number} numFrames - Mel frames holding real audio
+   * @param {Object} [options] - Extra generate() options, and promptIds
+   *   (see prompt-context.js) to decode after. Decodes in the layer's task
+   *   unless options.task says otherwise.
+   * @returns {Promise<{sequence: Tensor, tokenTimestamps: number[]|null, logprobs: Array<number|null>}>}
+   *   The prompt is not part of the result
+   */
+  async _generateTimed(inputFeatures, numFrames, options = {}) {
+    const { promptIds = [], ...generateOptions } = options;
+    const params = {
+      inputs: inputFeatures,
+      max_new_tokens: 448,
+      language: this._getLanguage(),
+      task: this._getDecodeTask(),
+      ...this.config.generationParams,
+      ...generateOptions,
+    };
+    // The prompt goes before the start tokens; generate() returns it at the
+    // front of the sequence, where it is cut off again
+    const cut = promptIds.length;
+    if (cut > 0) {
+      const start =
+        params.decoder_input_ids?.[0] ??
+        getInitTokens(this.tokenizer, this.model, params.language, params.task);
+      params.decoder_input_ids = [[...promptIds, ...start]];
+      // The prompt shares the 448-token context with the output
+      params.max_new_tokens = Math.min(
+        params.max_new_tokens,
+        448 - params.decoder_input_ids[0].length
+      );
+    }
+    const temperature = params.do_sample ? params.temperature ?? 1 : 1;
+    let recorder = new TokenLogprobRecorder({ temperature });
+
+    this.wordTimestamps ??= supportsWordTimestamps(this.model);
+    // English words do not line up with the speech they translate
+    if (this.wordTimestamps && params.task !== WhisperTask.TRANSLATE) {
+      try {
+        const output = await this.model.generate({
+          ...params,
+          logits_processor: [recorder.record],
+          return_token_timestamps: true,
+          num_frames: numFrames,
+        });
+        const sequence = output.sequences[0];
+        return {
+          sequence: cut > 0 ? sequence.slice([cut, null]) : sequence,
+          tokenTimestamps: output.token_timestamps.tolist()[0].slice(cut),
+          logprobs: recorder.finish(sequence.tolist()).slice(cut),
+        };
+      } catch (error) {
+        console.warn(
+          `${this._getId()} Token timestamps failed, continuing without word times:`,
+          error.message
+        );
+        this.wordTimestamps = false;
+        recorder = new TokenLogprobRecorder({ temperature });
+      }
+    }
+
+    const output = await this.model.generate({
+      ...params,
+      logits_processor: [recorder.record],
+    });
+    const sequence = output[0];
+    return {
+      sequence: cut > 0 ? sequence.slice([cut, null]) : sequence,
+      tokenTimestamps: null,
+      logprobs: recorder.finish(sequence.tolist()).slice(cut),
+    };
+  }
+
+  /**
+   * Decode a generated sequence and score it
+   * @private
+   * @param {{sequence: Tensor, tokenTimestamps: number[]|null, logprobs: Array<number|null>}} generated
+   * @returns {Promise<Object>} { text, sequence (ids), tokenTimestamps,
+   *   logprobs, tokenCount, confidence, avgLogprob }
+   */
+  async _readGenerated({ sequence, tokenTimestamps, logprobs }) {
+    const ids = sequence.tolist();
+    const text = await this.tokenizer.decode(sequence, {
+      skip_special_tokens: true,
+    });
+    return {
+      text: text.trim(),
+      sequence: ids,
+      tokenTimestamps,
+      logprobs,
+      tokenCount: ids.length,
+      ...getSequenceConfidence(ids, logprobs, this._getEndOfText()),
+    };
+  }
+
+  /**
+   * Probability the window holds no speech: the <|nospeech|> score right
+   * after <|startoftranscript|>, as Whisper's transcribe() reads it
+   * @private
+   * @param {Tensor} inputFeatures
+   * @returns {Promise<number>}
+   */
+  async _getNoSpeechProbability(inputFeatures) {
+    const ids = this.tokenizer.model.tokens_to_ids;
+    // Older exports name the token <|nocaptions|>
+    const noSpeech = ids.get("<|nospeech|>") ?? ids.get("<|nocaptions|>");
+    if (noSpeech === undefined) return 0;
+
+    const row = await this._getStartLogits(inputFeatures);
+    return Math.exp(logProbability(row, noSpeech));
+  }
+
+  /**
+   * Logits of the token after <|startoftranscript|>, where Whisper names the
+   * language or says there is no speech. Kept for the last window read, so
+   * language ID and the no-speech check share one decoder pass.
+   * @private
+   * @param {Tensor} inputFeatures
+   * @returns {Promise<Float32Array>}
+   */
+  async _getStartLogits(inputFeatures) {
+    if (this.startLogits?.inputFeatures !== inputFeatures) {
+      const ids = this.tokenizer.model.tokens_to_ids;
+      const { logits } = await this.model({
+        input_features: inputFeatures,
+        decoder_input_ids: new Tensor(
+          "int64",
+          new BigInt64Array([BigInt(ids.get("<|startoftranscript|>"))]),
+          [1, 1]
+        ),
+      });
+      this.startLogits = {
+        inputFeatures,
+        row: logits.data.subarray(0, logits.dims[2]),
+      };
+    }
+    return this.startLogits.row;
+  }
+
+  /**
+   * The language a window is decoded in. With language "auto" it is
+   * detected, and kept once the lock holds; the result is also what the
+   * segment reports.
+   * @private
+   * @param {Tensor} inputFeatures
+   * @returns {Promise<{language: string|null, languageProbability?: number, languageLocked?: boolean}>}
+   */
+  async _detectLanguage(inputFeatures) {
+    const langToId = this.model.generation_config?.lang_to_id;
+    if (this.language !== AUTO_LANGUAGE) {
+      return { language: this.language };
+    }
+    if (!this.model.generation_config?.is_multilingual || !langToId) {
+      // English-only models have no language tokens
+      this.spokenLanguage = null;
+      return { language: "en" };
+    }
+
+    const probabilities = getLanguageProbabilities(
+      await this._getStartLogits(inputFeatures),
+      langToId
+    );
+    const detected = pickLanguage(probabilities);
+    this.spokenLanguage = this.languageLock.observe(detected.language);
+    if (this.spokenLanguage !== detected.language) {
+      console.log(
+        `${this._getId()} Detected ${detected.language}, keeping locked ${
+          this.spokenLanguage
+        }`
+      );
+    }
+    return {
+      language: this.spokenLanguage,
+      languageProbability:
+        Math.round(probabilities[this.spokenLanguage] * 1000) / 1000,
+      languageLocked: this.languageLock.locked !== null,
+    };
+  }
+
+  /**
+   * Language passed to generate(): the configured one, or the one detected
+   * for the window (null decodes as English)
+   * @private
+   * @returns {string|null}
+   */
+  _getLanguage() {
+    return this.language === AUTO_LANGUAGE
+      ? this.spokenLanguage
+      : this.language;
+  }
+
+  /**
+   * Drop the oldest buffered audio to catch up with real time. The gap
+   * breaks continuity, so no context or drafts carry over it.
+   * @param {number} seconds
+   * @returns {number} Seconds actually dropped
+   */
+  skipAudio(seconds) {
+    const samples = Math.min(
+      this.audioBuffer.length,
+      Math.floor(seconds * this.sampleRate)
+    );
+    this.audioBuffer = this.audioBuffer.slice(samples);
+    this.processedSamples += samples;
+    this.overlapContext = new Float32Array(0);
+    this.stitcher.reset();
+    this.translationStitcher.reset();
+    this.drafts.clear();
+    return samples / this.sampleRate;
+  }
+
+  // Stop transcribing until reset(); buffered audio is discarded
+  disable() {
+    this.skipAudio(this.audioBuffer.length / this.sampleRate);
+    this.disabled = true;
+  }
+
+  /**
+   * Place the next audio at a position on the timeline (a worker replacing
+   * one that crashed, before its audio is replayed)
+   * @param {number} seconds
+   */
+  setTimelinePosition(seconds) {
+    this.processedSamples = Math.round(seconds * this.sampleRate);
+  }
+
   /**
    * Commit (reset buffer while maintaining timestamp continuity)
    */
   commit() {
+    // Count the discarded audio so later segments keep their real position.
+    // A chunk still being transcribed is counted when it finishes; after an
+    // earlier commit the buffer holds only newer audio.
+    if (
+      this.isProcessing &&
+      this.inFlightSamples > 0 &&
+      !this.inFlightCommitted
+    ) {
+      this.processedSamples += Math.max(
+        0,
+        this.audioBuffer.length - this.inFlightSamples
+      );
+      this.inFlightCommitted = true;
+    } else {
+      this.processedSamples += this.audioBuffer.length;
+    }
     this.audioBuffer = new Float32Array(0);
-    this.currentDraftTokens = [];
-    // Don't reset processedSamples - keep timestamp continuity
+    this.drafts.clear();
+    // The next chunk starts a new utterance; don't stitch across the commit
+    this.overlapContext = new Float32Array(0);
+    this.stitcher.reset();
+    this.translationStitcher.reset();
+  }
+
+  /**
+   * Request processing of whatever audio remains, even if it is shorter
+   * than a full chunk (end of a file)
+   */
+  flush() {
+    this.flushPending = true;
+  }
+
+  /**
+   * Check whether a requested flush has drained the buffer
+   */
+  isFlushed() {
+    return (
+      this.flushPending && !this.isProcessing && this.audioBuffer.length === 0
+    );
+  }
+
+  /**
+   * Reset buffer and timeline to start a new, independent audio source
+   */
+  reset() {
+    this.audioBuffer = new Float32Array(0);
+    this.drafts.clear();
+    this.processedSamples = 0;
+    this.flushPending = false;
+    this.overlapContext = new Float32Array(0);
+    this.stitcher.reset();
+    this.translationStitcher.reset();
+    this.disabled = false;
+    this.promptHistory = "";
+    this.languageLock.reset();
+    this.spokenLanguage = null;
   }
 
   /**
@@ -743,9 +1430,10 @@ export class WhisperInference {
       bufferDuration: this.audioBuffer.length / this.sampleRate,
       processedSamples: this.processedSamples,
       processedDuration: this.processedSamples / this.sampleRate,
-      draftTokenCount: this.currentDraftTokens.length,
+      draftTokenCount: this.drafts.size,
       mode: this.config.mode,
       level: this.config.level,
+      disabled: this.disabled,
     };
   }
 
@@ -757,8 +1445,9 @@ export class WhisperInference {
     this.processor = null;
     this.tokenizer = null;
     this.audioBuffer = new Float32Array(0);
-    this.currentDraftTokens = [];
+    this.drafts.clear();
     this.isProcessing = false;
     this.processedSamples = 0;
+    this.wordTimestamps = null;
   }
 }
@@ -0,0 +1,84 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { ProcessingMode, WhisperInference } from "./whisper-inference.js";
+
+// Only the chunk bookkeeping is under test; the model is stubbed per instance
+vi.mock("@huggingface/transformers", () => ({
+  env: { backends: { onnx: { wasm: {} } } },
+}));
+
+function seconds(duration) {
+  return new Float32Array(Math.round(duration * 16000)).fill(0.1);
+}
+
+// A chunk layer whose feature extraction waits until release() is called
+function createChunkLayer() {
+  const whisper = new WhisperInference({
+    mode: ProcessingMode.CHUNK,
+    chunkSize: 1,
+    level: 2,
+    guard: false,
+  });
+  let release;
+  const extracted = new Promise((resolve) => (release = resolve));
+  whisper.processor = Object.assign(
+    async () => {
+      await extracted;
+      return { input_features: null };
+    },
+    { feature_extractor: { config: { hop_length: 160 } } }
+  );
+  whisper.model = { generation_config: {} };
+  whisper.tokenizer = {
+    model: { tokens_to_ids: new Map([["<|endoftext|>", 50257]]) },
+    decode: () => "",
+  };
+  whisper._detectLanguage = async () => ({});
+  whisper._generateTimed = async () => ({});
+  whisper._readGenerated = async () => ({ text: "hello", sequence: [] });
+  return { whisper, release };
+}
+
+describe("WhisperInference chunk timeline", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("stamps a chunk with where it started", async () => {
+    const { whisper, release } = createChunkLayer();
+    whisper.addAudio(seconds(1));
+    release();
+
+    await expect(whisper.processChunk()).resolves.toMatchObject({
+      start: 0,
+      end: 1,
+    });
+    expect(whisper.processedSamples).toBe(16000);
+  });
+
+  it("keeps a chunk's times when a commit lands while it decodes", async () => {
+    const { whisper, release } = createChunkLayer();
+    whisper.addAudio(seconds(1.5));
+    const result = whisper.processChunk();
+
+    whisper.commit(); // Drops the 0.5 s after the chunk
+    release();
+
+    await expect(result).resolves.toMatchObject({ start: 0, end: 1 });
+    expect(whisper.processedSamples).toBe(24000);
+    expect(whisper.audioBuffer).toHaveLength(0);
+  });
+
+  it("counts a second commit's buffer in full", async () => {
+    const { whisper, release } = createChunkLayer();
+    whisper.addAudio(seconds(1.5));
+    const result = whisper.processChunk();
+
+    whisper.commit();
+    whisper.addAudio(seconds(0.25)); // Arrives after the first commit
+    whisper.commit();
+    release();
+
+    await expect(result).resolves.toMatchObject({ start: 0, end: 1 });
+    expect(whisper.processedSamples).toBe(28000);
+  });
+});
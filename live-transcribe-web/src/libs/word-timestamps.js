@@ -0,0 +1,115 @@
+/**
+ * Word timestamps - Turns Whisper token timings into timed words
+ * Token times come from cross-attention alignment (return_token_timestamps),
+ * which only models exported with attention outputs provide. Words are
+ * grouped with the tokenizer's own rules so they match the decoded text.
+ */
+
+// Languages written without spaces are split into characters instead
+const UNSPACED_LANGUAGES = {
+  zh: "chinese",
+  ja: "japanese",
+  th: "thai",
+  lo: "lao",
+  my: "myanmar",
+};
+
+/**
+ * @typedef {Object} TimedWord
+ * @property {string} text - The word as decoded, with its leading space
+ * @property {number} start - Seconds
+ * @property {number} end - Seconds
+ * @property {number} [probability] - 0-1, when the decoder reported token probabilities
+ */
+
+/**
+ * Group generated tokens into timed words
+ * @param {Object} tokenizer - A Whisper tokenizer
+ * @param {Array<number|bigint>} tokens - Generated ids, special tokens included
+ * @param {number[]} tokenTimestamps - Start (s) of each token within the window
+ * @param {Object} [options]
+ * @param {number} [options.offset=0] - Added to every time (window start)
+ * @param {string} [options.language] - Language code, for the split rules
+ * @param {number[]} [options.probabilities] - Probability of each token
+ * @returns {TimedWord[]}
+ */
+export function collectWords(
+  tokenizer,
+  tokens,
+  tokenTimestamps,
+  { offset = 0, language, probabilities } = {}
+) {
+  const ids = Array.from(tokens, Number);
+  const endOfText = tokenizer.model.tokens_to_ids.get("<|endoftext|>");
+
+  // Special tokens (language, task, timestamps) carry no text
+  const textIndices = [];
+  ids.forEach((id, index) => {
+    if (id < endOfText) textIndices.push(index);
+  });
+  if (textIndices.length === 0) return [];
+
+  const [words, , tokenIndices] = tokenizer.combineTokensIntoWords(
+    textIndices.map((index) => ids[index]),
+    UNSPACED_LANGUAGES[language] || "english"
+  );
+
+  const round = (time) => Math.round((time + offset) * 100) / 100;
+  return words.map((text, i) => {
+    const indices = tokenIndices[i].map((index) => textIndices[index]);
+    const first = indices[0];
+    const last = indices[indices.length - 1];
+    const word = {
+      text,
+      start: round(tokenTimestamps[first]),
+      // A token ends where the next one starts
+      end: round(tokenTimestamps[last + 1] ?? tokenTimestamps[last]),
+    };
+    if (probabilities) {
+      const values = indices.map((index) => probabilities[index]);
+      word.probability =
+        values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+    return word;
+  });
+}
+
+/**
+ * Join words back into text
+ * @param {TimedWord[]} words
+ * @returns {string}
+ */
+export function joinWords(words) {
+  return words
+    .map((word) => word.text)
+    .join("")
+    .trim();
+}
+
+/**
+ * Copy words with every time passed through a function
+ * @param {TimedWord[]} words
+ * @param {function(number): number} mapTime
+ * @returns {TimedWord[]}
+ */
+export function mapWordTimes(words, mapTime) {
+  return words.map((word) => ({
+    ...word,
+    start: mapTime(word.start),
+    end: mapTime(word.end),
+  }));
+}
+
+/**
+ * Whether a loaded model can report token timestamps: it needs alignment
+ * heads in its generation config and cross-attention outputs in its decoder
+ * @param {Object} model - A transformers.js Whisper model
+ * @returns {boolean}
+ */
+export function supportsWordTimestamps(model) {
+  const decoder = model?.sessions?.decoder_model_merged;
+  return Boolean(
+    model?.generation_config?.alignment_heads &&
+      decoder?.outputNames?.some((name) => name.startsWith("cross_attentions"))
+  );
+}
@@ -0,0 +1,244 @@
+import { Transcriber } from "./transcriber.js";
+import { AudioProcessor } from "./audio-processor.js";
+import {
+  DEFAULT_TOPOLOGY,
+  normalizeLayer,
+  validateTopology,
+} from "./libs/layer-topology.js";
+import { BackpressurePolicy } from "./libs/backpressure.js";
+
+/**
+ * LiveTranscriber - The multi-layer engine without the workbench UI
+ * Wraps Transcriber (layer workers, drafts, merging) and AudioProcessor
+ * (capture) in an EventTarget, for apps that bring their own interface.
+ * Events carry their data in `detail`: partial, segment, replaced, stats
+ * and error (see lib/index.d.ts).
+ */
+export class LiveTranscriber extends EventTarget {
+  /**
+   * @param {Object} [options] - LiveTranscriberOptions in lib/index.d.ts
+   * @throws {Error} If the layers are not a valid topology
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      model: "Xenova/whisper-tiny",
+      language: "en",
+      backend: "webgpu",
+      quant: null,
+      onnx: false,
+      ...options,
+    };
+    this.layers = (options.layers || DEFAULT_TOPOLOGY.layers).map(
+      normalizeLayer
+    );
+    const errors = validateTopology({ layers: this.layers });
+    if (errors.length > 0) {
+      throw new Error(errors.map((e) => e.message).join("; "));
+    }
+
+    this.transcriber = new Transcriber((message) =>
+      this.handleMessage(message)
+    );
+    this.transcriber.setTopology(this.layers);
+    this.transcriber.setSharedModel(Boolean(options.sharedModel));
+    if (options.backpressure) {
+      this.transcriber.setBackpressure(options.backpressure);
+    }
+    if (options.glossary) this.transcriber.setGlossary(options.glossary);
+    if (options.languageLock) {
+      this.transcriber.setLanguageLock(options.languageLock);
+    }
+
+    this.audioProcessor = null; // Set while capturing a MediaStream
+    this.partial = ""; // Last partial sent, to report only changes
+  }
+
+  get isLoaded() {
+    return this.transcriber.isInitialized;
+  }
+
+  get isCapturing() {
+    return this.audioProcessor !== null;
+  }
+
+  /**
+   * Start the layer workers and wait for their models
+   * @throws {Error} If a layer's model fails to load
+   */
+  async load() {
+    if (!this.transcriber.isInitialized) {
+      const { language, backend, model, quant, onnx } = this.options;
+      await this.transcriber.init(
+        language,
+        backend,
+        model,
+        this.layers.map((layer) => layer.level),
+        quant,
+        onnx
+      );
+    }
+    await this.transcriber.whenReady();
+  }
+
+  /**
+   * Transcribe live audio until stop(). Several streams are mixed, and
+   * segments are attributed to the loudest one.
+   * @param {MediaStream|MediaStream[]} input
+   * @param {Object} [options]
+   * @param {Object} [options.dsp] - Preprocessing (see libs/dsp-chain.js)
+   * @param {string} [options.downmix] - How stereo is reduced to mono
+   * @param {string[]} [options.roles] - Speaker per stream, e.g. ["me", "remote"]
+   */
+  async start(input, { dsp, downmix, roles } = {}) {
+    if (this.audioProcessor) {
+      throw new Error("Already capturing; call stop() first");
+    }
+    await this.load();
+    this.transcriber.setChannelRoles(roles || null);
+
+    this.audioProcessor = new AudioProcessor(
+      input,
+      (audio, metadata) => this.transcriber.process(audio, metadata),
+      () => this.transcriber.commitAndReset(),
+      null,
+      { dsp, downmix }
+    );
+    await this.audioProcessor.start();
+
+    // Workers read live audio straight from the capture ring buffer
+    const ringBuffer = this.audioProcessor.getRingBuffer();
+    if (ringBuffer) {
+      this.transcriber.attachRingBuffer(
+        ringBuffer,
+        this.audioProcessor.getRingReadIndex()
+      );
+    }
+  }
+
+  /**
+   * Stop capturing (the streams' tracks are stopped) and transcribe what is
+   * still buffered. The models stay loaded.
+   */
+  async stop() {
+    if (!this.audioProcessor) return;
+    this.audioProcessor.stop();
+    this.audioProcessor = null;
+    if (this.transcriber.ringBuffer) this.transcriber.detachRingBuffer();
+    await this.transcriber.flush();
+  }
+
+  /**
+   * Feed audio as it arrives, e.g. from a decoder or a socket
+   * @param {Float32Array} samples - 16 kHz mono, any length
+   */
+  write(samples) {
+    if (!this.transcriber.isInitialized) {
+      throw new Error("Call load() before write()");
+    }
+    this.transcriber.process(samples, { isSpeaking: true });
+  }
+
+  /**
+   * Transcribe what write() left buffered, even if shorter than a chunk
+   */
+  async flush() {
+    await this.transcriber.flush();
+  }
+
+  /**
+   * Transcribe a whole recording as a new transcript
+   * @param {Float32Array} audio - 16 kHz mono
+   * @returns {Promise<Object[]>} The segments
+   */
+  async transcribe(audio) {
+    await this.load();
+    const backpressure = this.transcriber.getBackpressure();
+    // The audio arrives faster than real time; no layer should skip any
+    this.transcriber.setBackpressure({ policy: BackpressurePolicy.NONE });
+    try {
+      this.reset();
+      this.transcriber.process(audio, { isSpeaking: true, source: "file" });
+      await this.transcriber.flush();
+    } finally {
+      this.transcriber.setBackpressure(backpressure);
+    }
+    return this.getSegments();
+  }
+
+  /**
+   * Start a new, independent transcript
+   */
+  reset() {
+    this.transcriber.reset();
+    this.partial = "";
+  }
+
+  /**
+   * The transcript so far, in time order
+   * @returns {Object[]}
+   */
+  getSegments() {
+    return this.transcriber.segments
+      .filter((segment) => !segment.isSeparator)
+      .map(toSegment);
+  }
+
+  /**
+   * Stop capturing and end the workers; load() starts them again
+   */
+  async dispose() {
+    await this.stop();
+    await this.transcriber.stop();
+  }
+
+  handleMessage(message) {
+    if (message.type === "segment") {
+      const segment = toSegment(message.segment);
+      this.emit("segment", segment);
+      if (message.replaced.length > 0) {
+        this.emit("replaced", {
+          segment,
+          replaced: message.replaced.map(toSegment),
+        });
+      }
+    } else if (message.type === "full_transcript") {
+      if (message.partial !== this.partial) {
+        this.partial = message.partial;
+        this.emit("partial", {
+          text: message.partial,
+          level: message.partialLevel,
+        });
+      }
+      this.emit("stats", {
+        timing: message.timingStats,
+        lag: this.transcriber.getLagStats(),
+        languages: message.languages,
+        metrics: message.metrics,
+        rejected: this.transcriber.getRejectedSegments().length,
+      });
+    } else if (message.type === "error") {
+      this.emit("error", { level: message.level, message: message.error });
+    }
+  }
+
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+}
+
+// The public fields of a segment; the rest (tokens, drafts) is internal
+function toSegment(segment) {
+  return {
+    start: segment.start,
+    end: segment.end,
+    text: segment.text,
+    level: segment.level,
+    words: segment.words,
+    confidence: segment.confidence,
+    translation: segment.translation,
+    language: segment.language,
+    languageProbability: segment.languageProbability,
+    source: segment.source,
+  };
+}
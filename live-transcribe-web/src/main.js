@@ -112,6 +112,16 @@ async function initializeFullApp(AudioProcessor, Transcriber, Visualizer) {
   const { TimerManager } = await import("./managers/timer-manager.js");
   const { EventHandlers } = await import("./managers/event-handlers.js");
   const { ModelManager } = await import("./managers/model-manager.js");
+  const { SourceManager } = await import("./managers/source-manager.js");
+  const { FileManager } = await import("./managers/file-manager.js");
+  const { VadManager } = await import("./managers/vad-manager.js");
+  const { DspManager } = await import("./managers/dsp-manager.js");
+  const { BackpressureManager } = await import(
+    "./managers/backpressure-manager.js"
+  );
+  const { GlossaryManager } = await import("./managers/glossary-manager.js");
+  const { TopologyManager } = await import("./managers/topology-manager.js");
+  const { RecordingManager } = await import("./managers/recording-manager.js");
 
   // Initialize managers
   const appState = new AppState();
@@ -119,6 +129,14 @@ async function initializeFullApp(AudioProcessor, Transcriber, Visualizer) {
   const transcriptionDisplay = new TranscriptionDisplay();
   const timerManager = new TimerManager();
   const modelManager = new ModelManager();
+  const sourceManager = new SourceManager();
+  const fileManager = new FileManager();
+  const vadManager = new VadManager();
+  const dspManager = new DspManager();
+  const backpressureManager = new BackpressureManager();
+  const glossaryManager = new GlossaryManager();
+  const topologyManager = new TopologyManager();
+  const recordingManager = new RecordingManager();
 
   // Set up model manager
   modelManager.setStatusUpdateCallback((text) => {
@@ -145,6 +163,14 @@ async function initializeFullApp(AudioProcessor, Transcriber, Visualizer) {
     transcriptionDisplay,
     timerManager,
     modelManager,
+    sourceManager,
+    fileManager,
+    vadManager,
+    dspManager,
+    backpressureManager,
+    glossaryManager,
+    topologyManager,
+    recordingManager,
   };
 
   // Initialize event handlers
@@ -153,6 +179,8 @@ async function initializeFullApp(AudioProcessor, Transcriber, Visualizer) {
   // Initialize the app
   document.getElementById("model-select").value = appState.currentModel;
   document.getElementById("language-select").value = "en";
+  await sourceManager.refreshDevices();
+  await recordingManager.refreshSessionList();
 
   console.log("Full application initialized successfully!");
   getStatusDiv().textContent = "Ready - Full functionality loaded";
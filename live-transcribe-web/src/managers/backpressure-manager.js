@@ -0,0 +1,62 @@
+import {
+  getBackpressurePolicySelect,
+  getBackpressureMaxBacklogInput,
+} from "../utils/dom-helpers.js";
+import {
+  BackpressurePolicy,
+  DEFAULT_BACKPRESSURE,
+} from "../libs/backpressure.js";
+
+const BACKPRESSURE_STORAGE_KEY = "backpressure-settings";
+
+// Shortest backlog the UI accepts before a policy kicks in
+const MIN_BACKLOG = 1;
+
+export class BackpressureManager {
+  constructor() {
+    this.settings = this.loadSettings();
+  }
+
+  loadSettings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(BACKPRESSURE_STORAGE_KEY));
+      return { ...DEFAULT_BACKPRESSURE, ...saved };
+    } catch (error) {
+      return { ...DEFAULT_BACKPRESSURE };
+    }
+  }
+
+  saveSettings() {
+    localStorage.setItem(
+      BACKPRESSURE_STORAGE_KEY,
+      JSON.stringify(this.settings)
+    );
+  }
+
+  // Fill the catch-up controls from the saved values
+  populateControls() {
+    getBackpressurePolicySelect().value = this.settings.policy;
+    getBackpressureMaxBacklogInput().value = this.settings.maxBacklog;
+  }
+
+  readControls() {
+    const policy = getBackpressurePolicySelect().value;
+    const maxBacklog = parseFloat(getBackpressureMaxBacklogInput().value);
+
+    this.settings = {
+      policy: Object.values(BackpressurePolicy).includes(policy)
+        ? policy
+        : this.settings.policy,
+      maxBacklog: Number.isFinite(maxBacklog)
+        ? Math.max(MIN_BACKLOG, maxBacklog)
+        : this.settings.maxBacklog,
+    };
+    getBackpressureMaxBacklogInput().value = this.settings.maxBacklog;
+    this.saveSettings();
+    return this.settings;
+  }
+
+  getConfig() {
+    return { ...this.settings };
+  }
+}
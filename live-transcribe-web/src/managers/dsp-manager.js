@@ -0,0 +1,70 @@
+import {
+  getDspHighPassToggle,
+  getDspDenoiseToggle,
+  getDspNormalizeToggle,
+  getDspGainToggle,
+  getDspGainInput,
+} from "../utils/dom-helpers.js";
+import { DEFAULT_DSP_CONFIG } from "../libs/dsp-chain.js";
+
+const DSP_STORAGE_KEY = "dsp-settings";
+
+// Manual gain range offered in the UI
+const MIN_GAIN_DB = -24;
+const MAX_GAIN_DB = 24;
+
+export class DspManager {
+  constructor() {
+    this.settings = this.loadSettings();
+  }
+
+  loadSettings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(DSP_STORAGE_KEY));
+      return { ...DEFAULT_DSP_CONFIG, ...saved };
+    } catch (error) {
+      return { ...DEFAULT_DSP_CONFIG };
+    }
+  }
+
+  saveSettings() {
+    localStorage.setItem(DSP_STORAGE_KEY, JSON.stringify(this.settings));
+  }
+
+  // Fill the preprocessing controls from the saved values
+  populateControls() {
+    getDspHighPassToggle().checked = this.settings.highPass;
+    getDspDenoiseToggle().checked = this.settings.noiseReduction;
+    getDspNormalizeToggle().checked = this.settings.normalize;
+    getDspGainToggle().checked = this.settings.gain;
+    getDspGainInput().value = this.settings.gainDb;
+  }
+
+  readControls() {
+    const gainDb = parseFloat(getDspGainInput().value);
+
+    this.settings = {
+      ...this.settings,
+      highPass: getDspHighPassToggle().checked,
+      noiseReduction: getDspDenoiseToggle().checked,
+      normalize: getDspNormalizeToggle().checked,
+      gain: getDspGainToggle().checked,
+      gainDb: Number.isFinite(gainDb)
+        ? Math.min(MAX_GAIN_DB, Math.max(MIN_GAIN_DB, gainDb))
+        : this.settings.gainDb,
+    };
+    getDspGainInput().value = this.settings.gainDb;
+    this.saveSettings();
+    return this.settings;
+  }
+
+  getConfig() {
+    return { ...this.settings };
+  }
+
+  // True when any stage changes the signal
+  isEnabled() {
+    const { highPass, noiseReduction, normalize, gain, gainDb } = this.settings;
+    return highPass || noiseReduction || normalize || (gain && gainDb !== 0);
+  }
+}
@@ -1,6 +1,7 @@
 import {
   getStartBtn,
   getStopBtn,
+  getPauseBtn,
   getModelSelect,
   getLanguageSelect,
   getBackendSelect,
@@ -13,24 +14,75 @@ import {
   getLoadModelBtn,
   getUnloadModelBtn,
   getCopyL4Btn,
+  getCopyTranslationBtn,
+  getExportL4Btn,
+  getExportTranslationBtn,
   getStatusDiv,
   getStreamingSection,
   getCanvas,
   getOnnxLayersToggle,
+  getSharedModelToggle,
   getDiffViewToggle,
   getTimingDisplayToggle,
+  getExportMetricsCsvBtn,
+  getExportMetricsJsonBtn,
   getLayerToggle,
+  getSourceSelect,
+  getSecondSourceSelect,
+  getDownmixSelect,
+  getFileInput,
+  getFileDropZone,
+  getFileLayerToggle,
+  getTranscribeFileBtn,
+  getCancelFileBtn,
+  getVadModeSelect,
+  getVadOnsetInput,
+  getVadOffsetInput,
+  getVadMinSilenceInput,
+  getTopologyPresetSelect,
+  getTopologyEditBtn,
+  getTopologyAddBtn,
+  getTopologyApplyBtn,
+  getTopologySaveBtn,
+  getTopologyDeleteBtn,
+  getTopologyExportBtn,
+  getTopologyImportInput,
+  getDspHighPassToggle,
+  getDspDenoiseToggle,
+  getDspNormalizeToggle,
+  getDspGainToggle,
+  getDspGainInput,
+  getBackpressurePolicySelect,
+  getBackpressureMaxBacklogInput,
+  getConfidenceThresholdInput,
+  getGlossaryInput,
+  getLanguageLockInput,
+  getRecordAudioToggle,
+  getSessionSelect,
+  getDownloadWavBtn,
+  getDownloadOpusBtn,
+  getDeleteSessionBtn,
 } from "../utils/dom-helpers.js";
+import { FILE_LAYERS } from "./file-manager.js";
+import { mapWordTimes } from "../libs/word-timestamps.js";
 
 const numTotalLayers = 5;
 
+const LANGUAGE_LOCK_STORAGE_KEY = "language-lock";
+
+// How often the timing panel refreshes each layer's lag while recording
+const LAG_REFRESH_MS = 1000;
+
 export class EventHandlers {
   constructor(appState, managers) {
     this.appState = appState;
     this.managers = managers;
     this.onnxEnabled = false; // Track ONNX state
+    this.sharedModelEnabled = false; // One worker and model for all layers
     this.diffViewEnabled = false; // Track diff view state
     this.timingDisplayTokensPerSecond = false; // Track timing display mode
+    this.unwatchSources = []; // Remove the track "ended" listeners, per channel
+    this.lagInterval = null; // Refreshes the lag shown in the timing panel
     this.setupEventListeners();
   }
 
@@ -40,11 +92,31 @@ export class EventHandlers {
 
     // Stop button handler
     getStopBtn().addEventListener("click", () => this.handleStopRecording());
+    getPauseBtn().addEventListener("click", () => this.handlePauseToggle());
 
     // Copy L4 button handler
     getCopyL4Btn().addEventListener("click", () =>
       this.managers.transcriptionDisplay.copyL4ToClipboard()
     );
+    getCopyTranslationBtn().addEventListener("click", () =>
+      this.managers.transcriptionDisplay.copyL4ToClipboard("translation")
+    );
+
+    // Download L4 (or its translation) as a text file
+    getExportL4Btn().addEventListener("click", () =>
+      this.managers.transcriptionDisplay.exportL4Text()
+    );
+    getExportTranslationBtn().addEventListener("click", () =>
+      this.managers.transcriptionDisplay.exportL4Text("translation")
+    );
+
+    // Download each layer's latency, RTF and queue figures
+    getExportMetricsCsvBtn().addEventListener("click", () =>
+      this.managers.transcriptionDisplay.exportMetrics("csv")
+    );
+    getExportMetricsJsonBtn().addEventListener("click", () =>
+      this.managers.transcriptionDisplay.exportMetrics("json")
+    );
 
     // Model load/unload handlers
     getLoadModelBtn().addEventListener("click", () => this.handleLoadModel());
@@ -57,6 +129,166 @@ export class EventHandlers {
       this.handleL0ToggleChange(e)
     );
 
+    // Source select handlers - remember the last choice
+    getSourceSelect().addEventListener("change", (e) =>
+      this.managers.sourceManager.saveSelectedSource(e.target.value)
+    );
+    getSecondSourceSelect().addEventListener("change", (e) =>
+      this.managers.sourceManager.saveSelectedSecondSource(e.target.value)
+    );
+    getDownmixSelect().value =
+      this.managers.sourceManager.getSavedDownmixMode();
+    getDownmixSelect().addEventListener("change", (e) =>
+      this.managers.sourceManager.saveDownmixMode(e.target.value)
+    );
+
+    // File transcription handlers
+    getFileInput().addEventListener("change", (e) =>
+      this.managers.fileManager.setFile(e.target.files[0] || null)
+    );
+    const dropZone = getFileDropZone();
+    dropZone.addEventListener("dragover", (e) => {
+      e.preventDefault();
+      dropZone.classList.add("drag-over");
+    });
+    dropZone.addEventListener("dragleave", () =>
+      dropZone.classList.remove("drag-over")
+    );
+    dropZone.addEventListener("drop", (e) => {
+      e.preventDefault();
+      dropZone.classList.remove("drag-over");
+      const file = e.dataTransfer.files[0];
+      if (file) this.managers.fileManager.setFile(file);
+    });
+    getTranscribeFileBtn().addEventListener("click", () =>
+      this.handleTranscribeFile()
+    );
+    getCancelFileBtn().addEventListener("click", () =>
+      this.managers.fileManager.cancel()
+    );
+    FILE_LAYERS.forEach((level) => {
+      getFileLayerToggle(level).addEventListener("change", (e) =>
+        this.managers.fileManager.saveLayerSelection(level, e.target.checked)
+      );
+    });
+    this.managers.fileManager.loadLayerSelection();
+
+    // VAD settings handlers - thresholds apply to a running recording
+    this.managers.vadManager.populateControls();
+    [
+      getVadModeSelect(),
+      getVadOnsetInput(),
+      getVadOffsetInput(),
+      getVadMinSilenceInput(),
+    ].forEach((control) =>
+      control.addEventListener("change", () => this.handleVadSettingsChange())
+    );
+
+    // Layer topology handlers - a new topology applies on the next model load
+    const topologyManager = this.managers.topologyManager;
+    topologyManager.setChangeListener((topology) =>
+      this.handleTopologyChange(topology)
+    );
+    topologyManager.populatePresetSelect();
+    topologyManager.updateLayerControls();
+    this.managers.transcriber.setTopology(topologyManager.getLayers());
+    getTopologyPresetSelect().addEventListener("change", (e) =>
+      topologyManager.selectPreset(e.target.value)
+    );
+    getTopologyEditBtn().addEventListener("click", () =>
+      topologyManager.toggleEditor()
+    );
+    getTopologyAddBtn().addEventListener("click", () =>
+      topologyManager.addLayer()
+    );
+    getTopologyApplyBtn().addEventListener("click", () =>
+      topologyManager.applyEditor()
+    );
+    getTopologySaveBtn().addEventListener("click", () =>
+      topologyManager.savePreset()
+    );
+    getTopologyDeleteBtn().addEventListener("click", () =>
+      topologyManager.deletePreset()
+    );
+    getTopologyExportBtn().addEventListener("click", () =>
+      topologyManager.exportTopology()
+    );
+    getTopologyImportInput().addEventListener("change", (e) => {
+      const file = e.target.files[0];
+      e.target.value = ""; // Allow importing the same file again
+      if (file) topologyManager.importTopology(file);
+    });
+
+    // Preprocessing handlers - changes apply to a running recording
+    this.managers.dspManager.populateControls();
+    [
+      getDspHighPassToggle(),
+      getDspDenoiseToggle(),
+      getDspNormalizeToggle(),
+      getDspGainToggle(),
+      getDspGainInput(),
+    ].forEach((control) =>
+      control.addEventListener("change", () => this.handleDspSettingsChange())
+    );
+
+    // Catch-up handlers - the policy applies to running layers
+    const backpressureManager = this.managers.backpressureManager;
+    backpressureManager.populateControls();
+    this.managers.transcriber.setBackpressure(backpressureManager.getConfig());
+    [getBackpressurePolicySelect(), getBackpressureMaxBacklogInput()].forEach(
+      (control) =>
+        control.addEventListener("change", () =>
+          this.handleBackpressureChange()
+        )
+    );
+
+    // Glossary handlers - running layers use it from their next chunk
+    const glossaryManager = this.managers.glossaryManager;
+    glossaryManager.populateControls();
+    this.managers.transcriber.setGlossary(glossaryManager.getTerms());
+    getGlossaryInput().addEventListener("change", () =>
+      this.handleGlossaryChange()
+    );
+
+    // Language lock - applies to running layers from their next window
+    const savedLock = parseInt(localStorage.getItem(LANGUAGE_LOCK_STORAGE_KEY));
+    getLanguageLockInput().value = Number.isFinite(savedLock) ? savedLock : 0;
+    this.handleLanguageLockChange(getLanguageLockInput());
+    getLanguageLockInput().addEventListener("change", (e) =>
+      this.handleLanguageLockChange(e.target)
+    );
+
+    // Low-confidence highlighting threshold
+    const transcriptionDisplay = this.managers.transcriptionDisplay;
+    getConfidenceThresholdInput().value = Math.round(
+      transcriptionDisplay.loadConfidenceThreshold() * 100
+    );
+    getConfidenceThresholdInput().addEventListener("change", (e) =>
+      this.handleConfidenceThresholdChange(e.target)
+    );
+
+    // Session audio handlers
+    const recordingManager = this.managers.recordingManager;
+    recordingManager.loadSetting();
+    getRecordAudioToggle().addEventListener("change", (e) =>
+      recordingManager.saveSetting(e.target.checked)
+    );
+    getSessionSelect().addEventListener("change", () =>
+      recordingManager.updateButtons()
+    );
+    getDownloadWavBtn().addEventListener("click", () =>
+      recordingManager.download("wav")
+    );
+    getDownloadOpusBtn().addEventListener("click", () =>
+      recordingManager.download("opus")
+    );
+    getDeleteSessionBtn().addEventListener("click", () =>
+      recordingManager.deleteSelected()
+    );
+    this.managers.transcriptionDisplay.setSegmentClickHandler((segment) =>
+      this.handleSegmentClick(segment)
+    );
+
     // Model select handler
     getModelSelect().addEventListener("change", () => this.handleModelChange());
 
@@ -65,6 +297,11 @@ export class EventHandlers {
       this.handleOnnxToggle()
     );
 
+    // Shared model toggle handler
+    getSharedModelToggle().addEventListener("click", () =>
+      this.handleSharedModelToggle()
+    );
+
     // Diff view toggle handler
     getDiffViewToggle().addEventListener("click", () =>
       this.handleDiffViewToggle()
@@ -109,8 +346,18 @@ export class EventHandlers {
   }
 
   async handleStartRecording() {
+    if (this.managers.fileManager.isRunning) {
+      alert(
+        "Cannot record while a file is being transcribed. Please cancel it first."
+      );
+      return;
+    }
+
     try {
       getStartBtn().disabled = true;
+      getSourceSelect().disabled = true;
+      getSecondSourceSelect().disabled = true;
+      getDownmixSelect().disabled = true;
       getModelSelect().disabled = true;
       getQuantSelect().disabled = true;
       getLanguageSelect().disabled = true;
@@ -121,8 +368,20 @@ export class EventHandlers {
       getLayerToggle(3).disabled = true;
       getLayerToggle(4).disabled = true;
 
-      getStatusDiv().textContent =
-        "Please select a tab/screen and SHARE AUDIO...";
+      const sourceManager = this.managers.sourceManager;
+      const sourceId = sourceManager.getSelectedSource();
+      const secondSourceId = sourceManager.getSelectedSecondSource();
+      if (
+        secondSourceId &&
+        (secondSourceId === sourceId ||
+          (sourceManager.isDisplaySource(sourceId) &&
+            sourceManager.isDisplaySource(secondSourceId)))
+      ) {
+        throw new Error("The two sources must be different");
+      }
+      getStatusDiv().textContent = sourceManager.isDisplaySource(sourceId)
+        ? "Please select a tab/screen and SHARE AUDIO..."
+        : `Opening ${sourceManager.getSourceLabel(sourceId)}...`;
 
       const language = getLanguageSelect().value;
       const backend = getBackendSelect().value;
@@ -171,20 +430,33 @@ export class EventHandlers {
         getUnloadModelBtn().disabled = false;
       }
 
-      const stream = await navigator.mediaDevices.getDisplayMedia({
-        video: true,
-        audio: {
-          echoCancellation: false,
-          noiseSuppression: false,
-          autoGainControl: false,
-        },
-      });
+      // Falls back to the energy detector if the VAD model can't load
+      if (!this.managers.vadManager.isReady) {
+        getStatusDiv().textContent = "Loading voice activity model...";
+      }
+      const vadLoaded = await this.managers.vadManager.load();
+      if (!vadLoaded) {
+        console.log("[EventHandlers] Using energy-based speech detection");
+      }
 
-      if (stream.getAudioTracks().length === 0) {
-        throw new Error(
-          'No audio track found. Please ensure you checked "Share Audio" in the dialog.'
-        );
+      // Two sources are kept as separate channels: mixed for transcription,
+      // compared by loudness to tell who is speaking
+      const sourceIds = secondSourceId
+        ? [sourceId, secondSourceId]
+        : [sourceId];
+      const streams = [];
+      try {
+        for (const id of sourceIds) {
+          streams.push(await sourceManager.getStream(id));
+        }
+      } catch (error) {
+        streams.forEach((s) => s.getTracks().forEach((track) => track.stop()));
+        throw error;
       }
+      const stream = streams[0];
+      this.managers.transcriber.setChannelRoles(
+        sourceManager.getSpeakerRoles(sourceIds)
+      );
 
       // Recreate visualizer if needed
       if (this.managers.visualizer) {
@@ -196,9 +468,10 @@ export class EventHandlers {
       this.managers.visualizer.setMediaStream(stream);
 
       this.managers.audioProcessor = new this.managers.AudioProcessor(
-        stream,
+        streams,
         (audioData, metadata) => {
           this.managers.transcriber.process(audioData, metadata);
+          this.managers.recordingManager.append(audioData);
 
           // Also send to streaming worker if L0 is enabled
           if (
@@ -215,27 +488,243 @@ export class EventHandlers {
           if (getLayerToggle(0).checked) {
             this.managers.streamingManager.stopStreamingTranscription();
           }
+        },
+        this.managers.vadManager,
+        {
+          downmix: sourceManager.getDownmixMode(),
+          dsp: this.managers.dspManager.getConfig(),
+          onLevels: (levels) =>
+            this.managers.visualizer?.setProcessingLevels(levels),
         }
       );
 
-      this.managers.audioProcessor.start();
+      await this.managers.audioProcessor.start();
+      await this.managers.recordingManager.start(
+        this.managers.transcriber.getTimelinePosition()
+      );
+      getRecordAudioToggle().disabled = true;
+
+      // Workers read live audio straight from the capture ring buffer
+      const ringBuffer = this.managers.audioProcessor.getRingBuffer();
+      if (ringBuffer) {
+        this.managers.transcriber.attachRingBuffer(
+          ringBuffer,
+          this.managers.audioProcessor.getRingReadIndex()
+        );
+      }
+      this.unwatchSources = streams.map((s, channel) =>
+        sourceManager.watchStream(s, () =>
+          this.handleSourceEnded(sourceIds[channel], channel)
+        )
+      );
       this.appState.isRecording = true;
       this.managers.timerManager.startRecordingTimer();
+      this.startLagMonitor();
       getStopBtn().disabled = false;
+      getPauseBtn().disabled = false;
       getStatusDiv().textContent = "Recording...";
     } catch (err) {
       console.error("Error starting:", err);
       getStatusDiv().textContent = "Error: " + err.message;
       getStartBtn().disabled = false;
+      getSourceSelect().disabled = false;
+      getSecondSourceSelect().disabled = false;
+      getDownmixSelect().disabled = false;
       getLanguageSelect().disabled = false;
       getBackendSelect().disabled = false;
     }
   }
 
+  async handleVadSettingsChange() {
+    const vadManager = this.managers.vadManager;
+    vadManager.readControls();
+
+    if (this.managers.audioProcessor) {
+      this.managers.audioProcessor.setVadConfig(vadManager.getDetectorConfig());
+    }
+
+    // Switching to Silero mid-recording takes effect once the model loads
+    if (this.appState.isRecording) {
+      await vadManager.load();
+    }
+  }
+
+  handleTopologyChange(topology) {
+    this.managers.transcriber.setTopology(topology.layers);
+    getStatusDiv().textContent = this.managers.transcriber.isInitialized
+      ? `Layers "${topology.name}" apply after the model is reloaded`
+      : `Layers: ${topology.name}`;
+  }
+
+  handleDspSettingsChange() {
+    const dspManager = this.managers.dspManager;
+    dspManager.readControls();
+    if (this.managers.audioProcessor) {
+      this.managers.audioProcessor.setDspConfig(dspManager.getConfig());
+    }
+  }
+
+  handleBackpressureChange() {
+    const backpressureManager = this.managers.backpressureManager;
+    backpressureManager.readControls();
+    this.managers.transcriber.setBackpressure(backpressureManager.getConfig());
+  }
+
+  handleGlossaryChange() {
+    const glossaryManager = this.managers.glossaryManager;
+    glossaryManager.readControls();
+    this.managers.transcriber.setGlossary(glossaryManager.getTerms());
+  }
+
+  handleLanguageLockChange(input) {
+    const count = Math.min(20, Math.max(0, parseInt(input.value) || 0));
+    input.value = count;
+    localStorage.setItem(LANGUAGE_LOCK_STORAGE_KEY, count.toString());
+    this.managers.transcriber.setLanguageLock(count);
+  }
+
+  handleConfidenceThresholdChange(input) {
+    const transcriptionDisplay = this.managers.transcriptionDisplay;
+    const percent = parseFloat(input.value);
+    if (Number.isFinite(percent)) {
+      transcriptionDisplay.setConfidenceThreshold(
+        Math.min(100, Math.max(0, percent)) / 100
+      );
+    }
+    input.value = Math.round(transcriptionDisplay.confidenceThreshold * 100);
+  }
+
+  // Show how far each chunk layer is behind while audio is coming in
+  startLagMonitor() {
+    this.stopLagMonitor();
+    this.lagInterval = setInterval(
+      () => this.updateLagDisplay(),
+      LAG_REFRESH_MS
+    );
+  }
+
+  stopLagMonitor() {
+    if (this.lagInterval) {
+      clearInterval(this.lagInterval);
+      this.lagInterval = null;
+    }
+    this.updateLagDisplay(); // Leave the final state visible
+  }
+
+  updateLagDisplay() {
+    this.managers.transcriptionDisplay.updateLagDisplay(
+      this.managers.transcriber.getLagStats(),
+      this.managers.backpressureManager.getConfig().maxBacklog
+    );
+  }
+
+  async handleSourceEnded(sourceId, channel = 0) {
+    if (!this.appState.isRecording) return;
+
+    const sourceManager = this.managers.sourceManager;
+
+    // Ending a screen share is the user's way of stopping
+    if (sourceManager.isDisplaySource(sourceId)) {
+      this.handleStopRecording();
+      getStatusDiv().textContent = "Screen sharing ended";
+      return;
+    }
+
+    console.warn("[EventHandlers] Input device disconnected, reconnecting...");
+    getStatusDiv().textContent = "Input device disconnected, reconnecting...";
+    this.unwatchSources[channel] = null;
+
+    const stream = await sourceManager.reacquire(sourceId);
+
+    // Recording may have been stopped while we were waiting for a device
+    if (!this.appState.isRecording || !this.managers.audioProcessor) {
+      if (stream) stream.getTracks().forEach((track) => track.stop());
+      return;
+    }
+
+    if (!stream) {
+      this.handleStopRecording();
+      getStatusDiv().textContent =
+        "Input device disconnected - no audio input available";
+      return;
+    }
+
+    this.managers.audioProcessor.replaceStream(stream, channel);
+    if (this.managers.visualizer && channel === 0) {
+      this.managers.visualizer.setMediaStream(stream);
+    }
+
+    const newSourceId = stream.getAudioTracks()[0]?.getSettings().deviceId;
+    this.unwatchSources[channel] = sourceManager.watchStream(stream, () =>
+      this.handleSourceEnded(newSourceId || sourceId, channel)
+    );
+    getStatusDiv().textContent = `Recording... (reconnected to ${sourceManager.getSourceLabel(
+      newSourceId || sourceId
+    )})`;
+  }
+
+  // Capture and models stay up while paused; only the audio is dropped
+  handlePauseToggle() {
+    if (!this.appState.isRecording) return;
+
+    const { audioProcessor, transcriber, timerManager } = this.managers;
+    const pauseBtn = getPauseBtn();
+
+    if (transcriber.isPaused()) {
+      audioProcessor.setPaused(false);
+      transcriber.resume();
+      timerManager.resumeRecordingTimer();
+      pauseBtn.textContent = "Pause";
+      getStatusDiv().textContent = "Recording...";
+    } else {
+      audioProcessor.setPaused(true);
+      transcriber.pause();
+      timerManager.pauseRecordingTimer();
+      pauseBtn.textContent = "Resume";
+      getStatusDiv().textContent = "Paused (audio is ignored)";
+    }
+  }
+
+  // Segments carry session time; stored audio only has what was captured
+  toCapturedTime(segment) {
+    const transcriber = this.managers.transcriber;
+    return {
+      ...segment,
+      start: transcriber.toAudioTime(segment.start),
+      end: transcriber.toAudioTime(segment.end),
+      words:
+        segment.words &&
+        mapWordTimes(segment.words, (t) => transcriber.toAudioTime(t)),
+    };
+  }
+
   handleStopRecording() {
+    const transcriber = this.managers.transcriber;
+    if (transcriber.isPaused()) {
+      // Close the paused interval so it stays on the timeline
+      this.managers.audioProcessor?.setPaused(false);
+      transcriber.resume();
+    }
+    getPauseBtn().disabled = true;
+    getPauseBtn().textContent = "Pause";
+
+    this.unwatchSources.forEach((unwatch) => unwatch && unwatch());
+    this.unwatchSources = [];
     if (this.managers.audioProcessor) {
       this.managers.audioProcessor.stop();
+      if (this.managers.transcriber.ringBuffer) {
+        this.managers.transcriber.detachRingBuffer();
+      }
     }
+    this.managers.recordingManager
+      .stop(
+        transcriber.segments
+          .filter((s) => !s.isSeparator)
+          .map((s) => this.toCapturedTime(s)),
+        transcriber.getPauses()
+      )
+      .catch((error) => console.error("Error saving session audio:", error));
+    getRecordAudioToggle().disabled = false;
     // Don't stop transcriber here - keep model loaded
     if (this.managers.streamingManager.getWorker()) {
       this.managers.streamingManager.stopStreamingTranscription();
@@ -246,8 +735,12 @@ export class EventHandlers {
     }
     this.appState.isRecording = false;
     this.managers.timerManager.stopRecordingTimer();
+    this.stopLagMonitor();
     getStartBtn().disabled = false;
     getStopBtn().disabled = true;
+    getSourceSelect().disabled = false;
+    getSecondSourceSelect().disabled = false;
+    getDownmixSelect().disabled = false;
     getModelSelect().disabled = false;
     getQuantSelect().disabled = false;
     getLanguageSelect().disabled = false;
@@ -260,6 +753,107 @@ export class EventHandlers {
     getStatusDiv().textContent = "Stopped (Model still loaded)";
   }
 
+  async handleSegmentClick(segment) {
+    try {
+      const played = await this.managers.recordingManager.playSegment(
+        this.toCapturedTime(segment)
+      );
+      if (!played) {
+        getStatusDiv().textContent = "No saved audio for this segment yet";
+      }
+    } catch (error) {
+      console.error("Error playing segment:", error);
+      getStatusDiv().textContent = `Playback failed: ${error.message}`;
+    }
+  }
+
+  async handleTranscribeFile() {
+    if (this.appState.isRecording) {
+      alert(
+        "Cannot transcribe a file while recording. Please stop recording first."
+      );
+      return;
+    }
+
+    const fileManager = this.managers.fileManager;
+    const transcriber = this.managers.transcriber;
+    const fileLevels = this.managers.topologyManager.getFileLevels();
+    if (fileLevels.length === 0) {
+      getStatusDiv().textContent =
+        "The current layers have no chunk layer (L2-L4) to run on a file";
+      return;
+    }
+    let levels = fileManager
+      .getSelectedLevels()
+      .filter((level) => fileLevels.includes(level));
+    if (levels.length === 0) {
+      getStatusDiv().textContent = "Select at least one layer for the file";
+      return;
+    }
+
+    getStartBtn().disabled = true;
+    try {
+      if (!transcriber.isInitialized) {
+        await transcriber.init(
+          getLanguageSelect().value,
+          getBackendSelect().value,
+          getModelSelect().value,
+          levels,
+          getQuantSelect().value,
+          this.isOnnxEnabled()
+        );
+        this.appState.setModelLoaded(true);
+        getLoadModelBtn().disabled = true;
+        getUnloadModelBtn().disabled = false;
+      } else {
+        // Only layers that are already loaded can run without a reload
+        const loadedLevels = transcriber.workers.map((w) => w.level);
+        const missing = levels.filter((l) => !loadedLevels.includes(l));
+        levels = levels.filter((l) => loadedLevels.includes(l));
+        if (levels.length === 0) {
+          throw new Error(
+            `Selected layers are not loaded (loaded: ${loadedLevels
+              .map((l) => `L${l}`)
+              .join(", ")}). Unload the model to change layers.`
+          );
+        }
+        if (missing.length > 0) {
+          console.warn(
+            `[EventHandlers] Skipping unloaded layers for file: ${missing
+              .map((l) => `L${l}`)
+              .join(", ")}`
+          );
+        }
+      }
+
+      // The file gets a fresh transcript timeline
+      this.managers.recordingManager.clearTimeline();
+
+      const fileName = fileManager.getFile().name;
+      const completed = await fileManager.transcribe(
+        transcriber,
+        levels,
+        (text) => {
+          getStatusDiv().textContent = text;
+        },
+        {
+          downmix: this.managers.sourceManager.getDownmixMode(),
+          dsp: this.managers.dspManager.isEnabled()
+            ? this.managers.dspManager.getConfig()
+            : null,
+        }
+      );
+      getStatusDiv().textContent = completed
+        ? `File transcribed: ${fileName}`
+        : "File transcription cancelled";
+    } catch (error) {
+      console.error("Error transcribing file:", error);
+      getStatusDiv().textContent = `Error transcribing file: ${error.message}`;
+    } finally {
+      getStartBtn().disabled = this.appState.isRecording;
+    }
+  }
+
   async handleLoadModel() {
     if (this.appState.isRecording) {
       alert("Cannot load model while recording. Please stop recording first.");
@@ -508,6 +1102,18 @@ export class EventHandlers {
     return this.onnxEnabled;
   }
 
+  handleSharedModelToggle() {
+    this.sharedModelEnabled = !this.sharedModelEnabled;
+    getSharedModelToggle().classList.toggle("active", this.sharedModelEnabled);
+    this.managers.transcriber.setSharedModel(this.sharedModelEnabled);
+
+    // Like the ONNX toggle, this applies the next time the model is loaded
+    if (this.managers.transcriber.isInitialized) {
+      getStatusDiv().textContent =
+        "Shared model setting applies after the model is reloaded";
+    }
+  }
+
   handleDiffViewToggle() {
     this.diffViewEnabled = !this.diffViewEnabled;
     this.updateDiffViewButtonState();
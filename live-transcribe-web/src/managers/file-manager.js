@@ -0,0 +1,218 @@
+import {
+  getFileName,
+  getFileLayerToggle,
+  getFileProgress,
+  getFileProgressText,
+  getTranscribeFileBtn,
+  getCancelFileBtn,
+} from "../utils/dom-helpers.js";
+import { Resampler } from "../libs/resampler.js";
+import { DownmixMode, downmixAudioBuffer } from "../libs/downmix.js";
+import { DspChain } from "../libs/dsp-chain.js";
+import { BackpressurePolicy } from "../libs/backpressure.js";
+
+// Chunk layers that can run on a file (L1 partials are never committed)
+export const FILE_LAYERS = [2, 3, 4];
+
+const TARGET_SAMPLE_RATE = 16000;
+const FEED_BLOCK_SECONDS = 1;
+const POLL_INTERVAL_MS = 50;
+
+export class FileManager {
+  constructor() {
+    this.file = null;
+    this.duration = 0;
+    this.isRunning = false;
+    this.cancelRequested = false;
+  }
+
+  setFile(file) {
+    this.file = file;
+    getFileName().textContent = file
+      ? file.name
+      : "Drop or choose an audio/video file";
+    getTranscribeFileBtn().disabled = !file || this.isRunning;
+    this.updateProgress(0, "");
+  }
+
+  getFile() {
+    return this.file;
+  }
+
+  getSelectedLevels() {
+    return FILE_LAYERS.filter((level) => getFileLayerToggle(level).checked);
+  }
+
+  loadLayerSelection() {
+    FILE_LAYERS.forEach((level) => {
+      const savedState = localStorage.getItem(`file-layer-${level}`);
+      // Default to L4 only - the cheapest way through a long recording
+      getFileLayerToggle(level).checked =
+        savedState !== null ? savedState === "true" : level === 4;
+    });
+  }
+
+  saveLayerSelection(level, checked) {
+    localStorage.setItem(`file-layer-${level}`, checked.toString());
+  }
+
+  /**
+   * Decode an audio/video file, downmix it and resample it to 16 kHz mono
+   */
+  async decodeFile(file, downmixMode = DownmixMode.AVERAGE) {
+    const arrayBuffer = await file.arrayBuffer();
+
+    // decodeAudioData delivers audio at the context's rate
+    const decodeContext = new AudioContext();
+    let decoded;
+    try {
+      decoded = await decodeContext.decodeAudioData(arrayBuffer);
+    } finally {
+      decodeContext.close();
+    }
+
+    const mono = downmixAudioBuffer(decoded, downmixMode);
+    return Resampler.resample(mono, decoded.sampleRate, TARGET_SAMPLE_RATE);
+  }
+
+  /**
+   * Push the current file through the transcriber as fast as the selected
+   * layers can keep up. Returns false if cancelled.
+   * options.downmix: how stereo files are reduced to mono (DownmixMode)
+   * options.dsp: preprocessing to apply like live capture does (DspConfig)
+   */
+  async transcribe(transcriber, levels, onStatus = () => {}, options = {}) {
+    if (!this.file) throw new Error("No file selected");
+
+    this.isRunning = true;
+    this.cancelRequested = false;
+    getTranscribeFileBtn().disabled = true;
+    getCancelFileBtn().disabled = false;
+
+    // The file is fed as fast as the layers go, so a backlog is expected
+    // here; keep every chunk instead of catching up
+    const backpressure = transcriber.getBackpressure();
+    transcriber.setBackpressure({ policy: BackpressurePolicy.NONE });
+
+    try {
+      onStatus(`Decoding ${this.file.name}...`);
+      this.updateProgress(0, "Decoding...");
+      let audio = await this.decodeFile(this.file, options.downmix);
+      if (options.dsp) {
+        onStatus("Preprocessing audio...");
+        audio = DspChain.processBuffer(audio, TARGET_SAMPLE_RATE, options.dsp);
+      }
+      this.duration = audio.length / TARGET_SAMPLE_RATE;
+
+      onStatus("Waiting for models to load...");
+      this.updateProgress(0, "Loading models...");
+      await transcriber.whenReady(levels);
+
+      // Start a fresh timeline so segment timestamps match the file
+      transcriber.reset();
+
+      // Keep at most two of the largest chunks buffered ahead of the
+      // slowest layer, so memory stays bounded for long files
+      const maxChunkSize = Math.max(
+        ...levels.map(
+          (level) => transcriber.workerConfigs[level]?.config.chunkSize || 5
+        )
+      );
+      const lookaheadSeconds = maxChunkSize * 2;
+      const blockSamples = FEED_BLOCK_SECONDS * TARGET_SAMPLE_RATE;
+
+      onStatus(`Transcribing ${this.file.name}...`);
+      let offset = 0;
+      while (offset < audio.length) {
+        if (this.cancelRequested || !transcriber.isInitialized) {
+          transcriber.commitAndReset();
+          return false;
+        }
+
+        const fedSeconds = offset / TARGET_SAMPLE_RATE;
+        if (
+          fedSeconds - this.getProgress(transcriber, levels) >
+          lookaheadSeconds
+        ) {
+          this.reportProgress(transcriber, levels);
+          await this.sleep(POLL_INTERVAL_MS);
+          continue;
+        }
+
+        const block = audio.slice(offset, offset + blockSamples);
+        transcriber.process(
+          block,
+          { isSpeaking: true, source: "file" },
+          levels
+        );
+        offset += block.length;
+      }
+
+      // Let every layer process its last partial chunk
+      const flushed = transcriber.flush(levels);
+      while (!(await this.raceTimeout(flushed, POLL_INTERVAL_MS))) {
+        if (this.cancelRequested || !transcriber.isInitialized) {
+          transcriber.commitAndReset();
+          return false;
+        }
+        this.reportProgress(transcriber, levels);
+      }
+
+      this.updateProgress(1, `Done - ${this.formatDuration(this.duration)}`);
+      return true;
+    } finally {
+      transcriber.setBackpressure(backpressure);
+      this.isRunning = false;
+      getTranscribeFileBtn().disabled = !this.file;
+      getCancelFileBtn().disabled = true;
+    }
+  }
+
+  cancel() {
+    if (this.isRunning) {
+      this.cancelRequested = true;
+    }
+  }
+
+  // Transcribed position of the slowest selected layer
+  getProgress(transcriber, levels) {
+    return Math.min(
+      ...levels.map((level) => transcriber.getLayerProgress(level))
+    );
+  }
+
+  reportProgress(transcriber, levels) {
+    const position = Math.min(
+      this.getProgress(transcriber, levels),
+      this.duration
+    );
+    const fraction = this.duration > 0 ? position / this.duration : 0;
+    this.updateProgress(
+      fraction,
+      `${this.formatDuration(position)} / ${this.formatDuration(this.duration)}`
+    );
+  }
+
+  updateProgress(fraction, text) {
+    getFileProgress().value = fraction;
+    getFileProgressText().textContent = text;
+  }
+
+  formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${minutes}:${secs.toString().padStart(2, "0")}`;
+  }
+
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  // Resolves true if the promise settled within the timeout
+  raceTimeout(promise, ms) {
+    return Promise.race([
+      promise.then(() => true),
+      this.sleep(ms).then(() => false),
+    ]);
+  }
+}
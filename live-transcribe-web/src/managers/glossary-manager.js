@@ -0,0 +1,38 @@
+import { getGlossaryInput } from "../utils/dom-helpers.js";
+import { parseGlossary } from "../libs/prompt-context.js";
+
+const GLOSSARY_STORAGE_KEY = "glossary";
+
+export class GlossaryManager {
+  constructor() {
+    this.terms = this.loadTerms();
+  }
+
+  loadTerms() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(GLOSSARY_STORAGE_KEY));
+      return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  saveTerms() {
+    localStorage.setItem(GLOSSARY_STORAGE_KEY, JSON.stringify(this.terms));
+  }
+
+  // Show the saved terms, one per line
+  populateControls() {
+    getGlossaryInput().value = this.terms.join("\n");
+  }
+
+  readControls() {
+    this.terms = parseGlossary(getGlossaryInput().value);
+    this.saveTerms();
+    return this.terms;
+  }
+
+  getTerms() {
+    return [...this.terms];
+  }
+}
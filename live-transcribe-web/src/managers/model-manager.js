@@ -18,10 +18,17 @@ export class ModelManager {
           transcriptionDisplay.setReplacedSegments(data.replacedSegments);
         }
 
+        if (data.languages) {
+          transcriptionDisplay.updateLanguageBadge(data.languages);
+        }
+
         // Update timing display
         if (data.timingStats) {
           transcriptionDisplay.updateTimingDisplayWithState(data.timingStats);
         }
+        if (data.metrics) {
+          transcriptionDisplay.updateMetricsDisplay(data.metrics);
+        }
 
         transcriptionDisplay.updateDisplay();
       } else if (data.type === "partial") {
@@ -47,6 +54,10 @@ export class ModelManager {
             transcriptionDisplay.updateDisplay();
           }
         }
+      } else if (data.type === "recovery") {
+        transcriptionDisplay.updateRecoveryDisplay(data.layers);
+      } else if (data.type === "load_state") {
+        transcriptionDisplay.updateModelDisplay(data.layers);
       } else if (data.type === "status") {
         // Status updates should be handled by the main app
         if (this.onStatusUpdate) {
@@ -0,0 +1,321 @@
+import {
+  getRecordAudioToggle,
+  getSessionSelect,
+  getDownloadWavBtn,
+  getDownloadOpusBtn,
+  getDeleteSessionBtn,
+  getSessionAudioStatus,
+} from "../utils/dom-helpers.js";
+import { AudioStore, floatToInt16 } from "../libs/audio-store.js";
+import { exportWav, exportOpus, downloadBlob } from "../libs/audio-export.js";
+import { mapWordTimes } from "../libs/word-timestamps.js";
+
+const SAMPLE_RATE = 16000;
+
+// 10 s of 16-bit audio per IndexedDB record (320 KB)
+const CHUNK_SAMPLES = SAMPLE_RATE * 10;
+
+const RECORD_STORAGE_KEY = "record-session-audio";
+
+export class RecordingManager {
+  constructor() {
+    this.store = new AudioStore();
+    this.sessionId = null; // Session currently being recorded
+    this.chunk = new Int16Array(CHUNK_SAMPLES);
+    this.chunkLength = 0;
+    this.chunkIndex = 0;
+    this.totalSamples = 0;
+    this.writeQueue = Promise.resolve(); // Keeps IndexedDB writes in order
+    this.sessionRanges = []; // { sessionId, start, end } on the transcript timeline
+    this.playback = null; // { context, source } of the segment being played
+    this.isExporting = false;
+  }
+
+  isEnabled() {
+    return getRecordAudioToggle().checked;
+  }
+
+  loadSetting() {
+    const saved = localStorage.getItem(RECORD_STORAGE_KEY);
+    getRecordAudioToggle().checked = saved !== null ? saved === "true" : true;
+  }
+
+  saveSetting(enabled) {
+    localStorage.setItem(RECORD_STORAGE_KEY, enabled.toString());
+  }
+
+  /**
+   * Start storing a new session
+   * @param {number} timelineOffset - Transcript time (s) of the first sample
+   */
+  async start(timelineOffset) {
+    if (!this.isEnabled()) return;
+
+    try {
+      this.sessionId = await this.store.createSession({
+        startedAt: Date.now(),
+        sampleRate: SAMPLE_RATE,
+        chunkSize: CHUNK_SAMPLES,
+        timelineOffset,
+      });
+    } catch (error) {
+      console.error("[RecordingManager] Could not create session:", error);
+      this.sessionId = null;
+      return;
+    }
+
+    this.chunkLength = 0;
+    this.chunkIndex = 0;
+    this.totalSamples = 0;
+    this.sessionRanges.push({
+      sessionId: this.sessionId,
+      start: timelineOffset,
+      end: timelineOffset,
+    });
+    console.log(`[RecordingManager] Recording session ${this.sessionId}`);
+    await this.refreshSessionList(this.sessionId);
+  }
+
+  /**
+   * Append captured 16 kHz audio to the current session
+   * @param {Float32Array} samples
+   */
+  append(samples) {
+    if (this.sessionId === null) return;
+
+    const pcm = floatToInt16(samples);
+    let offset = 0;
+    while (offset < pcm.length) {
+      const count = Math.min(
+        pcm.length - offset,
+        CHUNK_SAMPLES - this.chunkLength
+      );
+      this.chunk.set(pcm.subarray(offset, offset + count), this.chunkLength);
+      this.chunkLength += count;
+      offset += count;
+
+      if (this.chunkLength === CHUNK_SAMPLES) {
+        this.writeChunk();
+      }
+    }
+
+    this.totalSamples += samples.length;
+    const range = this.sessionRanges[this.sessionRanges.length - 1];
+    range.end = range.start + this.totalSamples / SAMPLE_RATE;
+  }
+
+  // Queue the current chunk for storage and start a new one
+  writeChunk() {
+    if (this.chunkLength === 0) return;
+
+    const sessionId = this.sessionId;
+    const index = this.chunkIndex++;
+    const data = this.chunk.slice(0, this.chunkLength);
+    const totalSamples = index * CHUNK_SAMPLES + data.length;
+    this.chunkLength = 0;
+
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        await this.store.putChunk(sessionId, index, data);
+        await this.store.updateSession(sessionId, { totalSamples });
+      })
+      .catch((error) =>
+        console.error("[RecordingManager] Failed to store audio:", error)
+      );
+  }
+
+  /**
+   * Finish the current session and link it to the transcript
+   * @param {Array} segments - Transcriber segments on the transcript timeline
+   * @param {Array} pauses - { at, duration } paused intervals on the timeline
+   */
+  async stop(segments = [], pauses = []) {
+    if (this.sessionId === null) return;
+
+    const sessionId = this.sessionId;
+    const range = this.sessionRanges[this.sessionRanges.length - 1];
+    this.writeChunk();
+    this.sessionId = null;
+
+    // Keep the segments of this session, with times relative to its start
+    const sessionSegments = segments
+      .filter(
+        (s) => !s.isSeparator && s.end > range.start && s.start < range.end
+      )
+      .map((s) => ({
+        text: s.text,
+        level: s.level,
+        source: s.source,
+        start: Math.max(0, s.start - range.start),
+        end: s.end - range.start,
+        words:
+          s.words && mapWordTimes(s.words, (t) => Math.max(0, t - range.start)),
+      }));
+
+    // Where capture was paused, so the audio can be lined up with wall time
+    const sessionPauses = pauses
+      .filter((p) => p.at >= range.start && p.at <= range.end)
+      .map((p) => ({ at: p.at - range.start, duration: p.duration }));
+
+    await this.writeQueue;
+    await this.store.updateSession(sessionId, {
+      segments: sessionSegments,
+      pauses: sessionPauses,
+    });
+    await this.refreshSessionList(sessionId);
+  }
+
+  async refreshSessionList(selectedId = null) {
+    const select = getSessionSelect();
+    let sessions = [];
+    try {
+      sessions = await this.store.listSessions();
+    } catch (error) {
+      console.error("[RecordingManager] Could not list sessions:", error);
+    }
+
+    const previous = selectedId ?? this.getSelectedSessionId();
+    select.innerHTML = "";
+    sessions.forEach((session) => {
+      const option = document.createElement("option");
+      option.value = session.id;
+      option.textContent = `${new Date(
+        session.startedAt
+      ).toLocaleString()} (${this.formatDuration(
+        session.totalSamples / session.sampleRate
+      )})`;
+      select.appendChild(option);
+    });
+    if (sessions.some((s) => s.id === previous)) {
+      select.value = previous;
+    }
+
+    this.updateButtons();
+  }
+
+  getSelectedSessionId() {
+    const value = getSessionSelect().value;
+    return value ? Number(value) : null;
+  }
+
+  updateButtons() {
+    const hasSession = this.getSelectedSessionId() !== null;
+    getDownloadWavBtn().disabled = !hasSession || this.isExporting;
+    getDownloadOpusBtn().disabled = !hasSession || this.isExporting;
+    getDeleteSessionBtn().disabled =
+      !hasSession || this.isExporting || this.sessionId !== null;
+  }
+
+  /**
+   * Download the selected session
+   * @param {"wav"|"opus"} format
+   */
+  async download(format) {
+    const sessionId = this.getSelectedSessionId();
+    if (sessionId === null || this.isExporting) return;
+
+    this.isExporting = true;
+    this.updateButtons();
+    const status = getSessionAudioStatus();
+
+    try {
+      await this.writeQueue;
+      const session = await this.store.getSession(sessionId);
+      const baseName = `session-${new Date(session.startedAt)
+        .toISOString()
+        .replace(/[:.]/g, "-")}`;
+
+      if (format === "wav") {
+        status.textContent = "Preparing WAV...";
+        downloadBlob(await exportWav(this.store, sessionId), `${baseName}.wav`);
+      } else {
+        status.textContent = "Encoding Opus...";
+        const blob = await exportOpus(this.store, sessionId, (fraction) => {
+          status.textContent = `Encoding Opus... ${Math.round(
+            fraction * 100
+          )}%`;
+        });
+        const extension = blob.type.includes("webm") ? "webm" : "opus";
+        downloadBlob(blob, `${baseName}.${extension}`);
+      }
+      status.textContent = "";
+    } catch (error) {
+      console.error("[RecordingManager] Export failed:", error);
+      status.textContent = `Export failed: ${error.message}`;
+    } finally {
+      this.isExporting = false;
+      this.updateButtons();
+    }
+  }
+
+  async deleteSelected() {
+    const sessionId = this.getSelectedSessionId();
+    if (sessionId === null || this.sessionId !== null) return;
+
+    await this.store.deleteSession(sessionId);
+    this.sessionRanges = this.sessionRanges.filter(
+      (r) => r.sessionId !== sessionId
+    );
+    await this.refreshSessionList();
+  }
+
+  // Forget where past sessions sit on the transcript (it was reset)
+  clearTimeline() {
+    this.sessionRanges = this.sessionId !== null ? this.sessionRanges : [];
+  }
+
+  /**
+   * Play back the stored audio behind a transcript segment
+   * @param {Object} segment - Segment with start/end on the transcript timeline
+   * @returns {Promise<boolean>} False if no stored audio covers the segment
+   */
+  async playSegment(segment) {
+    const range = this.sessionRanges.find(
+      (r) => segment.start >= r.start && segment.start < r.end
+    );
+    if (!range) return false;
+
+    await this.writeQueue;
+    const samples = await this.store.readRange(
+      range.sessionId,
+      (segment.start - range.start) * SAMPLE_RATE,
+      (segment.end - range.start) * SAMPLE_RATE
+    );
+    if (samples.length === 0) return false;
+
+    this.stopPlayback();
+    const context = new AudioContext();
+    const buffer = context.createBuffer(1, samples.length, SAMPLE_RATE);
+    buffer.copyToChannel(samples, 0);
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(context.destination);
+    source.onended = () => this.stopPlayback();
+    source.start();
+    this.playback = { context, source };
+    return true;
+  }
+
+  stopPlayback() {
+    if (!this.playback) return;
+    const { context, source } = this.playback;
+    this.playback = null;
+    source.onended = null;
+    try {
+      source.stop();
+    } catch (error) {
+      // Already stopped
+    }
+    context.close();
+  }
+
+  formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = Math.floor(seconds % 60);
+    const mmss = `${minutes.toString().padStart(2, "0")}:${secs
+      .toString()
+      .padStart(2, "0")}`;
+    return hours > 0 ? `${hours}:${mmss}` : mmss;
+  }
+}
@@ -0,0 +1,290 @@
+import {
+  getSourceSelect,
+  getSecondSourceSelect,
+  getDownmixSelect,
+} from "../utils/dom-helpers.js";
+import { DownmixMode } from "../libs/downmix.js";
+
+// Value of the tab/screen option in the source picker
+export const DISPLAY_SOURCE = "display";
+
+// Value of the "no second source" option
+export const NO_SOURCE = "";
+
+// Speaker roles used to attribute segments in two-party capture
+export const SPEAKER_ME = "me";
+export const SPEAKER_REMOTE = "remote";
+
+const SOURCE_STORAGE_KEY = "audio-source";
+const SECOND_SOURCE_STORAGE_KEY = "second-audio-source";
+const DOWNMIX_STORAGE_KEY = "downmix-mode";
+
+// Raw capture for every source - the models expect the unprocessed signal
+const AUDIO_CONSTRAINTS = {
+  echoCancellation: false,
+  noiseSuppression: false,
+  autoGainControl: false,
+};
+
+export class SourceManager {
+  constructor() {
+    this.devices = []; // Audio input devices from enumerateDevices()
+    this.deviceChangeListeners = [];
+
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+      navigator.mediaDevices.addEventListener("devicechange", () =>
+        this.handleDeviceChange()
+      );
+    }
+  }
+
+  async handleDeviceChange() {
+    await this.refreshDevices();
+    this.deviceChangeListeners.forEach((listener) => listener(this.devices));
+  }
+
+  async refreshDevices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+      console.warn("[SourceManager] enumerateDevices() not supported");
+      this.devices = [];
+    } else {
+      try {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        this.devices = devices.filter((d) => d.kind === "audioinput");
+      } catch (error) {
+        console.error("[SourceManager] Failed to enumerate devices:", error);
+        this.devices = [];
+      }
+    }
+
+    this.populateSourceSelect();
+    return this.devices;
+  }
+
+  populateSourceSelect() {
+    const select = getSourceSelect();
+    if (select) {
+      this.populateSelect(select, this.getSavedSource(), DISPLAY_SOURCE);
+    }
+
+    const secondSelect = getSecondSourceSelect();
+    if (secondSelect) {
+      this.populateSelect(secondSelect, this.getSavedSecondSource(), NO_SOURCE);
+    }
+  }
+
+  populateSelect(select, savedValue, fallbackValue) {
+    // Keep the current choice (or the saved one on first population)
+    const selected = select.dataset.populated ? select.value : savedValue;
+    select.dataset.populated = "true";
+
+    select.innerHTML = "";
+
+    if (fallbackValue === NO_SOURCE) {
+      const noneOption = document.createElement("option");
+      noneOption.value = NO_SOURCE;
+      noneOption.textContent = "None";
+      select.appendChild(noneOption);
+    }
+
+    const displayOption = document.createElement("option");
+    displayOption.value = DISPLAY_SOURCE;
+    displayOption.textContent = "Tab / Screen";
+    select.appendChild(displayOption);
+
+    this.devices.forEach((device, index) => {
+      const option = document.createElement("option");
+      option.value = device.deviceId;
+      // Labels stay empty until microphone permission has been granted
+      option.textContent = device.label || `Microphone ${index + 1}`;
+      select.appendChild(option);
+    });
+
+    const stillAvailable = Array.from(select.options).some(
+      (option) => option.value === selected
+    );
+    select.value = stillAvailable ? selected : fallbackValue;
+  }
+
+  getSelectedSource() {
+    const select = getSourceSelect();
+    return select ? select.value : DISPLAY_SOURCE;
+  }
+
+  getSavedSource() {
+    return localStorage.getItem(SOURCE_STORAGE_KEY) || DISPLAY_SOURCE;
+  }
+
+  saveSelectedSource(sourceId) {
+    localStorage.setItem(SOURCE_STORAGE_KEY, sourceId);
+  }
+
+  // Optional second source captured alongside the first (null for none)
+  getSelectedSecondSource() {
+    const select = getSecondSourceSelect();
+    return select && select.value !== NO_SOURCE ? select.value : null;
+  }
+
+  getSavedSecondSource() {
+    return localStorage.getItem(SECOND_SOURCE_STORAGE_KEY) || NO_SOURCE;
+  }
+
+  saveSelectedSecondSource(sourceId) {
+    localStorage.setItem(SECOND_SOURCE_STORAGE_KEY, sourceId);
+  }
+
+  // How stereo sources and files are reduced to mono
+  getDownmixMode() {
+    const select = getDownmixSelect();
+    return select ? select.value : this.getSavedDownmixMode();
+  }
+
+  getSavedDownmixMode() {
+    const saved = localStorage.getItem(DOWNMIX_STORAGE_KEY);
+    return Object.values(DownmixMode).includes(saved)
+      ? saved
+      : DownmixMode.AVERAGE;
+  }
+
+  saveDownmixMode(mode) {
+    localStorage.setItem(DOWNMIX_STORAGE_KEY, mode);
+  }
+
+  /**
+   * Speaker role for each captured source: a tab or screen is the remote
+   * side of a call, an input device is us. If both sources look alike the
+   * second one takes the other role.
+   */
+  getSpeakerRoles(sourceIds) {
+    const roles = sourceIds.map((sourceId) =>
+      this.isDisplaySource(sourceId) ? SPEAKER_REMOTE : SPEAKER_ME
+    );
+    if (roles.length > 1 && roles[0] === roles[1]) {
+      roles[1] = roles[0] === SPEAKER_ME ? SPEAKER_REMOTE : SPEAKER_ME;
+    }
+    return roles;
+  }
+
+  isDisplaySource(sourceId) {
+    return sourceId === DISPLAY_SOURCE;
+  }
+
+  getSourceLabel(sourceId) {
+    if (this.isDisplaySource(sourceId)) return "Tab / Screen";
+    const device = this.devices.find((d) => d.deviceId === sourceId);
+    return (device && device.label) || "Microphone";
+  }
+
+  async getStream(sourceId) {
+    if (this.isDisplaySource(sourceId)) {
+      const stream = await navigator.mediaDevices.getDisplayMedia({
+        video: true,
+        audio: AUDIO_CONSTRAINTS,
+      });
+
+      if (stream.getAudioTracks().length === 0) {
+        stream.getTracks().forEach((track) => track.stop());
+        throw new Error(
+          'No audio track found. Please ensure you checked "Share Audio" in the dialog.'
+        );
+      }
+      return stream;
+    }
+
+    const stream = await navigator.mediaDevices.getUserMedia({
+      audio: {
+        ...AUDIO_CONSTRAINTS,
+        deviceId: sourceId ? { exact: sourceId } : undefined,
+      },
+    });
+
+    // Device labels become available once permission is granted
+    await this.refreshDevices();
+    return stream;
+  }
+
+  /**
+   * Call onEnded once when the stream's audio track ends (device unplugged,
+   * screen sharing stopped). Returns a function that removes the listener.
+   */
+  watchStream(stream, onEnded) {
+    const tracks = stream.getAudioTracks();
+    let fired = false;
+    const handleEnded = () => {
+      if (fired) return;
+      fired = true;
+      onEnded();
+    };
+
+    tracks.forEach((track) => track.addEventListener("ended", handleEnded));
+    return () => {
+      tracks.forEach((track) =>
+        track.removeEventListener("ended", handleEnded)
+      );
+    };
+  }
+
+  /**
+   * Re-open an input device after its track ended. Tries the same device
+   * first, then the default input, then waits for a device to be plugged in.
+   * Returns null if nothing became available within the timeout.
+   */
+  async reacquire(sourceId, timeoutMs = 15000) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline) {
+      await this.refreshDevices();
+
+      const candidates = [];
+      if (this.devices.some((d) => d.deviceId === sourceId)) {
+        candidates.push(sourceId);
+      }
+      if (this.devices.length > 0) {
+        candidates.push(null); // Browser default input
+      }
+
+      for (const candidate of candidates) {
+        try {
+          const stream = await this.getStream(candidate);
+          console.log(
+            `[SourceManager] Reacquired input: ${this.getSourceLabel(
+              candidate || stream.getAudioTracks()[0]?.getSettings().deviceId
+            )}`
+          );
+          return stream;
+        } catch (error) {
+          console.warn("[SourceManager] Reacquire attempt failed:", error);
+        }
+      }
+
+      await this.waitForDeviceChange(deadline - Date.now());
+    }
+
+    return null;
+  }
+
+  waitForDeviceChange(timeoutMs) {
+    return new Promise((resolve) => {
+      const listener = () => {
+        clearTimeout(timer);
+        this.offDeviceChange(listener);
+        resolve(true);
+      };
+      const timer = setTimeout(() => {
+        this.offDeviceChange(listener);
+        resolve(false);
+      }, Math.max(0, Math.min(timeoutMs, 2000)));
+      this.onDeviceChange(listener);
+    });
+  }
+
+  onDeviceChange(listener) {
+    this.deviceChangeListeners.push(listener);
+  }
+
+  offDeviceChange(listener) {
+    this.deviceChangeListeners = this.deviceChangeListeners.filter(
+      (l) => l !== listener
+    );
+  }
+}
@@ -4,6 +4,7 @@ export class TimerManager {
   constructor() {
     this.recordingStartTime = null;
     this.recordingTimerInterval = null;
+    this.pausedAt = null; // Date.now() when the timer was frozen
   }
 
   formatTime(seconds) {
@@ -17,7 +18,8 @@ export class TimerManager {
 
   updateRecordingTimer() {
     if (this.recordingStartTime) {
-      const elapsed = Math.floor((Date.now() - this.recordingStartTime) / 1000);
+      const now = this.pausedAt || Date.now();
+      const elapsed = Math.floor((now - this.recordingStartTime) / 1000);
       getRecordingTimer().textContent = this.formatTime(elapsed);
     }
   }
@@ -32,8 +34,23 @@ export class TimerManager {
     this.updateRecordingTimer(); // Update immediately
   }
 
+  pauseRecordingTimer() {
+    if (!this.recordingStartTime || this.pausedAt) return;
+    this.pausedAt = Date.now();
+    this.updateRecordingTimer();
+  }
+
+  resumeRecordingTimer() {
+    if (!this.pausedAt) return;
+    // Shift the start so the paused time is not counted
+    this.recordingStartTime += Date.now() - this.pausedAt;
+    this.pausedAt = null;
+    this.updateRecordingTimer();
+  }
+
   stopRecordingTimer() {
     this.recordingStartTime = null;
+    this.pausedAt = null;
     if (this.recordingTimerInterval) {
       clearInterval(this.recordingTimerInterval);
       this.recordingTimerInterval = null;
@@ -44,7 +61,8 @@ export class TimerManager {
 
   getElapsedTime() {
     if (!this.recordingStartTime) return 0;
-    return Math.floor((Date.now() - this.recordingStartTime) / 1000);
+    const now = this.pausedAt || Date.now();
+    return Math.floor((now - this.recordingStartTime) / 1000);
   }
 
   isRunning() {
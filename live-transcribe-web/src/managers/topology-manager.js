@@ -0,0 +1,488 @@
+import {
+  getTopologyPresetSelect,
+  getTopologyEditor,
+  getTopologyEditBtn,
+  getTopologyLayersBody,
+  getTopologyErrors,
+  getTopologyNameInput,
+  getTopologyDeleteBtn,
+  getModelSelect,
+  getLanguageSelect,
+  getLayerToggle,
+  getFileLayerToggle,
+  getTimingItem,
+  getTimingLegendItem,
+} from "../utils/dom-helpers.js";
+import {
+  BUILTIN_TOPOLOGIES,
+  DEFAULT_TOPOLOGY,
+  LayerMode,
+  LayerTask,
+  MIN_LEVEL,
+  MAX_LEVEL,
+  normalizeLayer,
+  validateTopology,
+  parseTopology,
+  stringifyTopology,
+  describeLayer,
+} from "../libs/layer-topology.js";
+import { FILE_LAYERS } from "./file-manager.js";
+
+const TOPOLOGY_STORAGE_KEY = "layer-topology";
+const PRESETS_STORAGE_KEY = "layer-topology-presets";
+
+// Preset select values are prefixed so user presets can't shadow built-ins
+const BUILTIN_PREFIX = "builtin:";
+const USER_PREFIX = "user:";
+const CUSTOM_VALUE = "custom";
+
+export class TopologyManager {
+  constructor() {
+    this.presets = this.loadPresets(); // User presets: Topology[]
+    this.topology = this.loadTopology(); // Topology in use
+    this.onChange = null; // (topology) => void when a new topology is applied
+  }
+
+  loadPresets() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY));
+      return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  savePresets() {
+    localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(this.presets));
+  }
+
+  // Saved topology, or the default if it is missing or no longer valid
+  loadTopology() {
+    const saved = localStorage.getItem(TOPOLOGY_STORAGE_KEY);
+    if (saved) {
+      try {
+        return parseTopology(saved);
+      } catch (error) {
+        console.warn("[TopologyManager] Ignoring saved topology:", error);
+      }
+    }
+    return {
+      name: DEFAULT_TOPOLOGY.name,
+      layers: DEFAULT_TOPOLOGY.layers.map(normalizeLayer),
+    };
+  }
+
+  getTopology() {
+    return this.topology;
+  }
+
+  getLayers() {
+    return this.topology.layers;
+  }
+
+  // Levels that can run on a file (chunk layers in a file layer slot)
+  getFileLevels() {
+    return this.topology.layers
+      .filter(
+        (l) => l.mode === LayerMode.CHUNK && FILE_LAYERS.includes(l.level)
+      )
+      .map((l) => l.level);
+  }
+
+  setChangeListener(listener) {
+    this.onChange = listener;
+  }
+
+  /**
+   * Make a topology the active one
+   * @param {Topology} topology - Must already be valid
+   */
+  apply(topology) {
+    this.topology = {
+      name: topology.name,
+      layers: topology.layers.map(normalizeLayer),
+    };
+    localStorage.setItem(
+      TOPOLOGY_STORAGE_KEY,
+      stringifyTopology(this.topology)
+    );
+    this.populatePresetSelect();
+    this.renderEditor(this.topology.layers);
+    this.updateLayerControls();
+    if (this.onChange) this.onChange(this.topology);
+  }
+
+  populatePresetSelect() {
+    const select = getTopologyPresetSelect();
+    select.innerHTML = "";
+
+    const addOption = (parent, value, label) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      parent.appendChild(option);
+    };
+
+    BUILTIN_TOPOLOGIES.forEach((t) =>
+      addOption(select, BUILTIN_PREFIX + t.name, t.name)
+    );
+    if (this.presets.length > 0) {
+      const group = document.createElement("optgroup");
+      group.label = "Saved";
+      this.presets.forEach((t) =>
+        addOption(group, USER_PREFIX + t.name, t.name)
+      );
+      select.appendChild(group);
+    }
+
+    const selected = this.findPresetValue(this.topology);
+    if (!selected) addOption(select, CUSTOM_VALUE, "Custom");
+    select.value = selected || CUSTOM_VALUE;
+    getTopologyDeleteBtn().disabled = !select.value.startsWith(USER_PREFIX);
+  }
+
+  // Select value of the preset the topology came from, if unchanged
+  findPresetValue(topology) {
+    const same = (preset) =>
+      preset.name === topology.name &&
+      stringifyTopology({
+        name: preset.name,
+        layers: preset.layers.map(normalizeLayer),
+      }) === stringifyTopology(topology);
+
+    const user = this.presets.find(same);
+    if (user) return USER_PREFIX + user.name;
+    const builtin = BUILTIN_TOPOLOGIES.find(same);
+    return builtin ? BUILTIN_PREFIX + builtin.name : null;
+  }
+
+  selectPreset(value) {
+    const name = value.slice(value.indexOf(":") + 1);
+    const preset = value.startsWith(USER_PREFIX)
+      ? this.presets.find((t) => t.name === name)
+      : BUILTIN_TOPOLOGIES.find((t) => t.name === name);
+    if (preset) {
+      this.apply(preset);
+      getTopologyNameInput().value = preset.name;
+    }
+  }
+
+  toggleEditor() {
+    const editor = getTopologyEditor();
+    editor.hidden = !editor.hidden;
+    getTopologyEditBtn().textContent = editor.hidden ? "Edit" : "Close";
+    if (!editor.hidden) {
+      this.renderEditor(this.topology.layers);
+      getTopologyNameInput().value = this.topology.name;
+      this.showErrors([]);
+    }
+  }
+
+  /**
+   * Fill the editor table with one row per layer
+   * @param {LayerSpec[]} layers
+   */
+  renderEditor(layers) {
+    const body = getTopologyLayersBody();
+    body.innerHTML = "";
+    layers.forEach((layer) => body.appendChild(this.createLayerRow(layer)));
+  }
+
+  createLayerRow(layer) {
+    const row = document.createElement("tr");
+    const cell = (control) => {
+      const td = document.createElement("td");
+      td.appendChild(control);
+      row.appendChild(td);
+      return control;
+    };
+    const select = (field, options, value) => {
+      const element = document.createElement("select");
+      element.dataset.field = field;
+      options.forEach(([optionValue, label]) => {
+        const option = document.createElement("option");
+        option.value = optionValue;
+        option.textContent = label;
+        element.appendChild(option);
+      });
+      element.value = value;
+      return cell(element);
+    };
+    const checkbox = (field, checked) => {
+      const element = document.createElement("input");
+      element.type = "checkbox";
+      element.dataset.field = field;
+      element.checked = checked;
+      return cell(element);
+    };
+    const number = (field, value, step) => {
+      const element = document.createElement("input");
+      element.type = "number";
+      element.dataset.field = field;
+      element.step = step;
+      element.value = value;
+      return cell(element);
+    };
+    // Inherit the global setting unless the layer picks its own
+    const inherited = (globalSelect) => [
+      ["", "Global"],
+      ...Array.from(globalSelect.options, (o) => [o.value, o.textContent]),
+    ];
+
+    const levels = [];
+    for (let level = MIN_LEVEL; level <= MAX_LEVEL; level++) {
+      levels.push([String(level), `L${level}`]);
+    }
+    select("level", levels, String(layer.level));
+    const mode = select(
+      "mode",
+      [
+        [LayerMode.CONTINUOUS, "Continuous"],
+        [LayerMode.CHUNK, "Chunk"],
+      ],
+      layer.mode
+    );
+    const task = select(
+      "task",
+      [
+        [LayerTask.TRANSCRIBE, "Transcribe"],
+        [LayerTask.TRANSLATE, "Translate"],
+        [LayerTask.BOTH, "Both"],
+      ],
+      layer.task
+    );
+    number(
+      "size",
+      layer.mode === LayerMode.CONTINUOUS ? layer.stepSize : layer.chunkSize,
+      0.5
+    );
+    const overlap = number("overlap", layer.overlap ?? 0, 0.5);
+    const prompt = checkbox("prompt", Boolean(layer.prompt));
+    // Continuous layers re-read their whole window anyway
+    const updateOverlap = () => {
+      overlap.disabled = mode.value === LayerMode.CONTINUOUS;
+      prompt.disabled = mode.value === LayerMode.CONTINUOUS;
+      task.querySelector(`option[value="${LayerTask.BOTH}"]`).disabled =
+        mode.value === LayerMode.CONTINUOUS;
+    };
+    mode.addEventListener("change", updateOverlap);
+    updateOverlap();
+    number("beams", layer.beams, 1);
+    select("model", inherited(getModelSelect()), layer.model || "");
+    select(
+      "quant",
+      [
+        ["", "Global"],
+        ["q4", "Q4"],
+        ["q8", "Q8"],
+        ["fp16", "FP16"],
+        ["fp32", "FP32"],
+      ],
+      layer.quant || ""
+    );
+    select("language", inherited(getLanguageSelect()), layer.language || "");
+
+    // Keep the pause tolerance of an edited layer unless its size changes
+    row.dataset.pauseTolerance = layer.pauseTolerance ?? "";
+    row.dataset.chunkSize = layer.chunkSize ?? "";
+
+    const remove = document.createElement("button");
+    remove.className = "btn btn-secondary topology-remove-btn";
+    remove.textContent = "×";
+    remove.title = "Remove layer";
+    remove.addEventListener("click", () => row.remove());
+    cell(remove);
+    return row;
+  }
+
+  addLayer() {
+    const rows = this.readEditor().layers;
+    const used = new Set(rows.map((l) => l.level));
+    let level = MAX_LEVEL;
+    while (level > MIN_LEVEL && used.has(level)) level--;
+    getTopologyLayersBody().appendChild(
+      this.createLayerRow(
+        normalizeLayer({
+          level,
+          mode: LayerMode.CHUNK,
+          chunkSize: 10,
+          overlap: 1,
+          beams: 2,
+        })
+      )
+    );
+  }
+
+  /**
+   * Read the editor table into a topology (not validated)
+   * @returns {Topology}
+   */
+  readEditor() {
+    const rows = Array.from(getTopologyLayersBody().querySelectorAll("tr"));
+    const layers = rows.map((row) => {
+      const value = (field) =>
+        row.querySelector(`[data-field="${field}"]`).value;
+      const mode = value("mode");
+      const size = parseFloat(value("size"));
+      const layer = {
+        level: parseInt(value("level"), 10),
+        mode,
+        task: value("task"),
+        beams: Number(value("beams")),
+        model: value("model") || null,
+        quant: value("quant") || null,
+        language: value("language") || null,
+      };
+      if (mode === LayerMode.CONTINUOUS) {
+        layer.stepSize = size;
+      } else {
+        layer.chunkSize = size;
+        layer.overlap = parseFloat(value("overlap")) || 0;
+        layer.prompt = row.querySelector('[data-field="prompt"]').checked;
+        if (
+          row.dataset.pauseTolerance !== "" &&
+          Number(row.dataset.chunkSize) === size
+        ) {
+          layer.pauseTolerance = Number(row.dataset.pauseTolerance);
+        }
+      }
+      return normalizeLayer(layer);
+    });
+
+    const name = getTopologyNameInput().value.trim() || "Custom";
+    return { name, layers };
+  }
+
+  /**
+   * Validate the editor contents and mark the offending fields
+   * @returns {Topology|null} The topology, or null if it is invalid
+   */
+  readValidEditor() {
+    const topology = this.readEditor();
+    const errors = validateTopology(topology);
+    this.showErrors(errors);
+    return errors.length === 0 ? topology : null;
+  }
+
+  showErrors(errors) {
+    const rows = getTopologyLayersBody().querySelectorAll("tr");
+    rows.forEach((row) =>
+      row
+        .querySelectorAll("[data-field]")
+        .forEach((control) => control.classList.remove("invalid"))
+    );
+    errors.forEach(({ index, field }) => {
+      const control = rows[index]?.querySelector(`[data-field="${field}"]`);
+      if (control) control.classList.add("invalid");
+    });
+    getTopologyErrors().textContent = errors.map((e) => e.message).join("\n");
+  }
+
+  applyEditor() {
+    const topology = this.readValidEditor();
+    if (topology) this.apply(topology);
+    return topology !== null;
+  }
+
+  savePreset() {
+    const topology = this.readValidEditor();
+    if (!topology) return false;
+    if (BUILTIN_TOPOLOGIES.some((t) => t.name === topology.name)) {
+      this.showErrors([
+        { index: -1, field: "name", message: `"${topology.name}" is built in` },
+      ]);
+      return false;
+    }
+
+    this.presets = this.presets.filter((t) => t.name !== topology.name);
+    this.presets.push(topology);
+    this.savePresets();
+    this.apply(topology);
+    return true;
+  }
+
+  deletePreset() {
+    const value = getTopologyPresetSelect().value;
+    if (!value.startsWith(USER_PREFIX)) return;
+    const name = value.slice(USER_PREFIX.length);
+    this.presets = this.presets.filter((t) => t.name !== name);
+    this.savePresets();
+    this.populatePresetSelect();
+  }
+
+  // Download the editor contents (if valid) as JSON
+  exportTopology() {
+    const topology = this.readValidEditor();
+    if (!topology) return;
+
+    const blob = new Blob([stringifyTopology(topology)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${topology.name.replace(/[^\w-]+/g, "-")}.layers.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Load a JSON file into the editor; it is applied with Apply or Save
+  async importTopology(file) {
+    try {
+      const topology = parseTopology(await file.text());
+      this.renderEditor(topology.layers);
+      getTopologyNameInput().value = topology.name;
+      this.showErrors([]);
+    } catch (error) {
+      this.showErrors([
+        {
+          index: -1,
+          field: "import",
+          message: `Import failed: ${error.message}`,
+        },
+      ]);
+    }
+  }
+
+  /**
+   * Show only the layer toggles and timing slots the topology uses, labelled
+   * with what each layer does
+   */
+  updateLayerControls() {
+    for (let level = MIN_LEVEL; level <= MAX_LEVEL; level++) {
+      const layer = this.topology.layers.find((l) => l.level === level);
+      const toggle = getLayerToggle(level);
+      if (toggle) toggle.closest(".layer-toggle").hidden = !layer;
+
+      const timingItem = getTimingItem(level);
+      if (timingItem) {
+        timingItem.hidden = !layer;
+        if (layer) {
+          timingItem.querySelector(".label").textContent = `L${level} ${
+            layer.mode === LayerMode.CONTINUOUS ? "Fast" : `${layer.chunkSize}s`
+          }`;
+        }
+      }
+
+      const legendItem = getTimingLegendItem(level);
+      if (legendItem) {
+        legendItem.hidden = !layer;
+        if (layer) {
+          legendItem.lastChild.textContent = `L${level}: ${describeLayer(
+            layer
+          )}`;
+        }
+      }
+    }
+
+    const fileLevels = this.getFileLevels();
+    FILE_LAYERS.forEach((level) => {
+      const toggle = getFileLayerToggle(level);
+      if (toggle) {
+        toggle.closest(".layer-toggle").hidden = !fileLevels.includes(level);
+      }
+    });
+  }
+}
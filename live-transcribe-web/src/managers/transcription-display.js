@@ -1,8 +1,23 @@
 import {
   getTranscriptDiv,
   getCopyL4Btn,
+  getCopyTranslationBtn,
+  getExportTranslationBtn,
+  getLanguageBadge,
   getLayerL0Toggle,
+  getTimingItem,
+  getTimingRecovery,
+  getTimingModel,
+  getTimingLag,
+  getTimingMetrics,
 } from "../utils/dom-helpers.js";
+import { downloadBlob } from "../libs/audio-export.js";
+import { metricsToCsv, metricsToJson } from "../libs/layer-metrics.js";
+
+const CONFIDENCE_STORAGE_KEY = "confidence-threshold";
+
+// Words below this probability are marked until the user picks another
+const DEFAULT_CONFIDENCE_THRESHOLD = 0.5;
 
 export class TranscriptionDisplay {
   constructor() {
@@ -14,6 +29,14 @@ export class TranscriptionDisplay {
     this.latestL4Diff = null; // Store the latest L4 diff visualization
     this.replacedSegments = []; // Store segments that were replaced for diff comparison
     this.showTokensPerSecond = false; // Toggle for timing display mode
+    this.onSegmentClick = null; // Plays back a segment's stored audio
+    this.wordElements = []; // { word, element } for each rendered timed word
+    this.confidenceThreshold = DEFAULT_CONFIDENCE_THRESHOLD; // 0 marks nothing
+    this.metrics = {}; // Latest per-layer latency, RTF and queue summaries
+  }
+
+  setSegmentClickHandler(handler) {
+    this.onSegmentClick = handler;
   }
 
   deduplicateTranscription(newText, type) {
@@ -51,12 +74,27 @@ export class TranscriptionDisplay {
   updateDisplay() {
     const transcriptDiv = getTranscriptDiv();
     transcriptDiv.innerHTML = "";
+    this.wordElements = [];
 
     // Check if we should show diff view
     const shouldShowDiff = this.showDiffView && this.latestL4Diff;
 
+    // Speaker of the previous segment, to label only changes of speaker
+    let previousSource = null;
+    // Detected language of the previous segment, to tag only switches
+    let previousLanguage = null;
+
     this.committedSegments.forEach((segment, index) => {
-      if (segment.isSeparator) {
+      if (segment.isPause) {
+        previousSource = null;
+        const pauseDiv = document.createElement("div");
+        pauseDiv.className = "transcription-pause";
+        pauseDiv.textContent = `Paused for ${this.formatTimestamp(
+          segment.end - segment.start
+        )}`;
+        transcriptDiv.appendChild(pauseDiv);
+      } else if (segment.isSeparator) {
+        previousSource = null;
         // Add a visual separator instead of text
         const separatorDiv = document.createElement("div");
         separatorDiv.className = "transcription-separator";
@@ -77,12 +115,84 @@ export class TranscriptionDisplay {
           // Normal segment display
           const segmentDiv = document.createElement("div");
           segmentDiv.className = `committed-text level-${segment.level || 1}`;
-          segmentDiv.textContent = segment.text || segment;
+          // Translating layers: the original and the English side by side
+          const translated = segment.translation !== undefined;
+          const originalDiv = translated
+            ? document.createElement("div")
+            : segmentDiv;
+          if (translated) originalDiv.className = "segment-original";
+          if (segment.words && segment.words.length > 0) {
+            this.renderWords(originalDiv, segment.words);
+          } else {
+            originalDiv.textContent = segment.text || segment;
+            // Without timed words, only the segment as a whole can be marked
+            if (this.isLowConfidence(segment.confidence)) {
+              originalDiv.classList.add("low-confidence");
+            }
+          }
+          if (translated) {
+            const translationDiv = document.createElement("div");
+            translationDiv.className = "segment-translation";
+            translationDiv.textContent = segment.translation;
+            segmentDiv.classList.add("translated");
+            segmentDiv.append(originalDiv, translationDiv);
+          }
+
+          // Auto-detected language: tagged where it changes
+          if (segment.languageProbability !== undefined) {
+            if (segment.language !== previousLanguage) {
+              const languageSpan = document.createElement("span");
+              languageSpan.className = "segment-language";
+              languageSpan.textContent = segment.language.toUpperCase();
+              originalDiv.prepend(languageSpan);
+            }
+            previousLanguage = segment.language;
+          }
+
+          // Two-party capture: render as a chat turn
+          if (segment.source) {
+            segmentDiv.classList.add("chat-turn", `speaker-${segment.source}`);
+            if (segment.source !== previousSource) {
+              const labelSpan = document.createElement("span");
+              labelSpan.className = "speaker-label";
+              labelSpan.textContent = this.getSpeakerLabel(segment.source);
+              segmentDiv.prepend(labelSpan);
+            }
+          }
+          previousSource = segment.source || null;
+          if (segment.start !== undefined && segment.end !== undefined) {
+            segmentDiv.title = `${this.formatTimestamp(
+              segment.start
+            )} - ${this.formatTimestamp(segment.end)}`;
+            if (segment.confidence !== undefined) {
+              segmentDiv.title += ` (${Math.round(
+                segment.confidence * 100
+              )}% confident)`;
+            }
+            if (segment.languageProbability !== undefined) {
+              segmentDiv.title += ` [${this.formatLanguage(segment)}]`;
+            }
+
+            if (this.onSegmentClick) {
+              segmentDiv.classList.add("playable");
+              segmentDiv.title += " (click to play)";
+              segmentDiv.addEventListener("click", () =>
+                this.onSegmentClick(segment)
+              );
+            }
+          }
           transcriptDiv.appendChild(segmentDiv);
         }
       }
     });
 
+    // The English can be copied and exported once a layer translates
+    const hasTranslation = this.committedSegments.some(
+      (segment) => segment.translation
+    );
+    getCopyTranslationBtn().hidden = !hasTranslation;
+    getExportTranslationBtn().hidden = !hasTranslation;
+
     // Streaming transcription is handled separately by updateStreamingTranscriptionDisplay()
 
     console.log("[Display Update]", {
@@ -107,35 +217,161 @@ export class TranscriptionDisplay {
     transcriptDiv.scrollTop = transcriptDiv.scrollHeight;
   }
 
-  getL4TranscriptionText() {
+  // One span per timed word, carrying its times for seeking and highlighting
+  renderWords(container, words) {
+    words.forEach((word, index) => {
+      const text = index === 0 ? word.text.trimStart() : word.text;
+      const leading = text.length - text.trimStart().length;
+      if (leading > 0) {
+        container.appendChild(document.createTextNode(" "));
+      }
+
+      const span = document.createElement("span");
+      span.className = "transcript-word";
+      span.textContent = text.trimStart();
+      span.dataset.start = word.start;
+      span.dataset.end = word.end;
+      span.title = this.formatTimestamp(word.start);
+      if (word.probability !== undefined) {
+        span.title += ` (${Math.round(word.probability * 100)}%)`;
+      }
+      if (this.isLowConfidence(word.probability)) {
+        span.classList.add("low-confidence");
+      }
+      container.appendChild(span);
+      this.wordElements.push({ word, element: span });
+    });
+  }
+
+  /**
+   * Timed words of the transcript in time order, each with its segment
+   * @param {number} [level] - Only words from segments of this level
+   * @returns {Array<{text: string, start: number, end: number, probability?: number, segment: Object}>}
+   */
+  getWords(level) {
+    return this.committedSegments
+      .filter(
+        (segment) =>
+          !segment.isSeparator &&
+          segment.words &&
+          (level === undefined || parseInt(segment.level) === level)
+      )
+      .flatMap((segment) =>
+        segment.words.map((word) => ({
+          ...word,
+          text: word.text.trim(),
+          segment,
+        }))
+      );
+  }
+
+  // The displayed word being spoken at a time (s), or null
+  getWordAt(time) {
+    const entry = this.wordElements.find(
+      ({ word }) => word.start <= time && time < word.end
+    );
+    return entry ? entry.word : null;
+  }
+
+  // Mark the word being spoken at a time (s); null clears the highlight
+  highlightWordAt(time) {
+    this.wordElements.forEach(({ word, element }) => {
+      element.classList.toggle(
+        "word-active",
+        time !== null && word.start <= time && time < word.end
+      );
+    });
+  }
+
+  // Format a segment time (seconds) as m:ss.s
+  formatTimestamp(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const secs = (seconds % 60).toFixed(1).padStart(4, "0");
+    return `${minutes}:${secs}`;
+  }
+
+  // e.g. "es 92%, locked"
+  formatLanguage({ language, languageProbability, languageLocked }) {
+    return (
+      `${language} ${Math.round(languageProbability * 100)}%` +
+      (languageLocked ? ", locked" : "")
+    );
+  }
+
+  /**
+   * Show the language the highest layer last detected
+   * @param {Object<number, {language: string, languageProbability: number, languageLocked: boolean}>} languages
+   */
+  updateLanguageBadge(languages) {
+    const badge = getLanguageBadge();
+    const levels = Object.keys(languages)
+      .map(Number)
+      .sort((a, b) => b - a);
+    badge.hidden = levels.length === 0;
+    if (levels.length === 0) return;
+
+    const { language, languageProbability, languageLocked } =
+      languages[levels[0]];
+    badge.textContent = `${language.toUpperCase()} ${Math.round(
+      languageProbability * 100
+    )}%`;
+    badge.classList.toggle("locked", languageLocked);
+    badge.title = levels
+      .map((level) => `L${level}: ${this.formatLanguage(languages[level])}`)
+      .join("\n");
+  }
+
+  getSpeakerLabel(source) {
+    return source === "me" ? "Me" : "Remote";
+  }
+
+  /**
+   * The L4 (ground truth) text, one paragraph per segment
+   * @param {string} [field] - "translation" for the English of translating layers
+   * @returns {string}
+   */
+  getL4TranscriptionText(field = "text") {
     // Extract only L4 (ground truth) segments
     const l4Segments = this.committedSegments.filter(
       (segment) => !segment.isSeparator && parseInt(segment.level) === 4
     );
 
     // Join the text content with newlines
-    return l4Segments.map((segment) => segment.text || segment).join("\n\n");
+    return l4Segments
+      .map((segment) => {
+        const text =
+          field === "translation"
+            ? segment.translation
+            : segment.text || segment;
+        if (!text) return "";
+        return segment.source
+          ? `${this.getSpeakerLabel(segment.source)}: ${text}`
+          : text;
+      })
+      .filter(Boolean)
+      .join("\n\n");
   }
 
-  copyL4ToClipboard() {
-    const l4Text = this.getL4TranscriptionText();
+  copyL4ToClipboard(field = "text") {
+    const l4Text = this.getL4TranscriptionText(field);
+    const copyBtn =
+      field === "translation" ? getCopyTranslationBtn() : getCopyL4Btn();
+    const originalHTML = copyBtn.innerHTML;
 
     if (!l4Text.trim()) {
-      alert("No L4 transcription available to copy");
+      alert(`No L4 ${this.getTextLabel(field)} available to copy`);
       return;
     }
 
     navigator.clipboard
       .writeText(l4Text)
       .then(() => {
-        const copyBtn = getCopyL4Btn();
-        const originalText = copyBtn.textContent;
         copyBtn.innerHTML = '<span class="checkmark-icon"></span> Copied!';
         copyBtn.style.background =
           "linear-gradient(135deg, #10b981 0%, #059669 100%)";
 
         setTimeout(() => {
-          copyBtn.textContent = originalText;
+          copyBtn.innerHTML = originalHTML;
           copyBtn.style.background = "";
         }, 2000);
       })
@@ -148,10 +384,9 @@ export class TranscriptionDisplay {
         textArea.select();
         try {
           document.execCommand("copy");
-          const copyBtn = getCopyL4Btn();
           copyBtn.innerHTML = '<span class="checkmark-icon"></span> Copied!';
           setTimeout(() => {
-            copyBtn.innerHTML = '<span class="clipboard-icon"></span> L4';
+            copyBtn.innerHTML = originalHTML;
           }, 2000);
         } catch (fallbackErr) {
           console.error("Fallback copy failed: ", fallbackErr);
@@ -161,6 +396,24 @@ export class TranscriptionDisplay {
       });
   }
 
+  // Download the L4 text (or its translation) as a text file
+  exportL4Text(field = "text") {
+    const l4Text = this.getL4TranscriptionText(field);
+    if (!l4Text.trim()) {
+      alert(`No L4 ${this.getTextLabel(field)} available to export`);
+      return;
+    }
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    downloadBlob(
+      new Blob([`${l4Text}\n`], { type: "text/plain" }),
+      `${field === "translation" ? "translation" : "transcript"}-${stamp}.txt`
+    );
+  }
+
+  getTextLabel(field) {
+    return field === "translation" ? "translation" : "transcription";
+  }
+
   updateTimingDisplay(timingStats, showTokensPerSecond = false) {
     const formatTime = (ms) => {
       if (ms < 1000) return `${ms.toFixed(0)}ms`;
@@ -176,6 +429,7 @@ export class TranscriptionDisplay {
     for (let level = 0; level <= 4; level++) {
       const stats = timingStats[level];
       let displayText = "-";
+      let title = "";
 
       if (stats && stats.count > 0) {
         if (showTokensPerSecond) {
@@ -207,18 +461,186 @@ export class TranscriptionDisplay {
 
         // Add spec stats if available
         if (stats.specStats && stats.specStats.totalDrafts > 0) {
-          const hitRate = (stats.specStats.hitRate * 100).toFixed(0);
-          displayText += ` [${hitRate}%]`;
+          const { hitRate, totalHits, totalDrafts, from } = stats.specStats;
+          const percent = (hitRate * 100).toFixed(0);
+          displayText += ` [${percent}%]`;
+          title = `Draft tokens${
+            from ? ` from L${from}` : ""
+          } accepted: ${percent}% (${totalHits}/${totalDrafts})`;
         }
       }
 
+      if (stats && stats.rejected > 0) {
+        title += `${title ? "\n" : ""}${stats.rejected} segment${
+          stats.rejected === 1 ? "" : "s"
+        } rejected as made up (see console)`;
+      }
+
       const element = document.getElementById(`timing-l${level}`);
       if (element) {
         element.textContent = displayText;
+        element.title = title;
       }
     }
   }
 
+  /**
+   * Flag layers whose worker crashed and is being brought back
+   * @param {Object} layers - level -> { state, attempt, replayed }; state is
+   *   "restarting", "replaying" (caught up once it emits again) or "failed"
+   */
+  updateRecoveryDisplay(layers) {
+    for (let level = 1; level <= 4; level++) {
+      const element = getTimingRecovery(level);
+      const item = getTimingItem(level);
+      if (!element || !item) continue;
+
+      const recovery = layers[level];
+      let text = "";
+      if (recovery?.state === "restarting") {
+        text = `restarting (attempt ${recovery.attempt})`;
+      } else if (recovery?.state === "replaying") {
+        text = `recovering, replayed ${recovery.replayed.toFixed(1)}s`;
+      } else if (recovery?.state === "failed") {
+        text = `failed after ${recovery.attempt} restarts`;
+      }
+      element.textContent = text;
+      item.classList.toggle(
+        "recovering",
+        recovery?.state === "restarting" || recovery?.state === "replaying"
+      );
+      item.classList.toggle("failed", recovery?.state === "failed");
+    }
+  }
+
+  /**
+   * Show the model of each layer with its load progress, then its size
+   * @param {Object} layers - level -> { model, quant, shared, ready, progress, bytes }
+   */
+  updateModelDisplay(layers) {
+    const formatBytes = (bytes) =>
+      bytes >= 1e9
+        ? `${(bytes / 1e9).toFixed(1)} GB`
+        : `${Math.round(bytes / 1e6)} MB`;
+
+    for (let level = 1; level <= 4; level++) {
+      const element = getTimingModel(level);
+      if (!element) continue;
+
+      const state = layers[level];
+      if (!state) {
+        element.textContent = "";
+        element.title = "";
+        continue;
+      }
+
+      // "Xenova/whisper-base" -> "base"
+      const name = (state.model || "")
+        .split("/")
+        .pop()
+        .replace(/^whisper-/, "");
+      let text = state.quant ? `${name} ${state.quant}` : name;
+      if (!state.ready) {
+        text += ` · ${Math.round(state.progress * 100)}%`;
+      } else if (state.bytes > 0) {
+        text += ` · ${formatBytes(state.bytes)}`;
+      }
+      if (state.shared) text += " · shared";
+
+      element.textContent = text;
+      element.title =
+        state.bytes > 0
+          ? `${state.model}: ${formatBytes(state.bytes)} of model files`
+          : state.model || "";
+    }
+  }
+
+  /**
+   * Show how far each chunk layer is behind real time
+   * @param {Object} lagStats - level -> { lag, rtf, backlog, skipped, disabled }
+   * @param {number} maxBacklog - Backlog (s) flagged as falling behind
+   */
+  updateLagDisplay(lagStats, maxBacklog) {
+    for (let level = 1; level <= 4; level++) {
+      const element = getTimingLag(level);
+      if (!element) continue;
+
+      const stats = lagStats[level];
+      let text = "";
+      if (stats && stats.disabled) {
+        text = `disabled, ${stats.backlog.toFixed(0)}s behind`;
+      } else if (stats) {
+        text = `lag ${stats.lag.toFixed(1)}s · RTF ${stats.rtf.toFixed(2)}`;
+        if (stats.skipped > 0) {
+          text += ` · skipped ${stats.skipped.toFixed(0)}s`;
+        }
+      }
+      element.textContent = text;
+      // Slower than real time, or already past the catch-up threshold
+      element.classList.toggle(
+        "behind",
+        Boolean(
+          stats &&
+            (stats.disabled || stats.rtf > 1 || stats.backlog > maxBacklog)
+        )
+      );
+    }
+  }
+
+  /**
+   * Show each layer's speech-to-display latency
+   * @param {Object} metrics - level -> { latency, rtf, queue } summaries
+   *   (see Transcriber.getMetrics)
+   */
+  updateMetricsDisplay(metrics) {
+    this.metrics = metrics;
+    const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+    for (let level = 1; level <= 4; level++) {
+      const element = getTimingMetrics(level);
+      if (!element) continue;
+
+      const { latency, rtf, queue } = metrics[level] || {};
+      element.textContent = latency
+        ? `latency ${formatSeconds(latency.p50)} · p95 ${formatSeconds(
+            latency.p95
+          )}`
+        : "";
+      element.title = [
+        latency &&
+          `Speech to display: p50 ${formatSeconds(
+            latency.p50
+          )}, p95 ${formatSeconds(latency.p95)}, max ${formatSeconds(
+            latency.max
+          )} (${latency.count} results)`,
+        rtf &&
+          `Real-time factor: p50 ${rtf.p50.toFixed(2)}, p95 ${rtf.p95.toFixed(
+            2
+          )}`,
+        queue &&
+          `Queued audio: p50 ${queue.p50.toFixed(1)}s, p95 ${queue.p95.toFixed(
+            1
+          )}s`,
+      ]
+        .filter(Boolean)
+        .join("\n");
+    }
+  }
+
+  // Download the per-layer metrics as CSV or JSON
+  exportMetrics(format = "csv") {
+    if (Object.keys(this.metrics).length === 0) {
+      alert("No layer metrics available to export yet");
+      return;
+    }
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const blob =
+      format === "json"
+        ? new Blob([metricsToJson(this.metrics)], { type: "application/json" })
+        : new Blob([metricsToCsv(this.metrics)], { type: "text/csv" });
+    downloadBlob(blob, `layer-metrics-${stamp}.${format}`);
+  }
+
   // Public method to update timing display with current mode
   updateTimingDisplayWithState(timingStats) {
     this.updateTimingDisplay(timingStats, this.showTokensPerSecond);
@@ -600,6 +1022,28 @@ export class TranscriptionDisplay {
     container.appendChild(diffContainer);
   }
 
+  isLowConfidence(probability) {
+    return probability !== undefined && probability < this.confidenceThreshold;
+  }
+
+  loadConfidenceThreshold() {
+    const saved = parseFloat(localStorage.getItem(CONFIDENCE_STORAGE_KEY));
+    this.confidenceThreshold = Number.isFinite(saved)
+      ? saved
+      : DEFAULT_CONFIDENCE_THRESHOLD;
+    return this.confidenceThreshold;
+  }
+
+  /**
+   * Mark words the model was less sure of than a probability
+   * @param {number} threshold - 0-1; 0 marks nothing
+   */
+  setConfidenceThreshold(threshold) {
+    this.confidenceThreshold = threshold;
+    localStorage.setItem(CONFIDENCE_STORAGE_KEY, threshold.toString());
+    this.updateDisplay();
+  }
+
   // Toggle diff view on/off
   setDiffView(enabled) {
     this.showDiffView = enabled;
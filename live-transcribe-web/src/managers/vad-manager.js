@@ -0,0 +1,160 @@
+import {
+  getVadModeSelect,
+  getVadOnsetInput,
+  getVadOffsetInput,
+  getVadMinSilenceInput,
+} from "../utils/dom-helpers.js";
+import { DEFAULT_SPEECH_DETECTOR_CONFIG } from "../libs/speech-detector.js";
+
+export const VAD_MODE_SILERO = "silero";
+export const VAD_MODE_ENERGY = "energy";
+
+const VAD_STORAGE_KEY = "vad-settings";
+
+export class VadManager {
+  constructor() {
+    this.worker = null;
+    this.isReady = false;
+    this.loadPromise = null;
+    this.listener = null; // (probabilities, frameDuration) => void
+    this.settings = this.loadSettings();
+  }
+
+  loadSettings() {
+    const defaults = {
+      mode: VAD_MODE_SILERO,
+      ...DEFAULT_SPEECH_DETECTOR_CONFIG,
+    };
+    try {
+      const saved = JSON.parse(localStorage.getItem(VAD_STORAGE_KEY));
+      return { ...defaults, ...saved };
+    } catch (error) {
+      return defaults;
+    }
+  }
+
+  saveSettings() {
+    localStorage.setItem(VAD_STORAGE_KEY, JSON.stringify(this.settings));
+  }
+
+  // Fill the settings controls from the saved values
+  populateControls() {
+    getVadModeSelect().value = this.settings.mode;
+    getVadOnsetInput().value = this.settings.onsetThreshold;
+    getVadOffsetInput().value = this.settings.offsetThreshold;
+    getVadMinSilenceInput().value = this.settings.minSilenceDuration;
+  }
+
+  // Read the settings controls, ignoring values that don't parse
+  readControls() {
+    const number = (input, fallback) => {
+      const value = parseFloat(input.value);
+      return Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+
+    this.settings = {
+      mode: getVadModeSelect().value,
+      onsetThreshold: number(getVadOnsetInput(), this.settings.onsetThreshold),
+      offsetThreshold: number(
+        getVadOffsetInput(),
+        this.settings.offsetThreshold
+      ),
+      minSilenceDuration: number(
+        getVadMinSilenceInput(),
+        this.settings.minSilenceDuration
+      ),
+    };
+    this.saveSettings();
+    return this.settings;
+  }
+
+  getDetectorConfig() {
+    const { onsetThreshold, offsetThreshold, minSilenceDuration } =
+      this.settings;
+    return { onsetThreshold, offsetThreshold, minSilenceDuration };
+  }
+
+  // True when speech probabilities should come from the model
+  isActive() {
+    return this.settings.mode === VAD_MODE_SILERO && this.isReady;
+  }
+
+  /**
+   * Load the Silero model if it is selected. Resolves false when the energy
+   * detector will be used instead (not selected, or the model failed).
+   */
+  load() {
+    if (this.settings.mode !== VAD_MODE_SILERO) {
+      return Promise.resolve(false);
+    }
+    if (this.loadPromise) return this.loadPromise;
+
+    this.loadPromise = new Promise((resolve) => {
+      try {
+        this.worker = new Worker(
+          new URL("../workers/vad.worker.js", import.meta.url),
+          { type: "module" }
+        );
+      } catch (error) {
+        console.error("[VadManager] Error creating VAD worker:", error);
+        this.loadPromise = null;
+        resolve(false);
+        return;
+      }
+
+      this.worker.onmessage = (e) => {
+        const { type } = e.data;
+        if (type === "ready") {
+          this.isReady = true;
+          resolve(true);
+        } else if (type === "probabilities") {
+          if (this.listener) {
+            this.listener(e.data.probabilities, e.data.frameDuration);
+          }
+        } else if (type === "error") {
+          console.warn(
+            "[VadManager] Silero VAD unavailable, using energy detector:",
+            e.data.error
+          );
+          this.unload();
+          resolve(false);
+        }
+      };
+      this.worker.onerror = (error) => {
+        console.warn("[VadManager] VAD worker failed:", error.message);
+        this.unload();
+        resolve(false);
+      };
+
+      this.worker.postMessage({ type: "init" });
+    });
+
+    return this.loadPromise;
+  }
+
+  unload() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.isReady = false;
+    this.loadPromise = null;
+  }
+
+  setListener(listener) {
+    this.listener = listener;
+  }
+
+  analyze(samples) {
+    if (this.isActive()) {
+      this.worker.postMessage({ type: "audio", data: samples });
+    }
+  }
+
+  // Clear the model's recurrent state between recordings
+  reset() {
+    if (this.worker) {
+      this.worker.postMessage({ type: "reset" });
+    }
+  }
+}
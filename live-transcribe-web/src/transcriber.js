@@ -1,3 +1,27 @@
+import { ChannelTimeline } from "./libs/channel-timeline.js";
+import {
+  DEFAULT_TOPOLOGY,
+  LayerMode,
+  toWorkerConfig,
+} from "./libs/layer-topology.js";
+import { mapWordTimes } from "./libs/word-timestamps.js";
+import { SharedInferenceWorker } from "./libs/shared-inference-worker.js";
+import {
+  DEFAULT_BACKPRESSURE,
+  getRealTimeFactor,
+} from "./libs/backpressure.js";
+import { sharesTokenizer } from "./libs/tokenizer-family.js";
+import { ReplayBuffer } from "./libs/replay-buffer.js";
+import { ArrivalClock, LayerMetrics } from "./libs/layer-metrics.js";
+
+// A crashed worker is restarted at most this many times in a row, waiting
+// RESTART_DELAY_MS, then twice as long each further attempt
+const MAX_RESTARTS = 5;
+const RESTART_DELAY_MS = 1000;
+
+// Rejected segments kept for inspection, newest last
+const MAX_REJECTED_SEGMENTS = 50;
+
 export class Transcriber {
   constructor(onMessage) {
     this.onMessage = onMessage;
@@ -5,9 +29,32 @@ export class Transcriber {
     this.workerConfigs = {}; // Store configs for restarting workers
     this.segments = []; // { start, end, text, level }
     this.replacedSegments = []; // Store segments that were replaced for diff comparison
+    this.rejectedSegments = []; // { level, start, end, reason, detail, text } the guard kept out
     this.currentPartial = "";
+    this.partialLevel = null; // Layer the partial came from
     this.isInitialized = false;
     this.enabledLayers = [1, 2, 3, 4]; // Default all enabled
+    this.topology = DEFAULT_TOPOLOGY.layers; // LayerSpec per worker
+    this.sharedModel = false; // Layers with the same model share one worker
+    this.sharedWorkers = {}; // model key -> SharedInferenceWorker
+    this.backpressure = { ...DEFAULT_BACKPRESSURE }; // What chunk layers do when behind
+    this.glossary = []; // Terms every chunk layer is prompted with
+    this.languageLock = 0; // Detections in a row that lock a layer's language (0 = never)
+    this.languages = {}; // level -> { language, languageProbability, languageLocked } last detected
+    this.layerProgress = {}; // level -> end time (s) of the last emitted segment
+    this.loadState = {}; // level -> { model, quant, shared, files, ready }
+    this.replayBuffers = {}; // level -> ReplayBuffer of audio not yet in a segment
+    this.recovery = {}; // level -> { state, attempt, replayed } for crashed workers
+    this.restartTimers = {}; // level -> pending restart timeout
+    this.readyWaiters = []; // { levels, resolve } waiting for models to load
+    this.flushWaiters = {}; // level -> resolve callbacks for pending flushes
+    this.ringBuffer = null; // Shared capture buffer workers read directly
+    this.channelTimeline = new ChannelTimeline(); // Per-source loudness
+    this.arrivals = new ArrivalClock(); // When each stretch of audio came in
+    this.metrics = {}; // level -> LayerMetrics, kept across commits
+    this.channelRoles = null; // Speaker role per capture channel, e.g. ["me", "remote"]
+    this.pauses = []; // { at, duration }: paused intervals, at in audio seconds
+    this.pauseStartedAt = null; // performance.now() while paused
     this.initializeTimingStats();
 
     // Track tokens from each layer for speculative decoding
@@ -30,6 +77,11 @@ export class Transcriber {
         totalTokens: 0,
         lastTokens: 0,
         averageTokens: 0,
+        rtf: 0, // Processing time / audio time of the last pass
+        backlog: 0, // Seconds of audio waiting beyond the next chunk
+        skipped: 0, // Seconds dropped to catch up
+        disabled: false, // Stopped by the backpressure policy
+        rejected: 0, // Segments the hallucination guard kept out
       };
     });
   }
@@ -44,107 +96,55 @@ export class Transcriber {
   ) {
     if (this.isInitialized) return;
 
+    // Run the enabled layers of the topology; if none of them is enabled,
+    // run the whole topology rather than nothing
+    let layers = this.topology.filter((layer) =>
+      enabledLayers.includes(layer.level)
+    );
+    if (layers.length === 0) {
+      console.warn(
+        "[Transcriber] No enabled layer in the topology, running all layers"
+      );
+      layers = this.topology;
+    }
+
     // Update enabled layers and reinitialize timing stats
-    this.enabledLayers = enabledLayers;
+    this.enabledLayers = layers.map((layer) => layer.level);
     this.initializeTimingStats();
+    this.metrics = {};
 
-    // Define configurations for the multi-agent swarm
-    // Level 1: Fast, speculative (Word level/Continuous) - Low beam search
-    // Level 2: 5s chunks - Medium beam search
-    // Level 3: 10s chunks - Medium beam search
-    // Level 4: 20s chunks (Ground Truth) - Full beam search
-    const allConfigs = [
-      {
-        level: 1,
-        mode: "continuous",
-        stepSize: 1.0,
-        generationParams: {
-          num_beams: 1,
-          do_sample: false,
-          early_stopping: true,
-        },
-      },
-      {
-        level: 2,
-        mode: "chunk",
-        chunkSize: 5,
-        generationParams: {
-          num_beams: 2,
-          do_sample: false,
-          early_stopping: true,
-        },
-      },
-      {
-        level: 3,
-        mode: "chunk",
-        chunkSize: 10,
-        generationParams: {
-          num_beams: 3,
-          do_sample: false,
-          early_stopping: true,
-        },
-      },
-      {
-        level: 4,
-        mode: "chunk",
-        chunkSize: 20,
-        generationParams: {
-          num_beams: 5,
-          do_sample: false,
-          early_stopping: true,
-        },
-      },
-    ];
-
-    // Filter configs based on enabled layers
-    const configs = allConfigs.filter((config) =>
-      enabledLayers.includes(config.level)
-    );
-
-    const enabledCount = configs.length;
+    const enabledCount = layers.length;
     this.onMessage({
       type: "status",
       text: `Initializing ${enabledCount}-Worker Swarm (${
-        useOnnx ? "ONNX" : "Default"
+        useOnnx ? "ONNX" : this.sharedModel ? "Shared model" : "Default"
       })...`,
     });
 
-    const initPromises = configs.map(async (config) => {
-      const workerUrl = useOnnx
-        ? "./workers/onnx-inference.worker.js"
-        : "./workers/inference.worker.js";
-
-      const worker = new Worker(new URL(workerUrl, import.meta.url), {
-        type: "module",
-      });
-
-      worker.level = config.level; // Store level for timing tracking
-      worker.useOnnx = useOnnx; // Store type for restart
+    const initPromises = layers.map(async (layer) => {
+      const config = {
+        ...toWorkerConfig(layer),
+        backpressure: this.backpressure,
+        glossary: this.glossary,
+        languageLock: this.languageLock,
+      };
 
       // Store configuration for potential restart
+      // A layer may override the global model, quantization and language
       const workerConfig = {
         config,
-        language,
+        language: layer.language || language,
         backend: backend || "webgpu",
-        model,
-        quant,
+        model: layer.model || model,
+        quant: layer.quant || quant,
         useOnnx,
+        // The ONNX worker manages its own sessions
+        shared: this.sharedModel && !useOnnx,
       };
       this.workerConfigs[config.level] = workerConfig;
+      this.replayBuffers[config.level] = new ReplayBuffer();
 
-      worker.onmessage = (e) => this.handleWorkerMessage(e.data, worker);
-      worker.onerror = (error) => this.handleWorkerError(error, worker);
-
-      worker.postMessage({ type: "configure", config });
-      worker.postMessage({
-        type: "init",
-        language,
-        backend: backend || "webgpu",
-        model,
-        quant,
-      });
-
-      return worker;
+      return this.createWorker(config.level, workerConfig);
     });
 
     this.workers = await Promise.all(initPromises);
@@ -152,14 +152,179 @@ export class Transcriber {
     this.onMessage({ type: "status", text: "Multi-Agent Swarm Ready" });
   }
 
-  process(audioChunk, metadata) {
+  /**
+   * Start the worker for a layer and load its model. With a shared model,
+   * layers using the same model get ports on one worker instead, which runs
+   * their passes through a priority scheduler.
+   */
+  createWorker(level, workerConfig) {
+    let worker;
+    if (workerConfig.shared) {
+      const key = [
+        workerConfig.backend,
+        workerConfig.model,
+        workerConfig.quant,
+      ].join("|");
+      let shared = this.sharedWorkers[key];
+      if (!shared || shared.failed) {
+        shared = new SharedInferenceWorker();
+        this.sharedWorkers[key] = shared;
+      }
+      worker = shared.createPort(level);
+    } else if (workerConfig.useOnnx) {
+      // Literal URLs, so the build emits each worker
+      worker = new Worker(
+        new URL("./workers/onnx-inference.worker.js", import.meta.url),
+        { type: "module" }
+      );
+    } else {
+      worker = new Worker(
+        new URL("./workers/inference.worker.js", import.meta.url),
+        { type: "module" }
+      );
+    }
+
+    worker.level = level; // Store level for timing tracking
+    worker.useOnnx = workerConfig.useOnnx; // Store type for restart
+
+    this.loadState[level] = {
+      model: workerConfig.model,
+      quant: workerConfig.quant,
+      shared: Boolean(workerConfig.shared),
+      files: {}, // file -> { loaded, total } bytes
+      ready: false,
+    };
+    this.emitLoadState();
+
+    worker.onmessage = (e) => this.handleWorkerMessage(e.data, worker);
+    worker.onerror = (error) => this.handleWorkerError(error, worker);
+
+    worker.postMessage({ type: "configure", config: workerConfig.config });
+    worker.postMessage({
+      type: "init",
+      language: workerConfig.language,
+      backend: workerConfig.backend,
+      model: workerConfig.model,
+      quant: workerConfig.quant,
+    });
+
+    return worker;
+  }
+
+  /**
+   * Run layers that use the same model on one worker with one copy of the
+   * weights. Applies from the next init().
+   * @param {boolean} enabled
+   */
+  setSharedModel(enabled) {
+    this.sharedModel = enabled;
+  }
+
+  /**
+   * Set what chunk layers do when they fall behind real time
+   * (see backpressure.js). Applies to running layers immediately.
+   * @param {Object} backpressure - { policy, maxBacklog }
+   */
+  setBackpressure(backpressure) {
+    this.backpressure = { ...this.backpressure, ...backpressure };
+    Object.values(this.workerConfigs).forEach((workerConfig) => {
+      workerConfig.config.backpressure = this.backpressure;
+    });
+    this.postWorkerConfigs();
+  }
+
+  getBackpressure() {
+    return { ...this.backpressure };
+  }
+
+  /**
+   * Set the names, acronyms and spellings chunk layers are prompted with
+   * (see prompt-context.js). Applies from each layer's next chunk.
+   * @param {string[]} terms
+   */
+  setGlossary(terms) {
+    this.glossary = [...terms];
+    Object.values(this.workerConfigs).forEach((workerConfig) => {
+      workerConfig.config.glossary = this.glossary;
+    });
+    this.postWorkerConfigs();
+  }
+
+  getGlossary() {
+    return [...this.glossary];
+  }
+
+  /**
+   * With language "auto", keep each layer in a language once this many
+   * windows in a row were detected in it (see language-detection.js)
+   * @param {number} count - 0 never locks
+   */
+  setLanguageLock(count) {
+    this.languageLock = count;
+    Object.values(this.workerConfigs).forEach((workerConfig) => {
+      workerConfig.config.languageLock = this.languageLock;
+    });
+    this.postWorkerConfigs();
+  }
+
+  // Keep the language a layer last detected (auto-detected results only)
+  recordLanguage(data) {
+    if (data.languageProbability === undefined || !data.level) return;
+    this.languages[data.level] = {
+      language: data.language,
+      languageProbability: data.languageProbability,
+      languageLocked: Boolean(data.languageLocked),
+    };
+  }
+
+  // Send the whole config: a worker still loading replaces what it has
+  postWorkerConfigs() {
+    this.workers.forEach((w) =>
+      w.postMessage({
+        type: "configure",
+        config: { ...this.workerConfigs[w.level].config },
+      })
+    );
+  }
+
+  /**
+   * Set the layers the next init() starts (see layer-topology.js). A loaded
+   * swarm keeps its layers until it is unloaded.
+   * @param {LayerSpec[]} layers
+   */
+  setTopology(layers) {
+    this.topology = layers;
+  }
+
+  process(audioChunk, metadata, levels = null) {
     if (!this.isInitialized) return;
 
     const timestamp = performance.now();
 
+    // Remember who was loud for this stretch to attribute segments later
+    this.channelTimeline.append(
+      audioChunk.length / 16000,
+      metadata && metadata.channelEnergies
+    );
+    // Latency of a result runs from when its last audio came in
+    this.arrivals.append(audioChunk.length / 16000, timestamp);
+
+    // Optionally restrict the audio to a subset of layers (file mode)
+    const targets = levels
+      ? this.workers.filter((w) => levels.includes(w.level))
+      : this.workers;
+
+    // Keep what each layer hasn't transcribed yet, to replay after a crash
+    Object.entries(this.replayBuffers).forEach(([level, replay]) => {
+      if (!levels || levels.includes(Number(level))) replay.append(audioChunk);
+    });
+
     // Broadcast audio to all workers with draft tokens for speculative decoding
-    this.workers.forEach((w) => {
-      w.lastAudioTimestamp = timestamp; // Track when audio was sent
+    targets.forEach((w) => {
+      // Workers attached to the ring buffer pull the audio themselves
+      if (w.readsRing) return;
+      // A restarted worker gets this audio replayed once it is ready
+      if (w.recovering) return;
 
       // Determine draft tokens for this worker (from previous layer)
       // REMOVED: We no longer send draft tokens with audio chunks to avoid misalignment
@@ -174,8 +339,131 @@ export class Transcriber {
     });
   }
 
+  /**
+   * Let workers read live audio straight from the capture ring buffer
+   * instead of receiving it through process()
+   * @param {RingBuffer} ring
+   * @param {number} [startIndex] - First sample process() did not hand out
+   */
+  attachRingBuffer(ring, startIndex = ring.getWriteIndex()) {
+    this.ringBuffer = ring;
+    this.workers.forEach((w) => {
+      w.readsRing = true;
+      // Workers wrap the shared memory itself; a RingBuffer does not clone
+      w.postMessage({ type: "ring_buffer", buffer: ring.buffer, startIndex });
+    });
+  }
+
+  detachRingBuffer() {
+    this.ringBuffer = null;
+    this.workers.forEach((w) => {
+      w.readsRing = false;
+      w.postMessage({ type: "ring_buffer", buffer: null });
+    });
+  }
+
+  /**
+   * Name the speaker behind each capture channel (null for a single source).
+   * Segments are tagged with the role of the dominant channel.
+   */
+  setChannelRoles(roles) {
+    this.channelRoles = roles && roles.length > 1 ? roles : null;
+  }
+
+  // Seconds of audio passed through process() since the last reset
+  getTimelinePosition() {
+    return this.channelTimeline.position;
+  }
+
+  isPaused() {
+    return this.pauseStartedAt !== null;
+  }
+
+  /**
+   * Start a paused interval. Buffered audio is transcribed now so no chunk
+   * spans the pause.
+   */
+  pause() {
+    if (this.isPaused()) return;
+    this.pauseStartedAt = performance.now();
+    this.currentPartial = "";
+    if (this.isInitialized) {
+      this.flush();
+    }
+    this.emitUpdate();
+  }
+
+  /**
+   * End the paused interval, record it on the timeline and mark it in the
+   * transcript
+   */
+  resume() {
+    if (!this.isPaused()) return;
+    const duration = (performance.now() - this.pauseStartedAt) / 1000;
+    const at = this.getTimelinePosition();
+    this.pauseStartedAt = null;
+
+    const start = this.toSessionTime(at);
+    this.pauses.push({ at, duration });
+    this.segments.push({
+      start,
+      end: start + duration,
+      text: "",
+      level: 0,
+      isSeparator: true,
+      isPause: true,
+    });
+    this.emitUpdate();
+  }
+
+  getPauses() {
+    return this.pauses;
+  }
+
+  /**
+   * Convert a position in captured audio (what workers count) to session
+   * time, which includes the paused intervals before it
+   */
+  toSessionTime(audioTime) {
+    let time = audioTime;
+    this.pauses.forEach((pause) => {
+      if (pause.at < audioTime) time += pause.duration;
+    });
+    return time;
+  }
+
+  // Inverse of toSessionTime; times inside a pause map to its start
+  toAudioTime(sessionTime) {
+    let skipped = 0;
+    for (const pause of this.pauses) {
+      const pauseStart = pause.at + skipped;
+      if (sessionTime <= pauseStart) break;
+      if (sessionTime < pauseStart + pause.duration) return pause.at;
+      skipped += pause.duration;
+    }
+    return sessionTime - skipped;
+  }
+
+  tagSegmentSource(segment) {
+    if (!this.channelRoles || segment.end === undefined) return;
+    const channel = this.channelTimeline.getDominantChannel(
+      segment.start,
+      segment.end
+    );
+    if (channel >= 0) {
+      segment.source = this.channelRoles[channel];
+    }
+  }
+
   handleWorkerMessage(data, worker) {
     if (data.type === "segment") {
+      if (data.level && data.end !== undefined) {
+        this.layerProgress[data.level] = data.end;
+        // The layer no longer needs this audio to recover from a crash
+        this.replayBuffers[data.level]?.discardUntil(data.end);
+      }
+      this.markRecovered(worker.level);
+
       // Use inference time from worker for chunk-based processing
       if (data.inferenceTime) {
         // Update timing stats
@@ -202,6 +490,14 @@ export class Transcriber {
         }
       }
 
+      // How well the layer keeps up with real time
+      if (data.rtf !== undefined) {
+        const stats = this.timingStats[data.level];
+        stats.rtf = data.rtf;
+        stats.backlog = data.backlog || 0;
+        stats.skipped += data.skipped || 0;
+      }
+
       // Update speculative decoding stats if available
       if (data.specStats) {
         const stats = this.timingStats[data.level];
@@ -211,6 +507,7 @@ export class Transcriber {
             totalHits: 0,
             totalDrafts: 0,
             hitRate: 0,
+            from: this.getDraftSource(data.level)?.level, // Layer the drafts came from
           };
         }
 
@@ -237,27 +534,47 @@ export class Transcriber {
           `[Transcriber] Stored ${data.tokens.length} tokens from L${data.level}`
         );
 
-        // Only forward tokens from L1 to L2 (disable speculative decoding for L2->L3 and L3->L4)
-        const nextLevel = data.level + 1;
-        if (nextLevel === 2) {
-          // Only allow L1 -> L2 speculative decoding
-          const nextWorker = this.workers.find((w) => w.level === nextLevel);
-          if (nextWorker) {
-            console.log(
-              `[Transcriber] Forwarding draft tokens to L${nextLevel}`
-            );
-            nextWorker.postMessage({
-              type: "draft_tokens",
-              tokens: data.tokens,
-            });
-          }
+        // The next layer up verifies the tokens of its own window (L2->L3->L4)
+        const target = this.forwardDraft(data.level, data.draft);
+        if (target) {
+          console.log(
+            `[Transcriber] Forwarding draft tokens L${data.level} -> L${target.level}`
+          );
         }
       }
 
+      this.recordLanguage(data);
+      this.recordMetrics(data);
+
+      // The worker judged the text made up (silence, loops, runaways)
+      if (data.rejected) {
+        this.logRejectedSegment(data);
+        return;
+      }
+
+      this.tagSegmentSource(data);
+
+      // Workers count captured audio only; place the segment in session time
+      if (this.pauses.length > 0 && data.end !== undefined) {
+        data.start = this.toSessionTime(data.start);
+        data.end = this.toSessionTime(data.end);
+        if (data.words) {
+          data.words = mapWordTimes(data.words, (t) => this.toSessionTime(t));
+        }
+      }
+      // Stitching an overlapped chunk can correct the end of the previous one
+      if (data.revised) {
+        this.reviseSegment(data.level, data.revised);
+      }
+      if (data.revisedTranslation) {
+        this.reviseSegment(data.level, data.revisedTranslation, "translation");
+      }
       this.mergeSegment(data);
     } else if (data.type === "partial") {
       // Only L1 sends partials in continuous mode
       if (data.text) {
+        this.markRecovered(worker.level);
+
         // Track timing for L1 partials using inference time
         if (data.inferenceTime) {
           // Update timing stats for L1
@@ -290,41 +607,354 @@ export class Transcriber {
           // console.log(`[Transcriber] Stored ${data.tokens.length} tokens from L1 (partial)`);
 
           // NEW: Forward these tokens to L2 immediately
-          const l2Worker = this.workers.find((w) => w.level === 2);
-          if (l2Worker) {
-            // console.log(`[Transcriber] Forwarding partial draft tokens to L2`);
-            l2Worker.postMessage({
-              type: "draft_tokens",
-              tokens: data.tokens,
-            });
-          }
+          this.forwardDraft(1, data.draft);
         }
 
+        this.recordLanguage(data);
+        this.recordMetrics(data);
         this.currentPartial = data.text;
+        this.partialLevel = worker.level;
         this.emitUpdate();
       }
+    } else if (data.type === "backpressure") {
+      // The layer fell too far behind and stopped itself
+      const stats = this.timingStats[data.level];
+      if (stats) {
+        stats.disabled = true;
+        stats.backlog = data.backlog;
+      }
+      this.onMessage({
+        type: "status",
+        text: `L${data.level} disabled: ${data.backlog.toFixed(
+          1
+        )}s behind real time`,
+      });
+      this.resolveFlush(data.level);
+      this.emitUpdate();
+    } else if (data.type === "load_progress") {
+      // A shared worker downloads its model once, for all of its layers
+      const levels = worker.owner
+        ? Array.from(worker.owner.ports.keys())
+        : [worker.level];
+      levels.forEach((level) => {
+        const state = this.loadState[level];
+        if (state && data.file) {
+          state.files[data.file] = {
+            loaded: data.loaded || 0,
+            total: data.total || 0,
+          };
+        }
+      });
+      if (data.file) this.emitLoadState();
+    } else if (data.type === "ready") {
+      worker.isReady = true;
+      worker.model = data.model; // What actually loaded (ONNX uses its own)
+      const state = this.loadState[worker.level];
+      if (state) {
+        state.ready = true;
+        state.model = data.model || state.model;
+        this.emitLoadState();
+      }
+      if (worker.recovering) {
+        this.replayAudio(worker);
+      }
+      this.checkReadyWaiters();
+    } else if (data.type === "flushed") {
+      this.resolveFlush(worker.level);
+    } else if (data.type === "error") {
+      console.error(
+        `[Transcriber] Worker L${worker.level} reported:`,
+        data.error
+      );
+      // A failed layer must not block a pending flush forever
+      this.resolveFlush(worker.level);
+      // Nor a wait for its model, if that is what failed
+      if (!worker.isReady) {
+        worker.loadError = data.error;
+        this.checkReadyWaiters();
+      }
+      this.onMessage({ type: "error", level: worker.level, error: data.error });
     } else if (data.type === "status") {
       // Forward status (maybe debounced or selectively)
       // console.log(data.text);
     }
   }
 
+  /**
+   * Pass a layer's timed tokens (see draft-timeline.js) to the next layer
+   * up as drafts to verify. Skipped when the two models number their tokens
+   * differently.
+   * @returns {Worker|null} The worker the draft was sent to
+   */
+  forwardDraft(level, draft) {
+    if (!draft) return null;
+    const nextWorker = this.workers
+      .filter((w) => w.level > level)
+      .sort((a, b) => a.level - b.level)[0];
+    if (!nextWorker) return null;
+    const model = this.getLayerModel(level);
+    const nextModel = this.getLayerModel(nextWorker.level);
+    if (model && nextModel && !sharesTokenizer(model, nextModel)) return null;
+
+    nextWorker.postMessage({ type: "draft_tokens", draft });
+    return nextWorker;
+  }
+
+  // The layer whose tokens a layer receives as drafts (the next one down)
+  getDraftSource(level) {
+    return this.workers
+      .filter((w) => w.level < level)
+      .sort((a, b) => b.level - a.level)[0];
+  }
+
+  // The model a layer runs: as reported once loaded, else as configured
+  getLayerModel(level) {
+    const worker = this.workers.find((w) => w.level === level);
+    return worker?.model || this.workerConfigs[level]?.model;
+  }
+
+  /**
+   * Model, download progress and weight size of each layer
+   * @returns {Object} level -> { model, quant, shared, ready, progress, bytes }
+   *   progress is 0-1; bytes is the size of the model files, which stay in
+   *   memory once loaded
+   */
+  getLoadState() {
+    const layers = {};
+    Object.entries(this.loadState).forEach(([level, state]) => {
+      const files = Object.values(state.files);
+      const loaded = files.reduce((sum, file) => sum + file.loaded, 0);
+      const bytes = files.reduce((sum, file) => sum + file.total, 0);
+      layers[level] = {
+        model: state.model,
+        quant: state.quant,
+        shared: state.shared,
+        ready: state.ready,
+        progress: state.ready ? 1 : bytes > 0 ? loaded / bytes : 0,
+        bytes,
+      };
+    });
+    return layers;
+  }
+
+  emitLoadState() {
+    this.onMessage({ type: "load_state", layers: this.getLoadState() });
+  }
+
+  /**
+   * Resolve once the workers for the given levels have loaded their models
+   * @throws {Error} (rejects) If one of them failed to load or gave up
+   *   restarting
+   */
+  whenReady(levels = this.enabledLayers) {
+    return new Promise((resolve, reject) => {
+      this.readyWaiters.push({ levels, resolve, reject });
+      this.checkReadyWaiters();
+    });
+  }
+
+  checkReadyWaiters() {
+    this.readyWaiters = this.readyWaiters.filter(
+      ({ levels, resolve, reject }) => {
+        const failed = levels.find((level) => this.getLoadError(level));
+        if (failed !== undefined) {
+          reject(
+            new Error(`L${failed} failed to load: ${this.getLoadError(failed)}`)
+          );
+          return false;
+        }
+        const ready = levels.every((level) => {
+          const worker = this.workers.find((w) => w.level === level);
+          return !worker || worker.isReady;
+        });
+        if (ready) resolve();
+        return !ready;
+      }
+    );
+  }
+
+  // Why a layer's model will not become ready, or null while it still may
+  getLoadError(level) {
+    if (this.recovery[level]?.state === "failed") {
+      return `stopped after ${MAX_RESTARTS} failed restarts`;
+    }
+    const worker = this.workers.find((w) => w.level === level);
+    return worker?.loadError || null;
+  }
+
+  /**
+   * Ask the given layers to process their remaining partial chunk.
+   * Resolves once every layer has drained its buffer.
+   */
+  flush(levels = this.enabledLayers) {
+    const targets = this.workers.filter((w) => levels.includes(w.level));
+    const promises = targets.map(
+      (w) =>
+        new Promise((resolve) => {
+          if (!this.flushWaiters[w.level]) this.flushWaiters[w.level] = [];
+          this.flushWaiters[w.level].push(resolve);
+        })
+    );
+    targets.forEach((w) => w.postMessage({ type: "flush" }));
+    return Promise.all(promises);
+  }
+
+  resolveFlush(level) {
+    const waiters = this.flushWaiters[level] || [];
+    delete this.flushWaiters[level];
+    waiters.forEach((resolve) => resolve());
+  }
+
+  /**
+   * Position (s) up to which a layer has emitted segments
+   */
+  getLayerProgress(level) {
+    return this.layerProgress[level] || 0;
+  }
+
+  /**
+   * Seconds of captured audio a layer has not transcribed yet
+   */
+  getLayerLag(level) {
+    return Math.max(
+      0,
+      this.getTimelinePosition() - this.getLayerProgress(level)
+    );
+  }
+
+  /**
+   * How each chunk layer keeps up with real time, for the timing panel
+   * @returns {Object} level -> { lag, rtf, backlog, skipped, disabled }
+   */
+  getLagStats() {
+    const lagStats = {};
+    this.workers.forEach(({ level }) => {
+      const config = this.workerConfigs[level]?.config;
+      const stats = this.timingStats[level];
+      if (!stats || config?.mode !== LayerMode.CHUNK) return;
+      lagStats[level] = {
+        lag: this.getLayerLag(level),
+        rtf: stats.rtf,
+        backlog: stats.backlog,
+        skipped: stats.skipped,
+        disabled: stats.disabled,
+      };
+    });
+    return lagStats;
+  }
+
+  /**
+   * Record how stale and how fast a layer's result is as it is shown
+   * @param {Object} data - A segment or partial; start/end in captured time
+   */
+  recordMetrics(data) {
+    if (!data.level || data.end === undefined) return;
+    const arrivedAt = this.arrivals.timeAt(data.end);
+    const duration = data.end - data.start;
+    const metrics = (this.metrics[data.level] ??= new LayerMetrics());
+    metrics.record({
+      // Rejected text is never shown
+      latency:
+        arrivedAt === null || data.rejected
+          ? null
+          : performance.now() - arrivedAt,
+      rtf:
+        data.rtf ??
+        (data.inferenceTime && duration > 0
+          ? getRealTimeFactor(data.inferenceTime, duration)
+          : null),
+      queue: Math.max(0, this.getTimelinePosition() - data.end),
+    });
+  }
+
+  /**
+   * Speech-to-display latency (ms), real-time factor and queue depth (s) of
+   * each layer since the transcript started; silence commits keep them
+   * @returns {Object} level -> { latency, rtf, queue }, each
+   *   { count, last, mean, p50, p95, max } or null
+   */
+  getMetrics() {
+    return Object.fromEntries(
+      Object.entries(this.metrics).map(([level, metrics]) => [
+        level,
+        metrics.summary(),
+      ])
+    );
+  }
+
+  /**
+   * Clear the transcript and restart every layer's timeline at 0
+   * (used before transcribing an independent source such as a file)
+   */
+  reset() {
+    this.workers.forEach((w) => w.postMessage({ type: "reset" }));
+    this.segments = [];
+    this.replacedSegments = [];
+    this.rejectedSegments = [];
+    this.languages = {};
+    this.currentPartial = "";
+    this.layerProgress = {};
+    Object.values(this.replayBuffers).forEach((replay) => replay.reset());
+    this.channelTimeline.reset();
+    this.arrivals.reset();
+    this.metrics = {};
+    this.pauses = [];
+    this.pauseStartedAt = null;
+    this.initializeTimingStats();
+    this.emitUpdate();
+  }
+
   handleWorkerError(error, worker) {
     const level = worker.level;
     console.error(`[Transcriber] Worker L${level} error:`, error);
+    this.onMessage({
+      type: "error",
+      level,
+      error: error.message || "Worker crashed",
+    });
 
-    // Log the specific error we're handling
-    if (error.message) {
-      console.warn(
-        `[Transcriber] Detected error 13614224 in Worker L${level}, restarting...`
+    // A worker already replaced (or unloaded) has nothing left to recover
+    if (!this.workers.includes(worker)) return;
+    this.workers.splice(this.workers.indexOf(worker), 1);
+    worker.terminate();
+
+    const attempt = (this.recovery[level]?.attempt || 0) + 1;
+    if (attempt > MAX_RESTARTS) {
+      console.error(
+        `[Transcriber] Worker L${level} keeps failing, giving up after ${MAX_RESTARTS} restarts`
       );
+      this.recovery[level] = { state: "failed", attempt: MAX_RESTARTS };
+      this.replayBuffers[level]?.clear();
+      this.resolveFlush(level);
+      this.checkReadyWaiters();
+      this.onMessage({
+        type: "status",
+        text: `L${level} stopped after ${MAX_RESTARTS} failed restarts`,
+      });
+      this.emitRecoveryState();
+      return;
     }
 
-    // Restart the worker
-    this.restartWorker(level);
+    // Back off so a worker that crashes right away doesn't spin
+    const delay = RESTART_DELAY_MS * 2 ** (attempt - 1);
+    console.warn(
+      `[Transcriber] Restarting Worker L${level} in ${delay}ms (attempt ${attempt}/${MAX_RESTARTS})`
+    );
+    this.recovery[level] = { state: "restarting", attempt };
+    this.emitRecoveryState();
+    this.restartTimers[level] = setTimeout(() => {
+      delete this.restartTimers[level];
+      this.restartWorker(level);
+    }, delay);
   }
 
-  async restartWorker(level) {
+  /**
+   * Start a new worker for a layer. It receives no live audio until its
+   * model is ready; then the audio its predecessor had not transcribed is
+   * replayed (see replayAudio), followed by live audio through process().
+   */
+  restartWorker(level) {
+    if (!this.isInitialized) return;
     console.log(`[Transcriber] Restarting Worker L${level}...`);
 
     // Find and terminate the old worker
@@ -345,44 +975,133 @@ export class Transcriber {
 
     try {
       // Create new worker with same configuration
-      const workerUrl = config.useOnnx
-        ? "./workers/onnx-inference.worker.js"
-        : "./workers/inference.worker.js";
-
-      const worker = new Worker(new URL(workerUrl, import.meta.url), {
-        type: "module",
-      });
-
-      worker.level = level;
-      worker.useOnnx = config.useOnnx;
-
-      worker.onmessage = (e) => this.handleWorkerMessage(e.data, worker);
-      worker.onerror = (error) => this.handleWorkerError(error, worker);
-
-      worker.postMessage({ type: "configure", config: config.config });
-      worker.postMessage({
-        type: "init",
-        language: config.language,
-        backend: config.backend,
-        model: config.model,
-        quant: config.quant,
-      });
+      const worker = this.createWorker(level, config);
+      worker.recovering = true;
 
       // Add to workers array
       this.workers.push(worker);
-
-      console.log(`[Transcriber] Worker L${level} restarted successfully`);
       this.onMessage({
         type: "status",
-        text: `Worker L${level} restarted successfully`,
+        text: `Worker L${level} restarted, reloading model...`,
       });
     } catch (error) {
       console.error(`[Transcriber] Failed to restart Worker L${level}:`, error);
     }
   }
 
+  /**
+   * Give a restarted worker the audio since its layer's last segment, on
+   * the same timeline, so the transcript continues without a hole
+   */
+  replayAudio(worker) {
+    const level = worker.level;
+    const replay = this.replayBuffers[level];
+    const { start, audio } = replay.read();
+
+    // Audio beyond the replay limit is gone; say so instead of hiding it
+    const gap = start - this.getLayerProgress(level);
+    if (gap > 0.01) {
+      console.warn(
+        `[Transcriber] L${level} lost ${gap.toFixed(
+          1
+        )}s beyond the replay buffer`
+      );
+    }
+
+    worker.postMessage({ type: "timeline", position: start });
+    if (audio.length > 0) {
+      worker.postMessage({ type: "audio", data: audio });
+    }
+    worker.recovering = false;
+
+    const replayed = audio.length / 16000;
+    console.log(
+      `[Transcriber] Replayed ${replayed.toFixed(1)}s to Worker L${level}`
+    );
+    this.recovery[level] = {
+      ...this.recovery[level],
+      state: "replaying",
+      replayed,
+    };
+    this.onMessage({
+      type: "status",
+      text: `L${level} recovered, catching up on ${replayed.toFixed(1)}s`,
+    });
+    this.emitRecoveryState();
+
+    // A flush requested before the crash still has to complete
+    if (this.flushWaiters[level]) {
+      worker.postMessage({ type: "flush" });
+    }
+  }
+
+  // The layer produced output again after a restart: it has recovered
+  markRecovered(level) {
+    if (this.recovery[level]?.state !== "replaying") return;
+    delete this.recovery[level];
+    this.emitRecoveryState();
+  }
+
+  /**
+   * Record a segment the worker's hallucination guard rejected
+   * @param {Object} data - The segment message, with rejected: { reason, detail, text }
+   */
+  logRejectedSegment(data) {
+    const { reason, detail, text } = data.rejected;
+    console.warn(
+      `[Transcriber L${data.level}] Rejected [${data.start.toFixed(
+        1
+      )}-${data.end.toFixed(1)}] (${reason}: ${detail}): "${text}"`
+    );
+    this.rejectedSegments.push({
+      level: data.level,
+      start: this.toSessionTime(data.start),
+      end: this.toSessionTime(data.end),
+      reason,
+      detail,
+      text,
+    });
+    if (this.rejectedSegments.length > MAX_REJECTED_SEGMENTS) {
+      this.rejectedSegments.shift();
+    }
+    const stats = this.timingStats[data.level];
+    if (stats) stats.rejected += 1;
+    this.emitUpdate();
+  }
+
+  getRejectedSegments() {
+    return [...this.rejectedSegments];
+  }
+
+  emitRecoveryState() {
+    this.onMessage({ type: "recovery", layers: { ...this.recovery } });
+  }
+
+  /**
+   * Replace the text of an already emitted segment, if it is still shown
+   * @param {number} level
+   * @param {{text: string, words?: Array, start: number, end: number}} revised - Audio-time bounds
+   * @param {string} [field] - "translation" to revise the English instead
+   */
+  reviseSegment(level, revised, field = "text") {
+    const start = this.toSessionTime(revised.start);
+    const segment = this.segments.find(
+      (s) =>
+        !s.isSeparator && s.level === level && Math.abs(s.start - start) < 0.01
+    );
+    if (segment && field === "translation") {
+      segment.translation = revised.text;
+    } else if (segment) {
+      segment.text = revised.text;
+      segment.words = revised.words
+        ? mapWordTimes(revised.words, (t) => this.toSessionTime(t))
+        : undefined;
+    }
+  }
+
   mergeSegment(newSegment) {
-    // newSegment: { start, end, text, level }
+    // newSegment: { start, end, text, level, words?, confidence?, translation? }
+    // words ({ text, start, end, probability? }) travel with the segment
 
     // 1. Remove overlapping segments of lower/equal level
     // We keep segments that are strictly BETTER (higher level)
@@ -425,6 +1144,15 @@ export class Transcriber {
       return true; // No overlap, keep.
     });
 
+    // A translating layer writes only English; the layers it replaces
+    // heard the original
+    if (!newSegment.text && newSegment.translation) {
+      newSegment.text = replacedSegments
+        .map((s) => s.text)
+        .join(" ")
+        .trim();
+    }
+
     // Store replaced segments for diff comparison (only if new segment is L4)
     if (newSegment.level === 4) {
       this.replacedSegments.push({
@@ -455,6 +1183,12 @@ export class Transcriber {
       this.segments.push(newSegment);
       // Sort by start time
       this.segments.sort((a, b) => a.start - b.start);
+      // The segment on its own, for listeners that keep their own transcript
+      this.onMessage({
+        type: "segment",
+        segment: newSegment,
+        replaced: replacedSegments,
+      });
       this.emitUpdate();
     }
   }
@@ -465,8 +1199,11 @@ export class Transcriber {
       type: "full_transcript",
       segments: this.segments,
       partial: this.currentPartial,
+      partialLevel: this.partialLevel,
       timingStats: this.timingStats,
       replacedSegments: this.replacedSegments, // For diff comparison
+      languages: this.languages, // For the language badge
+      metrics: this.getMetrics(),
     });
   }
 
@@ -474,6 +1211,8 @@ export class Transcriber {
     // In continuous stream, we might not need explicit commit/reset unless stop.
     // But if the user pauses?
     this.workers.forEach((w) => w.postMessage({ type: "commit" }));
+    // Workers drop their buffered audio on commit; so does the replay
+    Object.values(this.replayBuffers).forEach((replay) => replay.clear());
 
     // Add a separator segment instead of clearing all segments
     if (this.segments.length > 0) {
@@ -488,9 +1227,8 @@ export class Transcriber {
 
     this.currentPartial = "";
 
-    // Reset timing stats for enabled layers
-    this.initializeTimingStats();
-
+    // Timing stats and metrics describe the layers, not one utterance, so
+    // they carry on across silences
     this.emitUpdate();
   }
 
@@ -519,7 +1257,23 @@ export class Transcriber {
     // Terminate all workers
     this.workers.forEach((w) => w.terminate());
     this.workers = [];
+    this.sharedWorkers = {};
+    this.loadState = {};
+    this.emitLoadState();
+    Object.values(this.restartTimers).forEach(clearTimeout);
+    this.restartTimers = {};
+    this.replayBuffers = {};
+    this.recovery = {};
+    this.emitRecoveryState();
     this.isInitialized = false;
+    this.ringBuffer = null;
+
+    // Nothing is left to wait for
+    Object.keys(this.flushWaiters).forEach((level) =>
+      this.resolveFlush(Number(level))
+    );
+    this.readyWaiters.forEach(({ resolve }) => resolve());
+    this.readyWaiters = [];
 
     // Reset timing stats for enabled layers
     this.initializeTimingStats();
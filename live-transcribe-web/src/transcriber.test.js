@@ -0,0 +1,92 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { Transcriber } from "./transcriber.js";
+
+// Stands in for a layer worker; messages are delivered by the test
+function fakeWorker(level) {
+  return { level, isReady: false, postMessage: vi.fn(), terminate: vi.fn() };
+}
+
+describe("Transcriber.whenReady", () => {
+  let transcriber;
+  let messages;
+
+  beforeEach(() => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    messages = [];
+    transcriber = new Transcriber((message) => messages.push(message));
+    transcriber.workers = [fakeWorker(1), fakeWorker(2)];
+  });
+
+  it("resolves once every layer is ready", async () => {
+    const ready = transcriber.whenReady([1, 2]);
+    transcriber.handleWorkerMessage({ type: "ready" }, transcriber.workers[0]);
+    transcriber.handleWorkerMessage({ type: "ready" }, transcriber.workers[1]);
+
+    await expect(ready).resolves.toBeUndefined();
+  });
+
+  it("rejects when a layer fails to load", async () => {
+    const ready = transcriber.whenReady([1, 2]);
+    transcriber.handleWorkerMessage({ type: "ready" }, transcriber.workers[0]);
+    transcriber.handleWorkerMessage(
+      { type: "error", error: "Model not found" },
+      transcriber.workers[1]
+    );
+
+    await expect(ready).rejects.toThrow("L2 failed to load: Model not found");
+    expect(messages).toContainEqual({
+      type: "error",
+      level: 2,
+      error: "Model not found",
+    });
+  });
+
+  it("rejects a later wait for the failed layer right away", async () => {
+    transcriber.handleWorkerMessage(
+      { type: "error", error: "Model not found" },
+      transcriber.workers[1]
+    );
+
+    await expect(transcriber.whenReady([2])).rejects.toThrow(/L2/);
+  });
+
+  it("is not failed by another layer", async () => {
+    transcriber.handleWorkerMessage(
+      { type: "error", error: "Model not found" },
+      transcriber.workers[1]
+    );
+    const ready = transcriber.whenReady([1]);
+    transcriber.handleWorkerMessage({ type: "ready" }, transcriber.workers[0]);
+
+    await expect(ready).resolves.toBeUndefined();
+  });
+
+  it("is not failed by an error after loading", async () => {
+    transcriber.handleWorkerMessage({ type: "ready" }, transcriber.workers[1]);
+    transcriber.handleWorkerMessage(
+      { type: "error", error: "Chunk failed" },
+      transcriber.workers[1]
+    );
+
+    await expect(transcriber.whenReady([2])).resolves.toBeUndefined();
+  });
+});
+
+describe("Transcriber partials", () => {
+  it("reports which layer the partial came from", () => {
+    const messages = [];
+    const transcriber = new Transcriber((message) => messages.push(message));
+    const worker = fakeWorker(1);
+    transcriber.workers = [worker];
+    transcriber.handleWorkerMessage(
+      { type: "partial", text: "hello there", level: 1 },
+      worker
+    );
+
+    expect(messages.at(-1)).toMatchObject({
+      type: "full_transcript",
+      partial: "hello there",
+      partialLevel: 1,
+    });
+  });
+});
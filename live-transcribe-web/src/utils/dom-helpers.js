@@ -8,6 +8,10 @@ export function getStopBtn() {
   return document.getElementById("stop-btn");
 }
 
+export function getPauseBtn() {
+  return document.getElementById("pause-btn");
+}
+
 export function getModelSelect() {
   return document.getElementById("model-select");
 }
@@ -84,6 +88,26 @@ export function getCopyL4Btn() {
   return document.getElementById("copy-l4-btn");
 }
 
+export function getLanguageLockInput() {
+  return document.getElementById("language-lock-input");
+}
+
+export function getLanguageBadge() {
+  return document.getElementById("language-badge");
+}
+
+export function getCopyTranslationBtn() {
+  return document.getElementById("copy-translation-btn");
+}
+
+export function getExportL4Btn() {
+  return document.getElementById("export-l4-btn");
+}
+
+export function getExportTranslationBtn() {
+  return document.getElementById("export-translation-btn");
+}
+
 export function getStatusDiv() {
   return document.getElementById("status-text");
 }
@@ -120,6 +144,10 @@ export function getOnnxLayersToggle() {
   return document.getElementById("onnx-layers-toggle");
 }
 
+export function getSharedModelToggle() {
+  return document.getElementById("shared-model-toggle");
+}
+
 export function getDiffViewToggle() {
   return document.getElementById("diff-view-toggle");
 }
@@ -127,3 +155,203 @@ export function getDiffViewToggle() {
 export function getTimingDisplayToggle() {
   return document.getElementById("timing-display-toggle");
 }
+
+export function getExportMetricsCsvBtn() {
+  return document.getElementById("export-metrics-csv-btn");
+}
+
+export function getExportMetricsJsonBtn() {
+  return document.getElementById("export-metrics-json-btn");
+}
+
+export function getSourceSelect() {
+  return document.getElementById("source-select");
+}
+
+export function getSecondSourceSelect() {
+  return document.getElementById("second-source-select");
+}
+
+export function getDownmixSelect() {
+  return document.getElementById("downmix-select");
+}
+
+export function getFileInput() {
+  return document.getElementById("file-input");
+}
+
+export function getFileDropZone() {
+  return document.getElementById("file-drop-zone");
+}
+
+export function getFileName() {
+  return document.getElementById("file-name");
+}
+
+export function getFileLayerToggle(layerIndex) {
+  return document.getElementById(`file-layer-l${layerIndex}-toggle`);
+}
+
+export function getFileProgress() {
+  return document.getElementById("file-progress");
+}
+
+export function getFileProgressText() {
+  return document.getElementById("file-progress-text");
+}
+
+export function getTranscribeFileBtn() {
+  return document.getElementById("transcribe-file-btn");
+}
+
+export function getCancelFileBtn() {
+  return document.getElementById("cancel-file-btn");
+}
+
+export function getVadModeSelect() {
+  return document.getElementById("vad-mode-select");
+}
+
+export function getVadOnsetInput() {
+  return document.getElementById("vad-onset-input");
+}
+
+export function getVadOffsetInput() {
+  return document.getElementById("vad-offset-input");
+}
+
+export function getVadMinSilenceInput() {
+  return document.getElementById("vad-min-silence-input");
+}
+
+export function getTopologyPresetSelect() {
+  return document.getElementById("topology-preset-select");
+}
+
+export function getTopologyEditBtn() {
+  return document.getElementById("topology-edit-btn");
+}
+
+export function getTopologyEditor() {
+  return document.getElementById("topology-editor");
+}
+
+export function getTopologyLayersBody() {
+  return document.getElementById("topology-layers");
+}
+
+export function getTopologyErrors() {
+  return document.getElementById("topology-errors");
+}
+
+export function getTopologyAddBtn() {
+  return document.getElementById("topology-add-btn");
+}
+
+export function getTopologyApplyBtn() {
+  return document.getElementById("topology-apply-btn");
+}
+
+export function getTopologyNameInput() {
+  return document.getElementById("topology-name-input");
+}
+
+export function getTopologySaveBtn() {
+  return document.getElementById("topology-save-btn");
+}
+
+export function getTopologyDeleteBtn() {
+  return document.getElementById("topology-delete-btn");
+}
+
+export function getTopologyExportBtn() {
+  return document.getElementById("topology-export-btn");
+}
+
+export function getTopologyImportInput() {
+  return document.getElementById("topology-import-input");
+}
+
+export function getTimingItem(level) {
+  return document.querySelector(`.timing-item.level-${level}`);
+}
+
+export function getTimingLegendItem(level) {
+  return document.querySelector(`.legend-color.level-${level}`)?.parentElement;
+}
+
+export function getTimingRecovery(level) {
+  return document.getElementById(`timing-recovery-l${level}`);
+}
+
+export function getTimingModel(level) {
+  return document.getElementById(`timing-model-l${level}`);
+}
+
+export function getTimingLag(level) {
+  return document.getElementById(`timing-lag-l${level}`);
+}
+
+export function getTimingMetrics(level) {
+  return document.getElementById(`timing-metrics-l${level}`);
+}
+
+export function getDspHighPassToggle() {
+  return document.getElementById("dsp-highpass-toggle");
+}
+
+export function getDspDenoiseToggle() {
+  return document.getElementById("dsp-denoise-toggle");
+}
+
+export function getDspNormalizeToggle() {
+  return document.getElementById("dsp-normalize-toggle");
+}
+
+export function getDspGainToggle() {
+  return document.getElementById("dsp-gain-toggle");
+}
+
+export function getDspGainInput() {
+  return document.getElementById("dsp-gain-input");
+}
+
+export function getBackpressurePolicySelect() {
+  return document.getElementById("backpressure-policy-select");
+}
+
+export function getBackpressureMaxBacklogInput() {
+  return document.getElementById("backpressure-max-backlog-input");
+}
+
+export function getConfidenceThresholdInput() {
+  return document.getElementById("confidence-threshold-input");
+}
+
+export function getGlossaryInput() {
+  return document.getElementById("glossary-input");
+}
+
+export function getRecordAudioToggle() {
+  return document.getElementById("record-audio-toggle");
+}
+
+export function getSessionSelect() {
+  return document.getElementById("session-select");
+}
+
+export function getDownloadWavBtn() {
+  return document.getElementById("download-wav-btn");
+}
+
+export function getDownloadOpusBtn() {
+  return document.getElementById("download-opus-btn");
+}
+
+export function getDeleteSessionBtn() {
+  return document.getElementById("delete-session-btn");
+}
+
+export function getSessionAudioStatus() {
+  return document.getElementById("session-audio-status");
+}
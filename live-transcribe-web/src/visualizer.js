@@ -34,6 +34,10 @@ export class Visualizer {
     this.smoothingFactor = 0.85;
     this.lastAmplitude = 0;
 
+    // Levels before/after the DSP chain, reported by the capture worklet
+    this.processingLevels = null; // { input, output } meter positions 0-1
+    this.clipUntil = 0; // performance.now() until which CLIP stays lit
+
     this.initCanvas();
   }
 
@@ -152,6 +156,16 @@ export class Visualizer {
     }
 
     try {
+      // Tear down the previous stream's graph when switching inputs
+      if (this.animationId) {
+        cancelAnimationFrame(this.animationId);
+        this.animationId = null;
+      }
+      if (this.audioContext) {
+        this.audioContext.close();
+        this.audioContext = null;
+      }
+
       this.mediaStream = stream;
       this.waveformData = [];
 
@@ -175,6 +189,35 @@ export class Visualizer {
     }
   }
 
+  /**
+   * Show pre- and post-processing meters
+   * @param {{input: {rms: number, peak: number}, output: {rms: number, peak: number}, clipped: number}} levels
+   */
+  setProcessingLevels(levels) {
+    // Meters fall back slowly like a peak meter
+    const previous = this.processingLevels || { input: 0, output: 0 };
+    this.processingLevels = {
+      input: Math.max(
+        this.toMeterLevel(levels.input.peak),
+        previous.input * 0.9
+      ),
+      output: Math.max(
+        this.toMeterLevel(levels.output.peak),
+        previous.output * 0.9
+      ),
+    };
+    if (levels.clipped > 0) {
+      this.clipUntil = performance.now() + 1000;
+    }
+  }
+
+  // Map a linear peak to a 0-1 meter position over -60..0 dBFS
+  toMeterLevel(peak) {
+    if (peak <= 0) return 0;
+    const db = 20 * Math.log10(peak);
+    return Math.max(0, Math.min(1, (db + 60) / 60));
+  }
+
   startVisualization() {
     const bufferLength = this.analyser.frequencyBinCount;
     const dataArray = new Float32Array(bufferLength);
@@ -301,19 +344,42 @@ export class Visualizer {
     // Reset shadow
     ctx.shadowBlur = 0;
 
-    // Draw level meter on the right side
-    this.drawLevelMeter(
-      ctx,
-      width,
-      height,
-      this.waveformData[this.waveformData.length - 1] || 0
-    );
+    if (this.processingLevels) {
+      // Pre- and post-processing meters side by side
+      this.drawLevelMeter(
+        ctx,
+        width - 22,
+        height,
+        this.processingLevels.input,
+        "IN"
+      );
+      this.drawLevelMeter(
+        ctx,
+        width - 12,
+        height,
+        this.processingLevels.output,
+        "OUT"
+      );
+      if (performance.now() < this.clipUntil) {
+        ctx.fillStyle = "#ff3366";
+        ctx.font = '10px "SF Mono", "Monaco", "Inconsolata", monospace';
+        ctx.textAlign = "right";
+        ctx.fillText("CLIP", width - 28, 16);
+      }
+    } else {
+      // Draw level meter on the right side
+      this.drawLevelMeter(
+        ctx,
+        width - 12,
+        height,
+        this.waveformData[this.waveformData.length - 1] || 0
+      );
+    }
   }
 
-  drawLevelMeter(ctx, width, height, level) {
+  drawLevelMeter(ctx, meterX, height, level, label = null) {
     const meterWidth = 4;
-    const meterX = width - meterWidth - 8;
-    const meterHeight = height - 16;
+    const meterHeight = height - (label ? 26 : 16);
     const meterY = 8;
 
     // Meter background
@@ -345,6 +411,13 @@ export class Visualizer {
     ctx.strokeStyle = "rgba(255, 255, 255, 0.2)";
     ctx.lineWidth = 1;
     ctx.strokeRect(meterX, meterY, meterWidth, meterHeight);
+
+    if (label) {
+      ctx.fillStyle = "rgba(255, 255, 255, 0.5)";
+      ctx.font = '7px "SF Mono", "Monaco", "Inconsolata", monospace';
+      ctx.textAlign = "center";
+      ctx.fillText(label, meterX + meterWidth / 2, height - 6);
+    }
   }
 
   pause() {
@@ -381,6 +454,7 @@ export class Visualizer {
     this.analyser = null;
     this.mediaStream = null;
     this.waveformData = [];
+    this.processingLevels = null;
     this.isInitialized = false;
 
     // Clear canvas
@@ -1,14 +1,16 @@
 import { WhisperInference, ProcessingMode } from "../libs/whisper-inference.js";
+import { pollRingBuffer } from "../libs/ring-buffer.js";
 
 // Global inference instance
 let whisper = null;
 let pendingConfig = null; // Store config from configure message before init
+let stopRingPolling = null; // Stops reading the shared capture buffer
 
 /**
  * Message handler
  */
 self.onmessage = async (e) => {
-  const { type, data, draftTokens, tokens } = e.data;
+  const { type, data, draft } = e.data;
 
   try {
     switch (type) {
@@ -32,9 +34,13 @@ self.onmessage = async (e) => {
         handleAudio(data);
         break;
 
+      case "ring_buffer":
+        handleRingBuffer(e.data.buffer, e.data.startIndex);
+        break;
+
       case "draft_tokens":
-        if (whisper && tokens && tokens.length > 0) {
-          whisper.setDraftTokens(tokens);
+        if (whisper && draft) {
+          whisper.addDraft(draft);
         }
         break;
 
@@ -45,6 +51,23 @@ self.onmessage = async (e) => {
         }
         break;
 
+      case "reset":
+        if (whisper) {
+          whisper.reset();
+        }
+        break;
+
+      case "flush":
+        handleFlush();
+        break;
+
+      case "timeline":
+        // A replacement worker continues where the crashed one stopped
+        if (whisper) {
+          whisper.setTimelinePosition(e.data.position);
+        }
+        break;
+
       default:
         console.warn(`[Worker] Unknown message type: ${type}`);
     }
@@ -83,6 +106,8 @@ async function handleInit(data) {
           level: config.level || 0,
           progress: progress.progress,
           file: progress.file,
+          loaded: progress.loaded,
+          total: progress.total,
         });
       }
     },
@@ -99,6 +124,61 @@ async function handleInit(data) {
 
   // Clear pending config after init
   pendingConfig = null;
+
+  self.postMessage({
+    type: "ready",
+    level: whisper.config.level,
+    model: whisper.modelName,
+  });
+
+  // Audio may have arrived while the model was loading
+  if (whisper.shouldProcess()) {
+    processAudio();
+  }
+}
+
+/**
+ * Process the remaining audio, then report that the buffer is drained
+ */
+function handleFlush() {
+  if (!whisper) return;
+
+  whisper.flush();
+  if (whisper.config.mode !== ProcessingMode.CHUNK) {
+    // Continuous mode has no pending chunk to emit; count the dropped audio
+    // so later partials keep their place on the timeline
+    whisper.processedSamples += whisper.audioBuffer.length;
+    whisper.audioBuffer = new Float32Array(0);
+  }
+  checkFlushed();
+
+  if (whisper.shouldProcess()) {
+    processAudio();
+  }
+}
+
+/**
+ * Notify the main thread once a requested flush has completed
+ */
+function checkFlushed() {
+  if (whisper && whisper.isFlushed()) {
+    whisper.flushPending = false;
+    self.postMessage({ type: "flushed", level: whisper.config.level });
+  }
+}
+
+/**
+ * Start (or stop, when buffer is null) reading live audio from the shared
+ * capture ring buffer
+ */
+function handleRingBuffer(buffer, startIndex = 0) {
+  if (stopRingPolling) {
+    stopRingPolling();
+    stopRingPolling = null;
+  }
+  if (buffer) {
+    stopRingPolling = pollRingBuffer(buffer, startIndex, handleAudio);
+  }
 }
 
 /**
@@ -155,6 +235,8 @@ async function processAudio() {
       self.postMessage(result);
     }
 
+    checkFlushed();
+
     // Check if we can process more immediately
     setTimeout(() => {
       if (whisper && whisper.shouldProcess()) {
@@ -1,9 +1,26 @@
 import { OnnxWhisper } from "../libs/onnx-whisper.js";
+import { pollRingBuffer } from "../libs/ring-buffer.js";
+import { findPauseBoundary } from "../libs/chunk-boundary.js";
+import { ChunkStitcher } from "../libs/text-stitcher.js";
+import { mapWordTimes } from "../libs/word-timestamps.js";
+import {
+  planChunk,
+  getBacklog,
+  getRealTimeFactor,
+} from "../libs/backpressure.js";
+import { DEFAULT_GUARD, guardTranscript } from "../libs/hallucination-guard.js";
+import { appendHistory, buildPromptIds } from "../libs/prompt-context.js";
+import {
+  AUTO_LANGUAGE,
+  LanguageLock,
+  pickLanguage,
+} from "../libs/language-detection.js";
 
 // Global inference instances - L0 isolated, L1-4 shared
 let whisperInstances = {};
 let config = {};
 let pendingConfig = null;
+let stopRingPolling = null; // Stops reading the shared capture buffer
 
 /**
  * Get session key for whisper instance
@@ -17,6 +34,31 @@ function getSessionKey(level) {
 // Timestamp tracking for proper segment timestamps
 let processedSamples = 0;
 
+// Set by a "flush" message: process the remaining partial chunk
+let flushPending = false;
+
+// Chunk being transcribed, and whether a commit discarded the buffer meanwhile
+let inFlightSamples = 0;
+let inFlightCommitted = false;
+
+// Tail of the previous chunk re-read as context, and the text reconciler
+let overlapContext = new Float32Array(0);
+const stitcher = new ChunkStitcher();
+const translationStitcher = new ChunkStitcher(); // For task "both"
+
+// Set when the backpressure policy stops this layer (until "reset")
+let disabled = false;
+
+// End of the text emitted so far, to prompt the next chunk with
+let promptHistory = "";
+
+// With language "auto": holds the layer to a language once detections agree
+const languageLock = new LanguageLock();
+
+// A partial is being decoded; detection and decoding are separate awaits,
+// so the model alone does not show it is busy
+let decodingPartial = false;
+
 /**
  * Message handler
  */
@@ -31,6 +73,7 @@ self.onmessage = async (e) => {
           // OnnxWhisper doesn't have a generic configure method yet,
           // but we store config for logic usage
           config = { ...config, ...e.data.config };
+          languageLock.setLockAfter(config.languageLock);
           console.log(`[OnnxWorker L${config.level}] Configured:`, config);
         }
         break;
@@ -43,6 +86,10 @@ self.onmessage = async (e) => {
         handleAudio(data);
         break;
 
+      case "ring_buffer":
+        handleRingBuffer(e.data.buffer, e.data.startIndex);
+        break;
+
       case "draft_tokens":
         // OnnxWhisper doesn't support speculative decoding yet
         // Silently ignore or log if needed
@@ -50,12 +97,34 @@ self.onmessage = async (e) => {
 
       case "commit":
         if (whisperInstances[getSessionKey(config.level)]) {
-          whisperInstances[getSessionKey(config.level)].reset(true); // Clear buffer
-          processedSamples = 0; // Reset timestamp tracking like regular worker
+          handleCommit();
           self.postMessage({ type: "reset" });
         }
         break;
 
+      case "reset":
+        if (whisperInstances[getSessionKey(config.level)]) {
+          whisperInstances[getSessionKey(config.level)].reset(true);
+        }
+        processedSamples = 0;
+        flushPending = false;
+        overlapContext = new Float32Array(0);
+        stitcher.reset();
+        translationStitcher.reset();
+        disabled = false;
+        promptHistory = "";
+        languageLock.reset();
+        break;
+
+      case "timeline":
+        // A replacement worker continues where the crashed one stopped
+        processedSamples = Math.round(e.data.position * 16000);
+        break;
+
+      case "flush":
+        handleFlush();
+        break;
+
       default:
         console.warn(`[OnnxWorker] Unknown message type: ${type}`);
     }
@@ -84,6 +153,7 @@ async function handleInit(data) {
     ...(data.config || {}),
     language: language, // Store language
   };
+  languageLock.setLockAfter(config.languageLock);
 
   // Create whisper instance for this session group
   // Using settings from streaming-worker.js
@@ -102,6 +172,8 @@ async function handleInit(data) {
           level: config.level || 0,
           progress: progress.progress,
           file: progress.file,
+          loaded: progress.loaded,
+          total: progress.total,
         });
       }
     },
@@ -119,6 +191,79 @@ async function handleInit(data) {
     type: "status",
     text: "Ready (ONNX)",
   });
+  self.postMessage({ type: "ready", level: config.level, model: modelId });
+}
+
+/**
+ * Process the remaining audio, then report that the buffer is drained
+ */
+function handleFlush() {
+  const sessionKey = getSessionKey(config.level);
+  const whisper = whisperInstances[sessionKey];
+
+  if (!whisper || config.mode !== "chunk") {
+    if (whisper) {
+      // Count the dropped audio so later partials keep their place
+      processedSamples += whisper.audioBuffer.length;
+      whisper.reset(true);
+    }
+    self.postMessage({ type: "flushed", level: config.level });
+    return;
+  }
+
+  flushPending = true;
+  processChunk();
+}
+
+/**
+ * Notify the main thread once a requested flush has completed
+ */
+function checkFlushed() {
+  const whisper = whisperInstances[getSessionKey(config.level)];
+  if (
+    flushPending &&
+    whisper &&
+    !whisper.getProcessingState() &&
+    whisper.audioBuffer.length === 0
+  ) {
+    flushPending = false;
+    self.postMessage({ type: "flushed", level: config.level });
+  }
+}
+
+/**
+ * Discard buffered audio while keeping the timeline aligned with the real
+ * audio position. A chunk still being transcribed is counted when it finishes;
+ * after an earlier commit the buffer holds only newer audio.
+ */
+function handleCommit() {
+  const instance = whisperInstances[getSessionKey(config.level)];
+  const buffered = instance.audioBuffer.length;
+
+  if (inFlightSamples > 0 && !inFlightCommitted) {
+    processedSamples += Math.max(0, buffered - inFlightSamples);
+    inFlightCommitted = true;
+  } else {
+    processedSamples += buffered;
+  }
+  instance.reset(true); // Clear buffer
+  overlapContext = new Float32Array(0);
+  stitcher.reset();
+  translationStitcher.reset();
+}
+
+/**
+ * Start (or stop, when buffer is null) reading live audio from the shared
+ * capture ring buffer
+ */
+function handleRingBuffer(buffer, startIndex = 0) {
+  if (stopRingPolling) {
+    stopRingPolling();
+    stopRingPolling = null;
+  }
+  if (buffer) {
+    stopRingPolling = pollRingBuffer(buffer, startIndex, handleAudio);
+  }
 }
 
 /**
@@ -128,6 +273,11 @@ function handleAudio(audioData) {
   const sessionKey = getSessionKey(config.level);
   if (!whisperInstances[sessionKey]) return;
 
+  if (disabled) {
+    processedSamples += audioData.length; // Keep the timeline aligned
+    return;
+  }
+
   // Add to OnnxWhisper's internal buffer
   whisperInstances[sessionKey].addAudioChunk(audioData);
 
@@ -151,11 +301,80 @@ function handleAudio(audioData) {
   }
 }
 
+/**
+ * Whether the layer's main decode translates ("both" translates in a second
+ * decode); English-only models only transcribe
+ */
+function isTranslating(whisper) {
+  return config.task === "translate" && canTranslate(whisper);
+}
+
+function canTranslate(whisper) {
+  return whisper.model.generation_config?.is_multilingual !== false;
+}
+
+/**
+ * The language to decode audio in: the configured one, or with "auto" the
+ * detected one (kept once the lock holds). Also what the segment reports.
+ */
+async function detectLanguage(whisper, audio) {
+  if (config.language !== AUTO_LANGUAGE) {
+    return { language: config.language || "en" };
+  }
+  const probabilities = await whisper.getLanguageProbabilities(audio);
+  if (!probabilities) return { language: "en" }; // English-only model
+
+  const detected = pickLanguage(probabilities);
+  const language = languageLock.observe(detected.language);
+  return {
+    language,
+    languageProbability: Math.round(probabilities[language] * 1000) / 1000,
+    languageLocked: languageLock.locked !== null,
+  };
+}
+
+/**
+ * Translate a chunk the layer has just transcribed (task "both"), checked
+ * by the same guard
+ * @returns {Promise<string>} The translation; empty if it was rejected
+ */
+async function translateChunk(whisper, chunk, { language, promptIds }, guard) {
+  const translate = async (temperature) => {
+    const result = await whisper.transcribe(chunk, {
+      language,
+      task: "translate",
+      temperature,
+      promptIds,
+    });
+    return { ...result, tokenCount: result.tokens };
+  };
+
+  let translation = await translate();
+  if (guard) {
+    const guarded = await guardTranscript(
+      translation,
+      translate,
+      { duration: chunk.length / 16000 },
+      guard
+    );
+    if (!guarded.verdict.ok) {
+      console.warn(
+        `[OnnxWorker L${config.level}] Rejected translation: ${guarded.verdict.reason} (${guarded.verdict.detail}): ${guarded.transcript.text}`
+      );
+      return "";
+    }
+    translation = guarded.transcript;
+  }
+  return translation.text;
+}
+
 async function processContinuous() {
   const sessionKey = getSessionKey(config.level);
 
   // Check if model is already processing
-  if (whisperInstances[sessionKey].getProcessingState()) return;
+  if (decodingPartial || whisperInstances[sessionKey].getProcessingState()) {
+    return;
+  }
 
   // Check if we have minimum audio to process (like regular inference worker)
   const minSamples = 16000 * (config.stepSize || 1.0); // Default stepSize is 1.0
@@ -172,14 +391,26 @@ async function processContinuous() {
       bufferToProcess.length - maxInputSamples
     );
   }
+  const end =
+    (processedSamples + whisperInstances[sessionKey].audioBuffer.length) /
+    16000;
+  const start = end - bufferToProcess.length / 16000;
 
+  decodingPartial = true;
   try {
+    const spoken = await detectLanguage(
+      whisperInstances[sessionKey],
+      bufferToProcess
+    );
     // Use transcribe for continuous mode (exactly like regular inference worker)
     const result = await whisperInstances[sessionKey].transcribe(
       bufferToProcess,
       {
-        language: config.language || "en",
+        language: spoken.language,
         maxNewTokens: 64,
+        task: isTranslating(whisperInstances[sessionKey])
+          ? "translate"
+          : undefined,
       }
     );
 
@@ -188,13 +419,20 @@ async function processContinuous() {
         type: "partial",
         text: result.text,
         level: config.level,
+        // The window decoded, for the latency and real-time-factor metrics
+        start,
+        end,
         inferenceTime: result.duration,
         tokens: result.tokens || [],
+        ...spoken,
       });
 
       // L1 Logic: Keep last 1 second of context (exactly like regular inference worker)
       const contextSamples = 16000 * 1;
       if (whisperInstances[sessionKey].audioBuffer.length > contextSamples) {
+        // Count the trimmed audio so the timeline stays in step
+        processedSamples +=
+          whisperInstances[sessionKey].audioBuffer.length - contextSamples;
         const newBuffer = whisperInstances[sessionKey].audioBuffer.slice(
           whisperInstances[sessionKey].audioBuffer.length - contextSamples
         );
@@ -208,60 +446,264 @@ async function processContinuous() {
     );
     // Log stack trace if available
     if (err.stack) console.error(err.stack);
+  } finally {
+    decodingPartial = false;
   }
 }
 
 async function processChunk() {
   const sessionKey = getSessionKey(config.level);
 
-  if (whisperInstances[sessionKey].getProcessingState()) return;
+  // A chunk in flight awaits between decodes, leaving the model idle
+  if (
+    inFlightSamples > 0 ||
+    whisperInstances[sessionKey].getProcessingState()
+  ) {
+    return;
+  }
 
   const bufferInfo = whisperInstances[sessionKey].getBufferInfo();
   const chunkSize = config.chunkSize || 5;
 
+  // Nothing left to flush, e.g. a file that ended on a chunk boundary
+  if (flushPending && bufferInfo.samples === 0) {
+    checkFlushed();
+    return;
+  }
+
   // console.log(`[OnnxWorker L${config.level}] Buffer: ${bufferInfo.duration.toFixed(2)}s / ${chunkSize}s`);
 
-  if (bufferInfo.duration >= chunkSize) {
+  const pauseTolerance = config.pauseTolerance || 0;
+
+  const flushing = flushPending && bufferInfo.samples > 0;
+
+  // Wait for the whole search window so a pause after the target counts
+  if (bufferInfo.duration >= chunkSize + pauseTolerance || flushing) {
     console.log(
       `[OnnxWorker L${
         config.level
       }] Processing chunk: ${bufferInfo.duration.toFixed(2)}s`
     );
     try {
-      const chunkSamples = Math.floor(chunkSize * 16000);
+      // Catch up first if the layer has fallen behind real time
+      const plan = planChunk(
+        {
+          buffered: bufferInfo.duration,
+          chunkSize,
+          pauseTolerance,
+          overlap: config.overlap || 0,
+        },
+        config.backpressure
+      );
+      let skipped = 0;
+      if (plan.action === "disable") {
+        disabled = true;
+        processedSamples += bufferInfo.samples;
+        whisperInstances[sessionKey].reset(true);
+        overlapContext = new Float32Array(0);
+        stitcher.reset();
+        translationStitcher.reset();
+        self.postMessage({
+          type: "backpressure",
+          action: "disable",
+          level: config.level,
+          backlog: plan.backlog,
+        });
+        checkFlushed();
+        return;
+      } else if (plan.action === "skip") {
+        const skipSamples = Math.floor(plan.skip * 16000);
+        whisperInstances[sessionKey].audioBuffer =
+          whisperInstances[sessionKey].audioBuffer.slice(skipSamples);
+        processedSamples += skipSamples;
+        overlapContext = new Float32Array(0);
+        stitcher.reset();
+        translationStitcher.reset();
+        skipped = skipSamples / 16000;
+      }
+
+      // Cut at the pause nearest chunkSize; when flushing, the last chunk
+      // may be shorter than chunkSize
       const fullBuffer = whisperInstances[sessionKey].audioBuffer;
-      const chunk = fullBuffer.slice(0, chunkSamples);
+      const { length: chunkSamples } = findPauseBoundary(
+        fullBuffer,
+        Math.floor(plan.chunkSize * 16000),
+        Math.floor(pauseTolerance * 16000),
+        { sampleRate: 16000 }
+      );
+      inFlightSamples = chunkSamples;
+      inFlightCommitted = false;
+
+      // Taken before any await: a commit meanwhile moves processedSamples
+      // past this chunk
+      const start = processedSamples / 16000; // Convert samples to seconds
+      const end = start + chunkSamples / 16000;
+
+      // Prepend the end of the previous chunk as context
+      const context = overlapContext;
+      const chunk = new Float32Array(context.length + chunkSamples);
+      chunk.set(context);
+      chunk.set(fullBuffer.subarray(0, chunkSamples), context.length);
 
       // Process chunk
-      const result = await whisperInstances[sessionKey].transcribe(chunk, {
-        language: config.language || "en",
-      });
+      const whisper = whisperInstances[sessionKey];
+      // Earlier text (if the layer asks for it) and the glossary
+      const getPromptIds = (history) =>
+        buildPromptIds(whisper.tokenizer, {
+          glossary: config.glossary || [],
+          history: history && config.contextPrompt ? promptHistory : "",
+        });
+      const translated = isTranslating(whisper);
+      const spoken = await detectLanguage(whisper, chunk);
+      const transcribe = (temperature) =>
+        whisper.transcribe(chunk, {
+          language: spoken.language,
+          task: translated ? "translate" : undefined,
+          wordTimestamps: true,
+          temperature,
+          // Loops are often copied from the earlier text; retries skip it
+          promptIds: getPromptIds(!temperature),
+        });
+      let result = await transcribe();
+
+      // Decode again warmer if the text looks made up; reject it if it still does
+      let rejected = null;
+      const guard = config.guard ?? DEFAULT_GUARD;
+      if (result && guard) {
+        const guarded = await guardTranscript(
+          { ...result, tokenCount: result.tokens },
+          async (temperature, verdict) => {
+            console.warn(
+              `[OnnxWorker L${config.level}] ${verdict.reason} (${verdict.detail}), decoding again at temperature ${temperature}`
+            );
+            const retried = await transcribe(temperature);
+            return { ...retried, tokenCount: retried.tokens };
+          },
+          {
+            duration: chunk.length / 16000,
+            getNoSpeechProb: () => whisper.getNoSpeechProbability(chunk),
+          },
+          guard
+        );
+        result = guarded.transcript;
+        if (!guarded.verdict.ok) {
+          rejected = {
+            reason: guarded.verdict.reason,
+            detail: guarded.verdict.detail,
+            text: result.text,
+          };
+          console.warn(
+            `[OnnxWorker L${config.level}] Rejected segment [${start.toFixed(
+              1
+            )}-${end.toFixed(1)}]: ${rejected.reason} (${rejected.detail}): ${
+              rejected.text
+            }`
+          );
+        }
+      }
 
-      if (result) {
-        const start = processedSamples / 16000; // Convert samples to seconds
-        const end = (processedSamples + chunkSamples) / 16000;
+      // "both": translate the same chunk in a second decode
+      const translation =
+        result && !rejected && config.task === "both" && canTranslate(whisper)
+          ? await translateChunk(
+              whisper,
+              chunk,
+              { language: spoken.language, promptIds: getPromptIds(false) },
+              guard
+            )
+          : null;
 
+      if (result) {
+        const contextDuration = context.length / 16000;
+        // Word times are relative to the window, which starts with the context
+        const words =
+          result.words &&
+          mapWordTimes(
+            result.words,
+            (time) => Math.round((time + start - contextDuration) * 100) / 100
+          );
+        // A rejected window says nothing, so nothing is stitched to it
+        const stitched = rejected
+          ? { text: "", words: undefined, revised: null }
+          : stitcher.stitch(
+              { text: result.text.trim(), start, end, words },
+              contextDuration
+            );
+        if (rejected) {
+          stitcher.reset();
+          translationStitcher.reset();
+        }
+        const stitchedTranslation =
+          translation !== null
+            ? translationStitcher.stitch(
+                { text: translation, start, end },
+                contextDuration
+              )
+            : null;
+        promptHistory = appendHistory(promptHistory, stitched.text);
+
+        // A translating layer's main decode is the English
         self.postMessage({
           type: "segment",
-          text: result.text,
+          text: translated ? "" : stitched.text,
+          words: stitched.words,
+          revised: translated ? null : stitched.revised,
+          translation: translated ? stitched.text : stitchedTranslation?.text,
+          revisedTranslation: translated
+            ? stitched.revised
+            : stitchedTranslation?.revised ?? null,
           level: config.level,
           inferenceTime: result.duration,
           start: start,
           end: end,
-          chunkDuration: chunkSize,
+          chunkDuration: chunkSamples / 16000,
           tokens: result.tokens || [],
+          confidence: result.confidence,
+          avgLogprob: result.avgLogprob,
+          ...spoken,
+          rejected,
+          rtf: getRealTimeFactor(result.duration, chunk.length / 16000),
+          backlog: getBacklog(
+            (whisperInstances[sessionKey].audioBuffer.length - chunkSamples) /
+              16000,
+            chunkSize,
+            pauseTolerance
+          ),
+          skipped,
         });
 
         // Update processed samples and shift buffer (like regular inference worker)
         processedSamples += chunkSamples;
-        whisperInstances[sessionKey].audioBuffer =
-          whisperInstances[sessionKey].audioBuffer.slice(chunkSamples);
+        if (!inFlightCommitted) {
+          whisperInstances[sessionKey].audioBuffer =
+            whisperInstances[sessionKey].audioBuffer.slice(chunkSamples);
+          overlapContext = chunk.slice(
+            Math.max(
+              0,
+              chunk.length - Math.floor((config.overlap || 0) * 16000)
+            )
+          );
+        }
       }
     } catch (err) {
       console.error(
         `[OnnxWorker L${config.level}] Chunk processing error:`,
         err
       );
+      // Don't retry the same audio forever while flushing
+      if (flushPending) {
+        whisperInstances[sessionKey].reset(true);
+      }
+    }
+    inFlightSamples = 0;
+
+    // Keep draining while a flush is pending
+    if (flushPending) {
+      if (whisperInstances[sessionKey].audioBuffer.length > 0) {
+        setTimeout(processChunk, 0);
+      } else {
+        checkFlushed();
+      }
     }
   }
 }
@@ -0,0 +1,148 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+// The model is replaced by a stub whose decodes finish when a test says so
+const { FakeWhisper } = vi.hoisted(() => {
+  class FakeWhisper {
+    constructor() {
+      this.audioBuffer = new Float32Array(0);
+      this.tokenizer = {};
+      this.model = { generation_config: {} };
+      this.holdDecodes = false;
+      this.pendingDecodes = [];
+      FakeWhisper.instance = this;
+    }
+
+    async init() {}
+
+    async warmup() {}
+
+    addAudioChunk(audio) {
+      const buffer = new Float32Array(this.audioBuffer.length + audio.length);
+      buffer.set(this.audioBuffer);
+      buffer.set(audio, this.audioBuffer.length);
+      this.audioBuffer = buffer;
+    }
+
+    getBufferInfo() {
+      return {
+        samples: this.audioBuffer.length,
+        duration: this.audioBuffer.length / 16000,
+      };
+    }
+
+    getProcessingState() {
+      return false;
+    }
+
+    reset(clearBuffer = true) {
+      if (clearBuffer) this.audioBuffer = new Float32Array(0);
+    }
+
+    transcribe() {
+      const result = { text: "hello", tokens: [1], duration: 100 };
+      if (!this.holdDecodes) return Promise.resolve(result);
+      return new Promise((resolve) =>
+        this.pendingDecodes.push(() => resolve(result))
+      );
+    }
+
+    finishDecodes() {
+      this.pendingDecodes.splice(0).forEach((finish) => finish());
+    }
+  }
+  return { FakeWhisper };
+});
+
+vi.mock("../libs/onnx-whisper.js", () => ({ OnnxWhisper: FakeWhisper }));
+
+let posted;
+
+// Let every pending await of the worker run
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function send(message) {
+  return self.onmessage({ data: message });
+}
+
+function seconds(duration) {
+  return new Float32Array(Math.round(duration * 16000)).fill(0.1);
+}
+
+const ofType = (type) => posted.filter((message) => message.type === type);
+
+beforeEach(async () => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  posted = [];
+  globalThis.self = { postMessage: (message) => posted.push(message) };
+  vi.resetModules();
+  await import("./onnx-inference.worker.js");
+  await send({
+    type: "init",
+    language: "en",
+    config: {
+      level: 2,
+      mode: "chunk",
+      chunkSize: 1,
+      pauseTolerance: 0,
+      guard: false,
+    },
+  });
+});
+
+describe("onnx inference worker, chunk mode", () => {
+  it("transcribes a full chunk as it arrives", async () => {
+    await send({ type: "audio", data: seconds(1) });
+    await settle();
+
+    expect(ofType("segment")).toMatchObject([
+      { text: "hello", start: 0, end: 1, level: 2 },
+    ]);
+  });
+
+  it("reports a flush with nothing buffered", async () => {
+    await send({ type: "flush" });
+    await settle();
+
+    expect(ofType("flushed")).toHaveLength(1);
+  });
+
+  it("reports a flush after audio that ended on a chunk boundary", async () => {
+    await send({ type: "audio", data: seconds(1) });
+    await settle();
+    await send({ type: "audio", data: seconds(1) });
+    await settle();
+    expect(ofType("segment")).toHaveLength(2);
+
+    await send({ type: "flush" });
+    await settle();
+
+    expect(ofType("flushed")).toHaveLength(1);
+  });
+
+  it("transcribes a partial chunk on flush, then reports it", async () => {
+    await send({ type: "audio", data: seconds(0.5) });
+    await send({ type: "flush" });
+    await settle();
+    await settle();
+
+    expect(ofType("segment")).toMatchObject([{ start: 0, end: 0.5 }]);
+    expect(ofType("flushed")).toHaveLength(1);
+  });
+
+  it("keeps a chunk's times when a commit lands while it decodes", async () => {
+    FakeWhisper.instance.holdDecodes = true;
+    await send({ type: "audio", data: seconds(1.5) });
+    await send({ type: "commit" }); // Drops the 0.5 s after the chunk
+    FakeWhisper.instance.finishDecodes();
+    await settle();
+
+    expect(ofType("segment")).toMatchObject([{ start: 0, end: 1 }]);
+
+    // The next chunk starts after the dropped audio
+    FakeWhisper.instance.holdDecodes = false;
+    await send({ type: "audio", data: seconds(1) });
+    await settle();
+
+    expect(ofType("segment")[1]).toMatchObject({ start: 1.5, end: 2.5 });
+  });
+});
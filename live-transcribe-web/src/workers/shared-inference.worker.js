@@ -0,0 +1,232 @@
+import { WhisperInference, ProcessingMode } from "../libs/whisper-inference.js";
+import { pollRingBuffer } from "../libs/ring-buffer.js";
+import { InferenceScheduler } from "../libs/inference-scheduler.js";
+
+// One model for every layer of this worker, loaded by the first "init"
+let owner = null;
+let loading = null;
+
+// Layers ("lanes") sharing the model; each keeps its own buffer and timeline
+const lanes = new Map(); // level -> WhisperInference
+const pendingConfigs = new Map(); // level -> config received before init
+
+// One reader for the capture buffer, feeding every attached lane
+let stopRingPolling = null;
+const ringLevels = new Set();
+
+const scheduler = new InferenceScheduler({
+  onError: (error, level) => {
+    console.error(`[SharedWorker L${level}] Processing error:`, error);
+    self.postMessage({ type: "error", level, error: error.message });
+  },
+});
+
+/**
+ * Message handler. Every message carries the level of the layer it is for.
+ */
+self.onmessage = async (e) => {
+  const { type, level, data, draft } = e.data;
+  const lane = lanes.get(level);
+
+  try {
+    switch (type) {
+      case "configure":
+        pendingConfigs.set(level, e.data.config);
+        if (lane) {
+          lane.configure(e.data.config);
+        }
+        break;
+
+      case "init":
+        await handleInit(level, e.data);
+        break;
+
+      case "audio":
+        handleAudio(level, data);
+        break;
+
+      case "ring_buffer":
+        handleRingBuffer(level, e.data.buffer, e.data.startIndex);
+        break;
+
+      case "draft_tokens":
+        if (lane && draft) {
+          lane.addDraft(draft);
+        }
+        break;
+
+      case "commit":
+        if (lane) {
+          lane.commit();
+          self.postMessage({ type: "reset", level });
+        }
+        break;
+
+      case "reset":
+        if (lane) {
+          scheduler.cancel(level);
+          lane.reset();
+        }
+        break;
+
+      case "flush":
+        handleFlush(level);
+        break;
+
+      case "timeline":
+        // A replacement layer continues where the crashed one stopped
+        if (lane) {
+          lane.setTimelinePosition(e.data.position);
+        }
+        break;
+
+      case "remove":
+        // The layer is gone (restarted on its own or unloaded)
+        scheduler.cancel(level);
+        handleRingBuffer(level, null);
+        lanes.delete(level);
+        pendingConfigs.delete(level);
+        break;
+
+      default:
+        console.warn(`[SharedWorker] Unknown message type: ${type}`);
+    }
+  } catch (error) {
+    console.error(`[SharedWorker] Error handling message:`, error);
+    self.postMessage({ type: "error", level, error: error.message });
+  }
+};
+
+/**
+ * Load the shared model once, then add the layer as a lane on it
+ */
+async function handleInit(level, data) {
+  loading ??= loadModel(level, data);
+  await loading;
+
+  const config = pendingConfigs.get(level) || {};
+  const lane = new WhisperInference({
+    ...config,
+    language: data.language || "en",
+  });
+  lane.adopt(owner);
+  lanes.set(level, lane);
+
+  self.postMessage({ type: "ready", level, model: owner.modelName });
+  request(level);
+}
+
+// Progress goes to the layer that started the load; the Transcriber shows it
+// for every layer on this worker
+async function loadModel(level, data) {
+  owner = new WhisperInference({
+    modelName: data.model || "Xenova/whisper-tiny",
+    backend: data.backend || "webgpu",
+    language: data.language || "en",
+    quant: data.quant,
+    progressCallback: (progress) => {
+      if (progress.status === "progress") {
+        self.postMessage({
+          type: "load_progress",
+          level,
+          progress: progress.progress,
+          file: progress.file,
+          loaded: progress.loaded,
+          total: progress.total,
+        });
+      }
+    },
+    statusCallback: (text) => {
+      self.postMessage({ type: "status", text });
+    },
+  });
+  await owner.init();
+}
+
+/**
+ * Start (or stop, when buffer is null) feeding a lane from the shared
+ * capture ring buffer. All lanes share one reader, started by the first
+ * lane to attach; every layer's message carries its own clone of the
+ * buffer, so later lanes just join it.
+ */
+function handleRingBuffer(level, buffer, startIndex = 0) {
+  if (buffer) {
+    ringLevels.add(level);
+    if (stopRingPolling) return;
+    stopRingPolling = pollRingBuffer(buffer, startIndex, (audio) =>
+      ringLevels.forEach((l) => handleAudio(l, audio))
+    );
+  } else {
+    ringLevels.delete(level);
+    if (ringLevels.size === 0 && stopRingPolling) {
+      stopRingPolling();
+      stopRingPolling = null;
+    }
+  }
+}
+
+function handleAudio(level, audioData) {
+  const lane = lanes.get(level);
+  if (!lane) return;
+  lane.addAudio(audioData);
+  request(level);
+}
+
+/**
+ * Process the remaining audio of a lane, then report that it is drained
+ */
+function handleFlush(level) {
+  const lane = lanes.get(level);
+  if (!lane) return;
+
+  lane.flush();
+  if (lane.config.mode !== ProcessingMode.CHUNK) {
+    // Continuous mode has no pending chunk to emit; count the dropped audio
+    // so later partials keep their place on the timeline
+    lane.processedSamples += lane.audioBuffer.length;
+    lane.audioBuffer = new Float32Array(0);
+  }
+  checkFlushed(level);
+  request(level);
+}
+
+function checkFlushed(level) {
+  const lane = lanes.get(level);
+  if (lane && lane.isFlushed()) {
+    lane.flushPending = false;
+    self.postMessage({ type: "flushed", level });
+  }
+}
+
+/**
+ * Queue a pass for a lane that has enough audio
+ */
+function request(level) {
+  const lane = lanes.get(level);
+  if (!lane || !lane.shouldProcess()) return;
+
+  const continuous = lane.config.mode === ProcessingMode.CONTINUOUS;
+  scheduler.enqueue(level, () => runLane(level), {
+    // A partial reflects the newest audio; an older queued one is stale
+    latestOnly: continuous,
+  });
+}
+
+async function runLane(level) {
+  const lane = lanes.get(level);
+  // The lane may have been removed, reset or drained while queued
+  if (!lane || !lane.shouldProcess()) return;
+
+  const result =
+    lane.config.mode === ProcessingMode.CONTINUOUS
+      ? await lane.processContinuous()
+      : await lane.processChunk();
+
+  if (result && (result.text || lane.config.mode === ProcessingMode.CHUNK)) {
+    self.postMessage(result);
+  }
+  checkFlushed(level);
+
+  // Queue the next pass if more audio is waiting
+  setTimeout(() => request(level), 0);
+}
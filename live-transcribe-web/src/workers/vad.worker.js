@@ -0,0 +1,123 @@
+import * as ort from "onnxruntime-web";
+
+// Silero VAD v5 - 512-sample frames at 16 kHz, with 64 samples of context.
+// The model and the runtime's WASM are served from public/ (npm run copy-wasm)
+const DEFAULT_MODEL_URL = `${import.meta.env.BASE_URL}silero_vad_v5.onnx`;
+const WASM_URL = `${import.meta.env.BASE_URL}ort-wasm-simd-threaded.jsep.wasm`;
+const SAMPLE_RATE = 16000;
+const FRAME_SIZE = 512;
+const CONTEXT_SIZE = 64;
+
+let session = null;
+let state = null; // Recurrent state carried between frames
+let context = new Float32Array(CONTEXT_SIZE);
+let pending = new Float32Array(0); // Samples waiting for a full frame
+
+// Messages are handled one at a time: frames share the recurrent state and
+// the session, so a block must not start while another is still running
+let queue = Promise.resolve();
+
+/**
+ * Message handler
+ */
+self.onmessage = (e) => {
+  queue = queue.then(() => handleMessage(e.data));
+};
+
+async function handleMessage(message) {
+  const { type, data } = message;
+
+  try {
+    switch (type) {
+      case "init":
+        await handleInit(message.modelUrl);
+        break;
+
+      case "audio":
+        await handleAudio(data);
+        break;
+
+      case "reset":
+        resetState();
+        break;
+
+      default:
+        console.warn(`[VadWorker] Unknown message type: ${type}`);
+    }
+  } catch (error) {
+    console.error("[VadWorker] Error:", error);
+    self.postMessage({ type: "error", error: error.message });
+  }
+}
+
+async function handleInit(modelUrl = DEFAULT_MODEL_URL) {
+  if (session) {
+    self.postMessage({ type: "ready" });
+    return;
+  }
+
+  // The binary copied from the installed onnxruntime-web, so it matches
+  ort.env.wasm.wasmPaths = { wasm: WASM_URL };
+
+  console.log("[VadWorker] Loading Silero VAD...");
+  session = await ort.InferenceSession.create(modelUrl, {
+    executionProviders: ["wasm"],
+  });
+  resetState();
+
+  console.log("[VadWorker] Silero VAD ready");
+  self.postMessage({ type: "ready" });
+}
+
+function resetState() {
+  state = new ort.Tensor("float32", new Float32Array(2 * 1 * 128), [2, 1, 128]);
+  context = new Float32Array(CONTEXT_SIZE);
+  pending = new Float32Array(0);
+}
+
+/**
+ * Run the model over every complete frame and report one probability per frame
+ */
+async function handleAudio(audioData) {
+  if (!session) return;
+
+  const samples = new Float32Array(pending.length + audioData.length);
+  samples.set(pending);
+  samples.set(audioData, pending.length);
+
+  // Keep the remainder before the first await
+  const frameCount = Math.floor(samples.length / FRAME_SIZE);
+  pending = samples.slice(frameCount * FRAME_SIZE);
+
+  const probabilities = [];
+  for (let i = 0; i < frameCount; i++) {
+    const offset = i * FRAME_SIZE;
+    probabilities.push(
+      await runFrame(samples.subarray(offset, offset + FRAME_SIZE))
+    );
+  }
+
+  if (probabilities.length > 0) {
+    self.postMessage({
+      type: "probabilities",
+      probabilities,
+      frameDuration: FRAME_SIZE / SAMPLE_RATE,
+    });
+  }
+}
+
+async function runFrame(frame) {
+  const input = new Float32Array(CONTEXT_SIZE + FRAME_SIZE);
+  input.set(context);
+  input.set(frame, CONTEXT_SIZE);
+
+  const outputs = await session.run({
+    input: new ort.Tensor("float32", input, [1, input.length]),
+    state,
+    sr: new ort.Tensor("int64", BigInt64Array.from([BigInt(SAMPLE_RATE)]), []),
+  });
+
+  state = outputs.stateN;
+  context = frame.slice(FRAME_SIZE - CONTEXT_SIZE);
+  return outputs.output.data[0];
+}
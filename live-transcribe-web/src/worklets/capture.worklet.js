@@ -0,0 +1,175 @@
+/**
+ * Capture worklet - runs on the audio rendering thread
+ * Downmixes and mixes its inputs (one per captured source), resamples the
+ * mix to the target rate if the context runs at another rate, runs the DSP
+ * chain, writes the result into a shared ring buffer and nudges the main thread once per block with the
+ * energy of each input. Without SharedArrayBuffer it falls back to posting
+ * blocks.
+ */
+
+import { RingBuffer } from "../libs/ring-buffer.js";
+import { Resampler } from "../libs/resampler.js";
+import { DownmixMode, downmixInto } from "../libs/downmix.js";
+import { DspChain } from "../libs/dsp-chain.js";
+
+// Post pre/post-DSP levels for the meters every 1024 output samples (~64 ms)
+const LEVEL_INTERVAL = 1024;
+
+class CaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const { ringBuffer, blockSize, targetSampleRate, downmix, dsp } =
+      options.processorOptions || {};
+
+    this.ring = ringBuffer ? new RingBuffer(ringBuffer) : null;
+    this.blockSize = blockSize || 4096;
+    this.samplesSinceTick = 0;
+
+    // Per-input energy accumulated over the current block
+    this.inputCount = options.numberOfInputs || 1;
+    this.sumSquares = new Float64Array(this.inputCount);
+    this.energyFrames = 0;
+
+    this.downmix = downmix || DownmixMode.AVERAGE;
+    this.scratch = new Float32Array(128);
+
+    // `sampleRate` is the context's real rate, which browsers may pick
+    // regardless of what was requested
+    const targetRate = targetSampleRate || sampleRate;
+    this.resampler =
+      Math.round(sampleRate) !== Math.round(targetRate)
+        ? new Resampler(sampleRate, targetRate)
+        : null;
+
+    this.dsp = new DspChain(targetRate, dsp);
+    this.samplesSinceLevels = 0;
+
+    // Fallback path: accumulate a block before posting it
+    this.pending = new Float32Array(this.blockSize);
+    this.pendingLength = 0;
+
+    this.mix = new Float32Array(128);
+
+    // While paused, captured audio is dropped before it reaches anyone
+    this.paused = false;
+    this.port.onmessage = (e) => {
+      if (e.data.type === "pause") {
+        this.paused = e.data.paused;
+      } else if (e.data.type === "dsp") {
+        this.dsp.configure(e.data.config);
+      }
+    };
+  }
+
+  process(inputs) {
+    if (this.paused) return true;
+
+    const frameLength = this.mixInputs(inputs);
+    if (frameLength === 0) return true; // No input connected yet
+
+    let channel = this.mix.subarray(0, frameLength);
+    if (this.resampler) {
+      channel = this.resampler.process(channel);
+      if (channel.length === 0) return true;
+    }
+
+    this.dsp.process(channel);
+    this.samplesSinceLevels += channel.length;
+    if (this.samplesSinceLevels >= LEVEL_INTERVAL) {
+      this.port.postMessage({ type: "levels", ...this.dsp.takeLevels() });
+      this.samplesSinceLevels = 0;
+    }
+
+    if (this.ring) {
+      this.ring.write(channel);
+      this.samplesSinceTick += channel.length;
+      if (this.samplesSinceTick >= this.blockSize) {
+        this.port.postMessage({
+          type: "tick",
+          energies: this.takeEnergies(),
+        });
+        this.samplesSinceTick = 0;
+      }
+      return true;
+    }
+
+    let offset = 0;
+    while (offset < channel.length) {
+      const count = Math.min(
+        channel.length - offset,
+        this.blockSize - this.pendingLength
+      );
+      this.pending.set(
+        channel.subarray(offset, offset + count),
+        this.pendingLength
+      );
+      this.pendingLength += count;
+      offset += count;
+
+      if (this.pendingLength === this.blockSize) {
+        const block = this.pending;
+        this.port.postMessage(
+          {
+            type: "audio",
+            data: block,
+            energies: this.takeEnergies(),
+          },
+          [block.buffer]
+        );
+        this.pending = new Float32Array(this.blockSize);
+        this.pendingLength = 0;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Downmix every input and sum them into this.mix, accumulating energies.
+   * Returns the number of frames mixed (0 if nothing is connected).
+   */
+  mixInputs(inputs) {
+    let frameLength = 0;
+    for (let i = 0; i < inputs.length; i++) {
+      if (!inputs[i] || inputs[i].length === 0) continue;
+
+      if (frameLength === 0) {
+        frameLength = inputs[i][0].length;
+        if (this.mix.length < frameLength) {
+          this.mix = new Float32Array(frameLength);
+          this.scratch = new Float32Array(frameLength);
+        }
+        this.mix.fill(0, 0, frameLength);
+      }
+      const channel = downmixInto(inputs[i], this.downmix, this.scratch);
+
+      let sum = 0;
+      for (let j = 0; j < frameLength; j++) {
+        const sample = channel[j];
+        this.mix[j] += sample;
+        sum += sample * sample;
+      }
+      this.sumSquares[i] += sum;
+    }
+
+    this.energyFrames += frameLength;
+
+    // Keep the mix in range when both sides talk at once
+    for (let j = 0; j < frameLength; j++) {
+      if (this.mix[j] > 1) this.mix[j] = 1;
+      else if (this.mix[j] < -1) this.mix[j] = -1;
+    }
+    return frameLength;
+  }
+
+  // RMS of each input since the last call, then start over
+  takeEnergies() {
+    const energies = Array.from(this.sumSquares, (sum) =>
+      Math.sqrt(sum / Math.max(1, this.energyFrames))
+    );
+    this.sumSquares.fill(0);
+    this.energyFrames = 0;
+    return energies;
+  }
+}
+
+registerProcessor("capture-processor", CaptureProcessor);
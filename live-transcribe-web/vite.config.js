@@ -19,6 +19,13 @@ export default defineConfig({
       allow: ["."],
     },
   },
+  preview: {
+    headers: {
+      // Same isolation as the dev server so the capture ring buffer works
+      "Cross-Origin-Opener-Policy": "same-origin",
+      "Cross-Origin-Embedder-Policy": "require-corp",
+    },
+  },
   // Ensure ONNX and WebAssembly files are properly handled
   assetsInclude: ["**/*.wasm", "**/*.ort", "**/*.onnx"],
   build: {
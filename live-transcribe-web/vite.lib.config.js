@@ -0,0 +1,31 @@
+import { defineConfig, mergeConfig } from "vite";
+import path from "path";
+import appConfig from "./vite.config.js";
+
+// The engine without the workbench UI (lib/index.js) as a package: one ES
+// module, with the workers, the capture worklet and the onnxruntime WASM
+// emitted next to it and loaded relative to it. Not build.lib, which would
+// inline the WASM into the workers as base64.
+export default mergeConfig(
+  appConfig,
+  defineConfig({
+    base: "./",
+    // The workbench's WASM copies and models are the embedding app's to serve
+    publicDir: false,
+    build: {
+      outDir: "dist-lib",
+      emptyOutDir: true,
+      rollupOptions: {
+        input: path.resolve(__dirname, "lib/index.js"),
+        preserveEntrySignatures: "strict",
+        output: {
+          format: "es",
+          entryFileNames: "live-transcribe.js",
+        },
+      },
+    },
+    worker: {
+      format: "es",
+    },
+  })
+);